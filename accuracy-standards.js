@@ -0,0 +1,225 @@
+/**
+ * Accuracy Standards
+ * Registry of survey accuracy standards with separate horizontal and vertical tolerances,
+ * used to grade the offsets between points
+ */
+
+class AccuracyStandards {
+    constructor() {
+        // Each standard lists its grades from tightest to loosest. A grade is met when the horizontal
+        // offset is within horizontal + ppm × horizontal distance and the vertical offset is within
+        // vertical (meters); a null vertical tolerance means the standard has no vertical requirement.
+        this.standards = {
+            'ngs-orders': {
+                name: 'NGS Survey Orders',
+                reference: 'NGS Standards and Specifications for Geodetic Control Networks',
+                grades: [
+                    { name: 'First Order', horizontal: 0.003, vertical: 0.003, use: 'Suitable for geodetic control and high-precision engineering' },
+                    { name: 'Second Order Class I', horizontal: 0.01, vertical: 0.01, use: 'Good for most engineering and construction surveys' },
+                    { name: 'Second Order Class II', horizontal: 0.03, vertical: 0.03, use: 'Acceptable for general construction and mapping' },
+                    { name: 'Third Order', horizontal: 0.3, vertical: 0.3, use: 'Suitable for general mapping and lower-precision surveys' },
+                    { name: 'Fourth Order', horizontal: 1, vertical: 1, use: 'Rough mapping only' }
+                ],
+                failure: { name: 'Below Survey Standards', use: 'Not suitable for surveying applications' }
+            },
+            'fgdc-nssda': {
+                name: 'FGDC NSSDA Accuracy Classes (95%)',
+                reference: 'FGDC-STD-007.2 Geodetic Network Accuracy Standards; offsets are compared as 95% confidence accuracies',
+                grades: [
+                    { name: '1-Millimeter', horizontal: 0.001, vertical: 0.001, use: 'Geodetic control' },
+                    { name: '2-Millimeter', horizontal: 0.002, vertical: 0.002, use: 'Geodetic control' },
+                    { name: '5-Millimeter', horizontal: 0.005, vertical: 0.005, use: 'Geodetic control' },
+                    { name: '1-Centimeter', horizontal: 0.01, vertical: 0.01, use: 'Engineering control' },
+                    { name: '2-Centimeter', horizontal: 0.02, vertical: 0.02, use: 'Engineering and property surveys' },
+                    { name: '5-Centimeter', horizontal: 0.05, vertical: 0.05, use: 'Construction and property surveys' },
+                    { name: '1-Decimeter', horizontal: 0.1, vertical: 0.1, use: 'Large-scale mapping' },
+                    { name: '2-Decimeter', horizontal: 0.2, vertical: 0.2, use: 'Large-scale mapping' },
+                    { name: '5-Decimeter', horizontal: 0.5, vertical: 0.5, use: 'Mapping' },
+                    { name: '1-Meter', horizontal: 1, vertical: 1, use: 'Mapping and GIS' },
+                    { name: '2-Meter', horizontal: 2, vertical: 2, use: 'GIS' },
+                    { name: '5-Meter', horizontal: 5, vertical: 5, use: 'GIS' },
+                    { name: '10-Meter', horizontal: 10, vertical: 10, use: 'Navigation and reconnaissance' }
+                ],
+                failure: { name: 'Over 10 Meters', use: 'Outside the NSSDA accuracy classes' }
+            },
+            'alta-rpp': {
+                name: 'ALTA/NSPS Relative Positional Precision',
+                reference: '2021 ALTA/NSPS Minimum Standard Detail Requirements (2 cm + 50 ppm, 95% confidence)',
+                grades: [
+                    { name: 'Meets ALTA/NSPS RPP', horizontal: 0.02, ppm: 50, vertical: null, use: 'Suitable for ALTA/NSPS Land Title Surveys' }
+                ],
+                failure: { name: 'Exceeds ALTA/NSPS RPP', use: 'Does not meet the ALTA/NSPS relative positional precision' }
+            },
+            'custom': {
+                name: 'Company Specification',
+                reference: 'Tolerances entered by the user',
+                custom: true,
+                grades: [
+                    { name: 'Within Specification', horizontal: 0.02, vertical: 0.03, use: 'Meets the company specification' }
+                ],
+                failure: { name: 'Out of Specification', use: 'Does not meet the company specification' }
+            }
+        };
+
+        this.activeStandard = 'ngs-orders';
+    }
+
+    /**
+     * List the available standards
+     * @returns {Array} - {key, name}
+     */
+    listStandards() {
+        return Object.keys(this.standards).map(key => ({
+            key: key,
+            name: this.standards[key].name
+        }));
+    }
+
+    /**
+     * Get a standard definition
+     * @param {string} key - Standard key
+     * @returns {Object|null} - Standard definition or null if unknown
+     */
+    getStandard(key) {
+        return this.standards[key] || null;
+    }
+
+    /**
+     * Select the standard used for grading
+     * @param {string} key - Standard key
+     * @returns {boolean} - True if the standard exists
+     */
+    setActiveStandard(key) {
+        if (!this.standards[key]) {
+            return false;
+        }
+        this.activeStandard = key;
+        return true;
+    }
+
+    /**
+     * Get the selected standard
+     * @returns {Object} - Standard definition with its key
+     */
+    getActiveStandard() {
+        return { key: this.activeStandard, ...this.standards[this.activeStandard] };
+    }
+
+    /**
+     * Describe the selected standard for reports and exports
+     * @returns {string} - e.g. "NGS Survey Orders"
+     */
+    describeActive() {
+        const standard = this.standards[this.activeStandard];
+        if (standard.custom) {
+            const grade = standard.grades[0];
+            const vertical = grade.vertical === null ? 'none' : this.formatTolerance(grade.vertical);
+            return `${standard.name} (H ${this.formatTolerance(grade.horizontal)}, V ${vertical})`;
+        }
+        return standard.name;
+    }
+
+    /**
+     * Set the tolerances of the company specification
+     * @param {number} horizontal - Horizontal tolerance in meters
+     * @param {number|null} vertical - Vertical tolerance in meters, or null for no vertical requirement
+     * @returns {boolean} - True if the tolerances are valid
+     */
+    setCustomTolerances(horizontal, vertical) {
+        if (!isFinite(horizontal) || horizontal <= 0 || (vertical !== null && (!isFinite(vertical) || vertical <= 0))) {
+            return false;
+        }
+
+        const grade = this.standards.custom.grades[0];
+        grade.horizontal = horizontal;
+        grade.vertical = vertical;
+        return true;
+    }
+
+    /**
+     * Grade horizontal and vertical offsets against a standard. Horizontal and vertical are graded
+     * separately; the overall grade is the looser of the two.
+     * @param {number} horizontal - Horizontal offset in meters
+     * @param {number|null} vertical - Vertical offset in meters, or null when heights cannot be compared
+     * @param {string} standardKey - Standard key (defaults to the selected standard)
+     * @returns {Object|null} - {standard, grade, use, passes, horizontalGrade, verticalGrade,
+     *                          horizontalTolerance, verticalTolerance}; tolerances are those of the
+     *                          tightest grade of the standard, or null if the standard is unknown
+     */
+    assess(horizontal, vertical, standardKey = this.activeStandard) {
+        const standard = this.standards[standardKey];
+        if (!standard) {
+            return null;
+        }
+
+        const grades = standard.grades;
+        const horizontalIndex = grades.findIndex(grade => horizontal <= this.getHorizontalTolerance(grade, horizontal));
+        const hasVertical = vertical !== null && vertical !== undefined;
+        const verticalIndex = hasVertical
+            ? grades.findIndex(grade => grade.vertical === null || vertical <= grade.vertical)
+            : 0;
+
+        const index = horizontalIndex < 0 || verticalIndex < 0 ? -1 : Math.max(horizontalIndex, verticalIndex);
+        const grade = index >= 0 ? grades[index] : standard.failure;
+        const gradeName = (gradeIndex) => gradeIndex >= 0 ? grades[gradeIndex].name : standard.failure.name;
+
+        return {
+            standard: standard.name,
+            grade: grade.name,
+            use: grade.use,
+            passes: index >= 0,
+            horizontalGrade: gradeName(horizontalIndex),
+            verticalGrade: hasVertical && grades[0].vertical !== null ? gradeName(verticalIndex) : null,
+            horizontalTolerance: this.getHorizontalTolerance(grades[0], horizontal),
+            verticalTolerance: grades[0].vertical
+        };
+    }
+
+    /**
+     * Horizontal tolerance of a grade
+     * @param {Object} grade - Grade definition
+     * @param {number} distance - Horizontal distance between the points in meters, for ppm tolerances
+     * @returns {number} - Tolerance in meters
+     */
+    getHorizontalTolerance(grade, distance) {
+        return grade.horizontal + (grade.ppm || 0) * 1e-6 * distance;
+    }
+
+    /**
+     * Short text for an assessment, naming the horizontal and vertical grades when they differ
+     * @param {Object|null} assessment - Result of assess()
+     * @returns {string} - e.g. "Second Order Class I (H First Order, V Second Order Class I)"
+     */
+    formatGrade(assessment) {
+        if (!assessment) {
+            return '';
+        }
+        if (assessment.verticalGrade !== null && assessment.verticalGrade !== assessment.horizontalGrade) {
+            return `${assessment.grade} (H ${assessment.horizontalGrade}, V ${assessment.verticalGrade})`;
+        }
+        return assessment.grade;
+    }
+
+    /**
+     * Format a tolerance for display
+     * @param {number|null} meters - Tolerance in meters
+     * @returns {string} - e.g. "3 mm", "2 cm", "1 m" or "—"
+     */
+    formatTolerance(meters) {
+        if (meters === null || meters === undefined) {
+            return '—';
+        }
+        if (meters < 0.01) {
+            return `${Number((meters * 1000).toFixed(1))} mm`;
+        }
+        if (meters < 1) {
+            return `${Number((meters * 100).toFixed(1))} cm`;
+        }
+        return `${Number(meters.toFixed(3))} m`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccuracyStandards;
+}
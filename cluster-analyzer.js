@@ -0,0 +1,213 @@
+/**
+ * Cluster Analyzer
+ * Groups repeat occupations of the same mark and reports the mean position, repeatability
+ * statistics (N/E/U standard deviations, RMS, CEP, 2DRMS) and outlying occupations
+ */
+
+class ClusterAnalyzer {
+    /**
+     * @param {DistanceCalculator} distanceCalculator - Calculator used for local offsets, heights and statistics
+     */
+    constructor(distanceCalculator = new DistanceCalculator()) {
+        this.distanceCalculator = distanceCalculator;
+
+        // An occupation is an outlier when it lies more than outlierSigma standard deviations from the
+        // mean of the other occupations, and at least minimumOutlierDistance meters from it
+        this.outlierSigma = 3;
+        this.minimumOutlierDistance = 0.01;
+    }
+
+    /**
+     * Group points into clusters
+     * @param {Array} points - {name, lat, lon}
+     * @param {string} grouping - 'proximity' (within radius of another point in the cluster) or 'name'
+     * @param {number} radius - Proximity radius in meters
+     * @returns {Array} - Arrays of point indexes, in order of first appearance; unnamed points are
+     *                    not grouped by name
+     */
+    groupPoints(points, grouping = 'proximity', radius = 0.5) {
+        if (grouping === 'name') {
+            const groups = new Map();
+            points.forEach((point, index) => {
+                const key = point.name ? point.name.trim().toLowerCase() : `#${index}`;
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(index);
+            });
+            return [...groups.values()];
+        }
+
+        // Single-linkage: any two points within the radius end up in the same cluster
+        const parent = points.map((point, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                if (this.distanceCalculator.calculateLocalOffsets(points[i], points[j]).horizontal <= radius) {
+                    const rootI = find(i);
+                    const rootJ = find(j);
+                    if (rootI !== rootJ) {
+                        parent[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+                    }
+                }
+            }
+        }
+
+        const groups = new Map();
+        points.forEach((point, index) => {
+            const root = find(index);
+            if (!groups.has(root)) {
+                groups.set(root, []);
+            }
+            groups.get(root).push(index);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Group points and analyze every cluster with two or more occupations
+     * @param {Array} points - {name, lat, lon, elevation, heightType}
+     * @param {string} grouping - 'proximity' or 'name', see groupPoints()
+     * @param {number} radius - Proximity radius in meters
+     * @returns {Object} - {clusters, singles}: the analyzed clusters and the number of points left on their own
+     */
+    analyze(points, grouping = 'proximity', radius = 0.5) {
+        const groups = this.groupPoints(points, grouping, radius);
+        const clusters = groups
+            .filter(indexes => indexes.length > 1)
+            .map((indexes, clusterIndex) => ({
+                name: points[indexes[0]].name || `Cluster ${clusterIndex + 1}`,
+                indexes,
+                ...this.analyzeCluster(indexes.map(index => points[index]))
+            }));
+
+        return {
+            clusters,
+            singles: groups.filter(indexes => indexes.length === 1).length
+        };
+    }
+
+    /**
+     * Compute the mean position and repeatability statistics of one cluster
+     * @param {Array} points - Occupations of one mark {lat, lon, elevation, heightType}
+     * @returns {Object} - {count, mean: {lat, lon, elevation}, heightType, residuals, sigmaNorth, sigmaEast,
+     *                     sigmaUp, horizontalRMS, verticalRMS, cep, drms2}; the vertical values are null
+     *                     when heights are missing or cannot be brought to one type
+     */
+    analyzeCluster(points) {
+        const mean = this.calculateMean(points);
+        const heights = this.distanceCalculator.getCommonHeights(points);
+
+        const residuals = points.map((point, index) => {
+            const offsets = this.distanceCalculator.calculateLocalOffsets(mean, point);
+            return {
+                north: offsets.north,
+                east: offsets.east,
+                up: heights ? heights.elevations[index] - mean.elevation : null,
+                horizontal: offsets.horizontal,
+                horizontalOutlier: false,
+                verticalOutlier: false
+            };
+        });
+
+        const statistics = this.calculateSpread(residuals);
+        this.flagOutliers(points, residuals, heights);
+
+        return {
+            count: points.length,
+            mean: { lat: mean.lat, lon: mean.lon, elevation: heights ? mean.elevation : null },
+            heightType: heights ? heights.heightType : null,
+            residuals,
+            ...statistics
+        };
+    }
+
+    /**
+     * Mean position of a set of points
+     * @param {Array} points - {lat, lon, elevation, heightType}
+     * @returns {Object} - {lat, lon, elevation}; elevation is null without common heights
+     */
+    calculateMean(points) {
+        const heights = this.distanceCalculator.getCommonHeights(points);
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const wrap = (lon) => this.distanceCalculator.normalizeLongitudeDifference(lon);
+
+        // Longitudes are averaged as offsets from the first occupation, so a mark on the antimeridian stays in one place
+        const first = points[0].lon;
+        return {
+            lat: average(points.map(point => point.lat)),
+            lon: wrap(first + average(points.map(point => wrap(point.lon - first)))),
+            elevation: heights ? average(heights.elevations) : null
+        };
+    }
+
+    /**
+     * Repeatability statistics from residuals about the mean
+     * @param {Array} residuals - {north, east, up, horizontal}
+     * @returns {Object} - {sigmaNorth, sigmaEast, sigmaUp, horizontalRMS, verticalRMS, cep, drms2} in meters
+     */
+    calculateSpread(residuals) {
+        const calculator = this.distanceCalculator;
+        const sigmaNorth = calculator.calculateStatistics(residuals.map(residual => residual.north)).standardDeviation;
+        const sigmaEast = calculator.calculateStatistics(residuals.map(residual => residual.east)).standardDeviation;
+        const hasHeights = residuals[0].up !== null;
+
+        return {
+            sigmaNorth,
+            sigmaEast,
+            sigmaUp: hasHeights ? calculator.calculateStatistics(residuals.map(residual => residual.up)).standardDeviation : null,
+            horizontalRMS: calculator.calculateStatistics(residuals.map(residual => residual.horizontal)).rms,
+            verticalRMS: hasHeights ? calculator.calculateStatistics(residuals.map(residual => residual.up)).rms : null,
+            // Circular error probable (50%) approximation, valid while σN and σE are within a factor of ~3
+            cep: 0.589 * (sigmaNorth + sigmaEast),
+            drms2: 2 * Math.sqrt(sigmaNorth * sigmaNorth + sigmaEast * sigmaEast)
+        };
+    }
+
+    /**
+     * Flag occupations that disagree with the rest of the cluster. Each occupation is compared with the
+     * mean and spread of the others, so a single bad shot does not hide itself by inflating the spread.
+     * Needs at least three occupations.
+     * @param {Array} points - Occupations of one mark
+     * @param {Array} residuals - Residuals to flag, in the same order
+     * @param {Object|null} heights - Common heights from DistanceCalculator.getCommonHeights()
+     */
+    flagOutliers(points, residuals, heights) {
+        if (points.length < 3) {
+            return;
+        }
+
+        points.forEach((point, index) => {
+            const others = points.filter((other, otherIndex) => otherIndex !== index);
+            const othersMean = this.calculateMean(others);
+            const othersResiduals = others.map(other => this.distanceCalculator.calculateLocalOffsets(othersMean, other));
+            const spread = this.calculateSpread(othersResiduals.map(offsets => ({ ...offsets, up: null })));
+            const sigmaHorizontal = Math.sqrt(spread.sigmaNorth * spread.sigmaNorth + spread.sigmaEast * spread.sigmaEast);
+
+            const horizontal = this.distanceCalculator.calculateLocalOffsets(othersMean, point).horizontal;
+            residuals[index].horizontalOutlier =
+                horizontal > Math.max(this.outlierSigma * sigmaHorizontal, this.minimumOutlierDistance);
+
+            if (heights) {
+                const otherHeights = heights.elevations.filter((elevation, otherIndex) => otherIndex !== index);
+                const heightStatistics = this.distanceCalculator.calculateStatistics(otherHeights);
+                const average = otherHeights.reduce((sum, value) => sum + value, 0) / otherHeights.length;
+                const vertical = Math.abs(heights.elevations[index] - average);
+                residuals[index].verticalOutlier =
+                    vertical > Math.max(this.outlierSigma * heightStatistics.standardDeviation, this.minimumOutlierDistance);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClusterAnalyzer;
+}
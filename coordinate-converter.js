@@ -1,21 +1,95 @@
 /**
  * GPS Coordinate Converter
- * Converts between decimal degrees and degrees/minutes/seconds formats
+ * Converts between decimal degrees, degrees decimal minutes, degrees/minutes/seconds, UTM/UPS, MGRS/USNG, State Plane grid
+ * and Earth-centered, Earth-fixed (ECEF) XYZ formats
  */
 
 class CoordinateConverter {
-    constructor() {
+    /**
+     * @param {GeodeticDatums} datums - Datum registry providing the active ellipsoid
+     * @param {GeoidModel} geoid - Geoid model used to relate orthometric and ellipsoidal heights
+     */
+    constructor(datums = new GeodeticDatums(), geoid = new GeoidModel()) {
+        this.datums = datums;
+        this.geoid = geoid;
+        this.projections = new MapProjections(datums);
         this.decimalPrecision = 10; // Decimal places for decimal degrees
         this.dmsPrecision = 5; // Decimal places for seconds
+        this.ddmPrecision = 5; // Decimal places for decimal minutes
+        this.azimuthPrecision = 1; // Decimal places for seconds of azimuths and bearings
+        this.gridPrecision = 3; // Decimal places for grid eastings/northings
+        this.ecefPrecision = 4; // Decimal places for ECEF X/Y/Z
+        this.mgrsPrecision = 5; // MGRS digits per axis (5 = 1 m, 0 = 100 km)
+
+        // UTM latitude bands from 80°S, 8° each (X is extended to 84°N)
+        this.utmBands = 'CDEFGHJKLMNPQRSTUVWX';
+
+        // MGRS 100 km square letters (AA scheme): column sets repeat every 3 zones,
+        // row letters every 2,000 km with even zones offset by 5 letters
+        this.mgrsColumnLetters = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+        this.mgrsRowLetters = 'ABCDEFGHJKLMNPQRSTUV';
+
+        // MGRS polar letters and the UPS easting/northing (in 100 km) of the first letter
+        this.mgrsPolarColumns = {
+            'A': { letters: 'JKLPQRSTUXYZ', start: 8 },
+            'B': { letters: 'ABCFGHJKLPQR', start: 20 },
+            'Y': { letters: 'RSTUXYZ', start: 13 },
+            'Z': { letters: 'ABCFGHJ', start: 20 }
+        };
+        this.mgrsPolarRows = {
+            'S': { letters: 'ABCDEFGHJKLMNPQRSTUVWXYZ', start: 8 },
+            'N': { letters: 'ABCDEFGHJKLMNP', start: 13 }
+        };
+
+        // Meters per grid unit (US survey foot is the exact 1200/3937 m definition)
+        this.gridUnits = {
+            'meters': { factor: 1, suffix: 'm' },
+            'feet': { factor: 0.3048, suffix: 'ift' },
+            'survey-feet': { factor: 1200 / 3937, suffix: 'usft' }
+        };
+
+        // SPCS 83 zones keyed by FIPS code, published NGS parameters (NAD83, GRS 1980 ellipsoid).
+        // Only the New England and New York zones are included; other FIPS codes are reported as not supported
+        this.statePlaneZones = {
+            '0600': { name: 'Connecticut', projection: 'LCC', lat0: 40 + 50 / 60, lon0: -72.75,
+                      lat1: 41.2, lat2: 41 + 52 / 60, falseEasting: 304800.6096, falseNorthing: 152400.3048 },
+            '1801': { name: 'Maine East', projection: 'TM', lat0: 43 + 40 / 60, lon0: -68.5,
+                      k0: 0.9999, falseEasting: 300000, falseNorthing: 0 },
+            '1802': { name: 'Maine West', projection: 'TM', lat0: 42 + 50 / 60, lon0: -(70 + 10 / 60),
+                      k0: 0.999966667, falseEasting: 900000, falseNorthing: 0 },
+            '2001': { name: 'Massachusetts Mainland', projection: 'LCC', lat0: 41, lon0: -71.5,
+                      lat1: 41 + 43 / 60, lat2: 42 + 41 / 60, falseEasting: 200000, falseNorthing: 750000 },
+            '2002': { name: 'Massachusetts Island', projection: 'LCC', lat0: 41, lon0: -70.5,
+                      lat1: 41 + 17 / 60, lat2: 41 + 29 / 60, falseEasting: 500000, falseNorthing: 0 },
+            '2800': { name: 'New Hampshire', projection: 'TM', lat0: 42.5, lon0: -(71 + 40 / 60),
+                      k0: 0.999966667, falseEasting: 300000, falseNorthing: 0 },
+            '3101': { name: 'New York East', projection: 'TM', lat0: 38 + 50 / 60, lon0: -74.5,
+                      k0: 0.9999, falseEasting: 150000, falseNorthing: 0 },
+            '3102': { name: 'New York Central', projection: 'TM', lat0: 40, lon0: -(76 + 35 / 60),
+                      k0: 0.9999375, falseEasting: 250000, falseNorthing: 0 },
+            '3103': { name: 'New York West', projection: 'TM', lat0: 40, lon0: -(78 + 35 / 60),
+                      k0: 0.9999375, falseEasting: 350000, falseNorthing: 0 },
+            '3104': { name: 'New York Long Island', projection: 'LCC', lat0: 40 + 10 / 60, lon0: -74,
+                      lat1: 40 + 40 / 60, lat2: 41 + 2 / 60, falseEasting: 300000, falseNorthing: 0 },
+            '3800': { name: 'Rhode Island', projection: 'TM', lat0: 41 + 5 / 60, lon0: -71.5,
+                      k0: 0.99999375, falseEasting: 100000, falseNorthing: 0 },
+            '4400': { name: 'Vermont', projection: 'TM', lat0: 42.5, lon0: -72.5,
+                      k0: 0.999964286, falseEasting: 500000, falseNorthing: 0 }
+        };
+
+        // Zone and unit used when State Plane input or output does not name them
+        this.statePlaneZone = null;
+        this.statePlaneUnit = 'survey-feet';
     }
 
     /**
      * Convert decimal degrees to DMS format
      * @param {number} decimalDegrees - Decimal degrees
      * @param {boolean} includeCardinal - Include cardinal direction (N/S/E/W)
+     * @param {string} axis - 'lat' (N/S) or 'lon' (E/W)
      * @returns {Object} - {degrees: number, minutes: number, seconds: number, cardinal: string}
      */
-    decimalToDMS(decimalDegrees, includeCardinal = false) {
+    decimalToDMS(decimalDegrees, includeCardinal = false, axis = 'lat') {
         if (isNaN(decimalDegrees) || !isFinite(decimalDegrees)) {
             return null;
         }
@@ -30,7 +104,7 @@ class CoordinateConverter {
         
         let cardinal = '';
         if (includeCardinal) {
-            cardinal = isNegative ? 'S' : 'N';
+            cardinal = this.getCardinal(isNegative, axis);
         }
 
         return {
@@ -41,6 +115,52 @@ class CoordinateConverter {
         };
     }
 
+    /**
+     * Convert decimal degrees to degrees decimal minutes (DDM)
+     * @param {number} decimalDegrees - Decimal degrees
+     * @param {boolean} includeCardinal - Include cardinal direction (N/S/E/W)
+     * @param {string} axis - 'lat' (N/S) or 'lon' (E/W)
+     * @returns {Object} - {degrees: number, minutes: number, cardinal: string, isNegative: boolean}
+     */
+    decimalToDDM(decimalDegrees, includeCardinal = false, axis = 'lat') {
+        if (isNaN(decimalDegrees) || !isFinite(decimalDegrees)) {
+            return null;
+        }
+
+        const isNegative = decimalDegrees < 0;
+        const absDegrees = Math.abs(decimalDegrees);
+
+        let degrees = Math.floor(absDegrees);
+        let minutes = parseFloat(((absDegrees - degrees) * 60).toFixed(this.ddmPrecision));
+
+        // Rounding can carry a full 60 minutes into the degrees
+        if (minutes >= 60) {
+            degrees += 1;
+            minutes = 0;
+        }
+
+        return {
+            degrees: isNegative ? -degrees : degrees,
+            minutes: minutes,
+            cardinal: includeCardinal ? this.getCardinal(isNegative, axis) : '',
+            // Kept apart from degrees, which cannot carry a sign between -1° and 0°
+            isNegative: isNegative && (degrees > 0 || minutes > 0)
+        };
+    }
+
+    /**
+     * Cardinal direction letter for a coordinate
+     * @param {boolean} isNegative - True for south or west
+     * @param {string} axis - 'lat' (N/S) or 'lon' (E/W)
+     * @returns {string} - 'N', 'S', 'E' or 'W'
+     */
+    getCardinal(isNegative, axis = 'lat') {
+        if (axis === 'lon') {
+            return isNegative ? 'W' : 'E';
+        }
+        return isNegative ? 'S' : 'N';
+    }
+
     /**
      * Convert DMS to decimal degrees
      * @param {number} degrees - Degrees
@@ -79,6 +199,28 @@ class CoordinateConverter {
         }
     }
 
+    /**
+     * Format DDM coordinates as a string
+     * @param {Object} ddm - DDM object from decimalToDDM
+     * @param {boolean} includeSymbols - Include degree and minute symbols (°, ')
+     * @returns {string} - Formatted DDM string, e.g. 44° 28.40544' N
+     */
+    formatDDM(ddm, includeSymbols = true) {
+        if (!ddm) return '';
+
+        const { degrees, minutes, cardinal, isNegative } = ddm;
+        const minutesText = minutes.toFixed(this.ddmPrecision);
+
+        // Without a cardinal direction the sign goes in front of the degrees
+        const degreesText = `${!cardinal && isNegative ? '-' : ''}${Math.abs(degrees)}`;
+
+        if (includeSymbols) {
+            return `${degreesText}° ${minutesText}'${cardinal ? ' ' + cardinal : ''}`;
+        } else {
+            return `${degreesText} ${minutesText}${cardinal ? ' ' + cardinal : ''}`;
+        }
+    }
+
     /**
      * Format decimal degrees as a string
      * @param {number} decimalDegrees - Decimal degrees
@@ -100,8 +242,8 @@ class CoordinateConverter {
      * @returns {Object} - {lat: string, lon: string}
      */
     convertToDMS(lat, lon) {
-        const latDMS = this.decimalToDMS(lat, true);
-        const lonDMS = this.decimalToDMS(lon, true);
+        const latDMS = this.decimalToDMS(lat, true, 'lat');
+        const lonDMS = this.decimalToDMS(lon, true, 'lon');
         
         return {
             lat: this.formatDMS(latDMS),
@@ -109,6 +251,68 @@ class CoordinateConverter {
         };
     }
 
+    /**
+     * Convert a coordinate pair from decimal to DDM
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {Object} - {lat: string, lon: string}
+     */
+    convertToDDM(lat, lon) {
+        return {
+            lat: this.formatDDM(this.decimalToDDM(lat, true, 'lat')),
+            lon: this.formatDDM(this.decimalToDDM(lon, true, 'lon'))
+        };
+    }
+
+    /**
+     * Format an angle as degrees, minutes and seconds, rounding on the seconds so 59.96" carries
+     * into the minutes instead of printing as 60.0"
+     * @param {number} angle - Non-negative angle in decimal degrees
+     * @returns {string} - Formatted angle, e.g. 45° 12' 30.0"
+     */
+    formatAngleDMS(angle) {
+        const factor = Math.pow(10, this.azimuthPrecision);
+        const totalSeconds = Math.round(angle * 3600 * factor) / factor;
+        const degrees = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+        const seconds = totalSeconds - degrees * 3600 - minutes * 60;
+
+        return `${degrees}° ${String(minutes).padStart(2, '0')}' ${seconds.toFixed(this.azimuthPrecision).padStart(this.azimuthPrecision + 3, '0')}"`;
+    }
+
+    /**
+     * Format an azimuth in DMS
+     * @param {number} azimuth - Azimuth clockwise from north in decimal degrees
+     * @returns {string} - Formatted azimuth, e.g. 225° 30' 00.0"
+     */
+    formatAzimuth(azimuth) {
+        if (!isFinite(azimuth)) return '';
+
+        // An azimuth that rounds up to 360° is shown as 0°
+        const factor = 3600 * Math.pow(10, this.azimuthPrecision);
+        const normalized = ((azimuth % 360) + 360) % 360;
+        return this.formatAngleDMS(Math.round(normalized * factor) >= 360 * factor ? 0 : normalized);
+    }
+
+    /**
+     * Format an azimuth as a quadrant bearing
+     * @param {number} azimuth - Azimuth clockwise from north in decimal degrees
+     * @returns {string} - Quadrant bearing, e.g. N 45° 12' 30.0" E
+     */
+    formatBearing(azimuth) {
+        if (!isFinite(azimuth)) return '';
+
+        const normalized = ((azimuth % 360) + 360) % 360;
+        if (normalized <= 90) {
+            return `N ${this.formatAngleDMS(normalized)} E`;
+        } else if (normalized <= 180) {
+            return `S ${this.formatAngleDMS(180 - normalized)} E`;
+        } else if (normalized <= 270) {
+            return `S ${this.formatAngleDMS(normalized - 180)} W`;
+        }
+        return `N ${this.formatAngleDMS(360 - normalized)} W`;
+    }
+
     /**
      * Convert a coordinate pair from DMS to decimal
      * @param {string} latStr - Latitude in DMS format
@@ -128,10 +332,29 @@ class CoordinateConverter {
      * Format coordinates for clipboard copy (tab-separated)
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
+     * @param {boolean} includeDatum - Append the active datum as a third column
+     * @param {string} format - 'decimal', 'ddm', 'dms' or 'ecef'
+     * @param {number} height - Ellipsoidal height in meters, used by the ECEF format
      * @returns {string} - Tab-separated coordinate string
      */
-    formatForClipboard(lat, lon) {
-        return `${this.formatDecimal(lat)}\t${this.formatDecimal(lon)}`;
+    formatForClipboard(lat, lon, includeDatum = false, format = 'decimal', height = 0) {
+        if (format === 'ecef') {
+            const ecef = this.convertToECEF(lat, lon, height);
+            const text = [ecef.x, ecef.y, ecef.z].map(value => value.toFixed(this.ecefPrecision)).join('\t');
+            return includeDatum ? `${text}\t${this.datums.getActiveDatum().name}` : text;
+        }
+
+        let pair;
+        if (format === 'ddm') {
+            pair = this.convertToDDM(lat, lon);
+        } else if (format === 'dms') {
+            pair = this.convertToDMS(lat, lon);
+        } else {
+            pair = { lat: this.formatDecimal(lat), lon: this.formatDecimal(lon) };
+        }
+
+        const text = `${pair.lat}\t${pair.lon}`;
+        return includeDatum ? `${text}\t${this.datums.getActiveDatum().name}` : text;
     }
 
     /**
@@ -150,10 +373,12 @@ class CoordinateConverter {
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
      * @param {number} elevation - Elevation value
-     * @param {string} elevationUnit - Unit of elevation ('meters', 'feet', 'survey-feet', 'ellipsoidal')
-     * @returns {Object} - {lat: number, lon: number, elevation: number} (elevation in meters)
+     * @param {string} elevationUnit - Unit of elevation ('meters', 'feet', 'survey-feet'; 'ellipsoidal' is accepted as meters above the ellipsoid)
+     * @param {string} heightType - 'ellipsoidal' (GNSS height above ellipsoid) or 'orthometric' (e.g. NAVD88)
+     * @returns {Object} - {lat, lon, elevation, heightType, ellipsoidalHeight} (heights in meters;
+     *                     ellipsoidalHeight is null when an orthometric height has no geoid coverage)
      */
-    convertWithElevation(lat, lon, elevation, elevationUnit = 'meters') {
+    convertWithElevation(lat, lon, elevation, elevationUnit = 'meters', heightType = 'ellipsoidal') {
         let elevationInMeters = elevation;
         
         if (elevationUnit === 'feet') {
@@ -161,18 +386,506 @@ class CoordinateConverter {
         } else if (elevationUnit === 'survey-feet') {
             elevationInMeters = elevation * 0.30480061;
         } else if (elevationUnit === 'ellipsoidal') {
-            // Treat as meters (height above ellipsoid)
-            elevationInMeters = elevation;
+            // Legacy unit name: meters, explicitly above the ellipsoid
+            heightType = 'ellipsoidal';
         }
         // 'meters' is already in meters, no conversion needed
         
         return {
             lat: lat,
             lon: lon,
-            elevation: elevationInMeters
+            elevation: elevationInMeters,
+            heightType: heightType,
+            ellipsoidalHeight: elevationInMeters === null || elevationInMeters === undefined
+                ? null
+                : this.geoid.convertHeight(lat, lon, elevationInMeters, heightType, 'ellipsoidal')
+        };
+    }
+
+    /**
+     * Convert geodetic coordinates to ECEF on the active ellipsoid
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {number} height - Ellipsoidal height in meters
+     * @returns {Object|null} - {x, y, z} in meters, or null if the position is invalid
+     */
+    convertToECEF(lat, lon, height = 0) {
+        if (!this.validateAndNormalize(lat, lon) || !isFinite(height)) {
+            return null;
+        }
+
+        return this.datums.toECEF(lat, lon, height);
+    }
+
+    /**
+     * Convert ECEF coordinates to geodetic on the active ellipsoid
+     * @param {number} x - X in meters
+     * @param {number} y - Y in meters
+     * @param {number} z - Z in meters
+     * @returns {Object|null} - {lat, lon, height} (height is ellipsoidal, in meters), or null at the Earth's center
+     */
+    convertFromECEF(x, y, z) {
+        return this.datums.fromECEF(x, y, z);
+    }
+
+    /**
+     * Format ECEF coordinates for display
+     * @param {Object} ecef - {x, y, z} in meters
+     * @returns {string} - e.g. "X 1492685.5494, Y -4307853.0193, Z 4446131.7528"
+     */
+    formatECEF(ecef) {
+        const precision = this.ecefPrecision;
+        return `X ${ecef.x.toFixed(precision)}, Y ${ecef.y.toFixed(precision)}, Z ${ecef.z.toFixed(precision)}`;
+    }
+
+    /**
+     * Convert geographic coordinates to UTM, or to UPS in the polar regions
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {number|null} forcedZone - Force output in this UTM zone (1-60)
+     * @returns {Object|null} - {system, zone, band, hemisphere, easting, northing, convergence, scale}
+     */
+    convertToUTM(lat, lon, forcedZone = null) {
+        if (!this.validateAndNormalize(lat, lon)) {
+            return null;
+        }
+
+        if (!forcedZone && (lat < -80 || lat >= 84)) {
+            return this.convertToUPS(lat, lon);
+        }
+
+        const zone = forcedZone || this.getUTMZone(lat, lon);
+        if (zone < 1 || zone > 60) {
+            return null;
+        }
+
+        const hemisphere = lat >= 0 ? 'N' : 'S';
+        const projected = this.projections.transverseMercatorForward(lat, lon, this.getUTMParameters(zone, hemisphere));
+
+        return {
+            system: 'UTM',
+            zone: zone,
+            band: this.getUTMBand(lat),
+            hemisphere: hemisphere,
+            easting: projected.easting,
+            northing: projected.northing,
+            convergence: projected.convergence,
+            scale: projected.scale
+        };
+    }
+
+    /**
+     * Convert UTM coordinates to geographic
+     * @param {number} zone - UTM zone (1-60)
+     * @param {string} hemisphere - 'N' or 'S'
+     * @param {number} easting - Easting in meters
+     * @param {number} northing - Northing in meters
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    convertFromUTM(zone, hemisphere, easting, northing) {
+        if (zone < 1 || zone > 60 || !isFinite(easting) || !isFinite(northing)) {
+            return null;
+        }
+
+        const result = this.projections.transverseMercatorInverse(
+            easting, northing, this.getUTMParameters(zone, hemisphere.toUpperCase())
+        );
+        return { lat: result.lat, lon: result.lon };
+    }
+
+    /**
+     * Convert geographic coordinates to UPS (Universal Polar Stereographic)
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {Object|null} - {system, zone, band, hemisphere, easting, northing, convergence, scale}
+     */
+    convertToUPS(lat, lon) {
+        if (!this.validateAndNormalize(lat, lon)) {
+            return null;
+        }
+
+        const hemisphere = lat >= 0 ? 'N' : 'S';
+        const projected = this.projections.polarStereographicForward(lat, lon, this.getUPSParameters(hemisphere));
+
+        // UPS zone letters: A/B south pole, Y/Z north pole (west/east of the prime meridian)
+        const band = hemisphere === 'N' ? (lon < 0 ? 'Y' : 'Z') : (lon < 0 ? 'A' : 'B');
+
+        return {
+            system: 'UPS',
+            zone: null,
+            band: band,
+            hemisphere: hemisphere,
+            easting: projected.easting,
+            northing: projected.northing,
+            convergence: projected.convergence,
+            scale: projected.scale
         };
     }
 
+    /**
+     * Convert UPS coordinates to geographic
+     * @param {string} hemisphere - 'N' or 'S'
+     * @param {number} easting - Easting in meters
+     * @param {number} northing - Northing in meters
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    convertFromUPS(hemisphere, easting, northing) {
+        if (!isFinite(easting) || !isFinite(northing)) {
+            return null;
+        }
+
+        const result = this.projections.polarStereographicInverse(
+            easting, northing, this.getUPSParameters(hemisphere.toUpperCase())
+        );
+        return { lat: result.lat, lon: result.lon };
+    }
+
+    /**
+     * Format a UTM/UPS result as a string
+     * @param {Object} grid - Result from convertToUTM or convertToUPS
+     * @returns {string} - e.g. '19T 345678.123 4927654.321' or 'Z 2000000.000 2000000.000'
+     */
+    formatUTM(grid) {
+        if (!grid) return '';
+
+        const easting = grid.easting.toFixed(this.gridPrecision);
+        const northing = grid.northing.toFixed(this.gridPrecision);
+
+        if (grid.system === 'UPS') {
+            return `${grid.band} ${easting} ${northing}`;
+        }
+        return `${grid.zone}${grid.band} ${easting} ${northing}`;
+    }
+
+    /**
+     * Determine the UTM zone, including the Norway and Svalbard exceptions
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {number} - UTM zone (1-60)
+     */
+    getUTMZone(lat, lon) {
+        const normalizedLon = lon >= 180 ? lon - 360 : lon;
+        let zone = Math.floor((normalizedLon + 180) / 6) + 1;
+
+        // Norway: zone 32V is widened to 3°E-12°E
+        if (lat >= 56 && lat < 64 && normalizedLon >= 3 && normalizedLon < 12) {
+            zone = 32;
+        }
+
+        // Svalbard: zones 32X, 34X and 36X are not used
+        if (lat >= 72 && lat < 84) {
+            if (normalizedLon >= 0 && normalizedLon < 9) zone = 31;
+            else if (normalizedLon >= 9 && normalizedLon < 21) zone = 33;
+            else if (normalizedLon >= 21 && normalizedLon < 33) zone = 35;
+            else if (normalizedLon >= 33 && normalizedLon < 42) zone = 37;
+        }
+
+        return zone;
+    }
+
+    /**
+     * Determine the UTM latitude band letter
+     * @param {number} lat - Latitude in decimal degrees
+     * @returns {string} - Band letter (C-X)
+     */
+    getUTMBand(lat) {
+        const index = Math.min(Math.floor((lat + 80) / 8), this.utmBands.length - 1);
+        return this.utmBands.charAt(Math.max(index, 0));
+    }
+
+    /**
+     * Transverse Mercator parameters for a UTM zone
+     * @param {number} zone - UTM zone (1-60)
+     * @param {string} hemisphere - 'N' or 'S'
+     * @returns {Object} - {lat0, lon0, k0, falseEasting, falseNorthing}
+     */
+    getUTMParameters(zone, hemisphere) {
+        return {
+            lat0: 0,
+            lon0: zone * 6 - 183,
+            k0: 0.9996,
+            falseEasting: 500000,
+            falseNorthing: hemisphere === 'S' ? 10000000 : 0
+        };
+    }
+
+    /**
+     * Polar Stereographic parameters for UPS
+     * @param {string} hemisphere - 'N' or 'S'
+     * @returns {Object} - {northPole, lon0, k0, falseEasting, falseNorthing}
+     */
+    getUPSParameters(hemisphere) {
+        return {
+            northPole: hemisphere === 'N',
+            lon0: 0,
+            k0: 0.994,
+            falseEasting: 2000000,
+            falseNorthing: 2000000
+        };
+    }
+
+    /**
+     * Convert geographic coordinates to an MGRS / USNG grid reference
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {number} digits - Digits per axis, 0 (100 km) to 5 (1 m)
+     * @returns {Object|null} - {system, zone, band, square, easting, northing, precision}
+     *                          (easting/northing are truncated digit strings, precision in meters)
+     */
+    convertToMGRS(lat, lon, digits = this.mgrsPrecision) {
+        if (!Number.isInteger(digits) || digits < 0 || digits > 5) {
+            return null;
+        }
+
+        const grid = this.convertToUTM(lat, lon);
+        if (!grid) {
+            return null;
+        }
+
+        const e100k = Math.floor(grid.easting / 100000);
+        const n100k = Math.floor(grid.northing / 100000);
+        let column, row;
+
+        if (grid.system === 'UPS') {
+            const columns = this.mgrsPolarColumns[grid.band];
+            const rows = this.mgrsPolarRows[grid.hemisphere];
+            column = columns.letters.charAt(e100k - columns.start);
+            row = rows.letters.charAt(n100k - rows.start);
+        } else {
+            column = this.mgrsColumnLetters[(grid.zone - 1) % 3].charAt(e100k - 1);
+            row = this.mgrsRowLetters.charAt((n100k + (grid.zone % 2 === 0 ? 5 : 0)) % 20);
+        }
+
+        if (!column || !row) {
+            return null;
+        }
+
+        // Grid references are truncated, not rounded, so they name the square containing the point
+        const precision = Math.pow(10, 5 - digits);
+        const truncate = value => digits === 0 ? '' :
+            String(Math.floor((value - Math.floor(value / 100000) * 100000) / precision)).padStart(digits, '0');
+
+        return {
+            system: grid.system,
+            zone: grid.zone,
+            band: grid.band,
+            square: column + row,
+            easting: truncate(grid.easting),
+            northing: truncate(grid.northing),
+            precision: precision
+        };
+    }
+
+    /**
+     * Convert an MGRS / USNG grid reference to geographic (centre of the referenced square)
+     * @param {number|null} zone - UTM zone (1-60), or null for the polar bands A, B, Y and Z
+     * @param {string} band - Latitude band letter
+     * @param {string} square - Two-letter 100 km square identifier
+     * @param {string} easting - Easting digits within the square (0-5 digits)
+     * @param {string} northing - Northing digits within the square (same length as easting)
+     * @returns {Object|null} - {lat: number, lon: number, precision: number}
+     */
+    convertFromMGRS(zone, band, square, easting = '', northing = '') {
+        const digits = easting.length;
+        if (digits !== northing.length || digits > 5 || !/^[A-Z]{2}$/i.test(square)) {
+            return null;
+        }
+
+        const precision = Math.pow(10, 5 - digits);
+        const eastingInSquare = ((digits ? parseInt(easting, 10) : 0) + 0.5) * precision;
+        const northingInSquare = ((digits ? parseInt(northing, 10) : 0) + 0.5) * precision;
+        const bandLetter = band.toUpperCase();
+        const columnLetter = square.charAt(0).toUpperCase();
+        const rowLetter = square.charAt(1).toUpperCase();
+        let result;
+
+        if (!zone) {
+            const columns = this.mgrsPolarColumns[bandLetter];
+            if (!columns) {
+                return null;
+            }
+
+            const hemisphere = 'YZ'.includes(bandLetter) ? 'N' : 'S';
+            const rows = this.mgrsPolarRows[hemisphere];
+            const column = columns.letters.indexOf(columnLetter);
+            const row = rows.letters.indexOf(rowLetter);
+            if (column < 0 || row < 0) {
+                return null;
+            }
+
+            result = this.convertFromUPS(hemisphere,
+                (columns.start + column) * 100000 + eastingInSquare,
+                (rows.start + row) * 100000 + northingInSquare);
+        } else {
+            if (zone < 1 || zone > 60 || !this.utmBands.includes(bandLetter)) {
+                return null;
+            }
+
+            const column = this.mgrsColumnLetters[(zone - 1) % 3].indexOf(columnLetter);
+            const row = this.mgrsRowLetters.indexOf(rowLetter);
+            if (column < 0 || row < 0) {
+                return null;
+            }
+
+            const hemisphere = bandLetter >= 'N' ? 'N' : 'S';
+            const utmEasting = (column + 1) * 100000 + eastingInSquare;
+            let utmNorthing = ((row - (zone % 2 === 0 ? 5 : 0) + 20) % 20) * 100000 + northingInSquare;
+
+            // Row letters repeat every 2,000 km: take the first cycle at or above the band's
+            // southern edge (less 100 km, as parallels curve away from the central meridian)
+            const bandLat = -80 + this.utmBands.indexOf(bandLetter) * 8;
+            const bandNorthing = this.projections.transverseMercatorForward(
+                bandLat, zone * 6 - 183, this.getUTMParameters(zone, hemisphere)
+            ).northing;
+            while (utmNorthing < bandNorthing - 100000) {
+                utmNorthing += 2000000;
+            }
+
+            result = this.convertFromUTM(zone, hemisphere, utmEasting, utmNorthing);
+        }
+
+        return result ? { lat: result.lat, lon: result.lon, precision: precision } : null;
+    }
+
+    /**
+     * Format an MGRS result in the spaced USNG style
+     * @param {Object} mgrs - Result from convertToMGRS
+     * @returns {string} - e.g. '19T CK 49789 26191' or 'Z AH 00000 00000'
+     */
+    formatMGRS(mgrs) {
+        if (!mgrs) return '';
+
+        const gridZone = mgrs.system === 'UPS' ? mgrs.band : `${mgrs.zone}${mgrs.band}`;
+        const digits = mgrs.easting ? ` ${mgrs.easting} ${mgrs.northing}` : '';
+        return `${gridZone} ${mgrs.square}${digits}`;
+    }
+
+    /**
+     * Convert geographic coordinates to a State Plane (SPCS 83) zone
+     * @param {number} lat - Latitude in decimal degrees (NAD83)
+     * @param {number} lon - Longitude in decimal degrees (NAD83)
+     * @param {string} zoneCode - FIPS zone code (defaults to the selected zone)
+     * @param {string} unit - Grid unit ('meters', 'feet', 'survey-feet')
+     * @returns {Object|null} - {system, zone, zoneName, northing, easting, unit, convergence, scale}
+     */
+    convertToStatePlane(lat, lon, zoneCode = this.statePlaneZone, unit = this.statePlaneUnit) {
+        const zone = this.statePlaneZones[zoneCode];
+        if (!zone || !this.gridUnits[unit] || !this.validateAndNormalize(lat, lon)) {
+            return null;
+        }
+
+        const ellipsoid = this.datums.getEllipsoid('GRS80');
+        const projected = zone.projection === 'LCC'
+            ? this.projections.lambertConformalConicForward(lat, lon, zone, ellipsoid)
+            : this.projections.transverseMercatorForward(lat, lon, zone, ellipsoid);
+        const factor = this.gridUnits[unit].factor;
+
+        return {
+            system: 'SPCS83',
+            zone: zoneCode,
+            zoneName: zone.name,
+            northing: projected.northing / factor,
+            easting: projected.easting / factor,
+            unit: unit,
+            convergence: projected.convergence,
+            scale: projected.scale
+        };
+    }
+
+    /**
+     * Convert State Plane (SPCS 83) coordinates to geographic
+     * @param {string} zoneCode - FIPS zone code
+     * @param {number} northing - Northing in the given unit
+     * @param {number} easting - Easting in the given unit
+     * @param {string} unit - Grid unit ('meters', 'feet', 'survey-feet')
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    convertFromStatePlane(zoneCode, northing, easting, unit = this.statePlaneUnit) {
+        const zone = this.statePlaneZones[zoneCode];
+        if (!zone || !this.gridUnits[unit] || !isFinite(northing) || !isFinite(easting)) {
+            return null;
+        }
+
+        const ellipsoid = this.datums.getEllipsoid('GRS80');
+        const factor = this.gridUnits[unit].factor;
+        const result = zone.projection === 'LCC'
+            ? this.projections.lambertConformalConicInverse(easting * factor, northing * factor, zone, ellipsoid)
+            : this.projections.transverseMercatorInverse(easting * factor, northing * factor, zone, ellipsoid);
+
+        return this.validateAndNormalize(result.lat, result.lon);
+    }
+
+    /**
+     * Format a State Plane result as a string that the parser reads back
+     * @param {Object} grid - Result from convertToStatePlane
+     * @returns {string} - e.g. '1802 N 123456.789 E 2876543.210 usft'
+     */
+    formatStatePlane(grid) {
+        if (!grid) return '';
+
+        const northing = grid.northing.toFixed(this.gridPrecision);
+        const easting = grid.easting.toFixed(this.gridPrecision);
+        return `${grid.zone} N ${northing} E ${easting} ${this.gridUnits[grid.unit].suffix}`;
+    }
+
+    /**
+     * Select the State Plane zone and unit used by default
+     * @param {string|null} zoneCode - FIPS zone code, or null for none
+     * @param {string} unit - Grid unit ('meters', 'feet', 'survey-feet')
+     * @returns {boolean} - True if the zone and unit are known
+     */
+    setStatePlaneZone(zoneCode, unit = this.statePlaneUnit) {
+        if ((zoneCode && !this.statePlaneZones[zoneCode]) || !this.gridUnits[unit]) {
+            return false;
+        }
+        this.statePlaneZone = zoneCode || null;
+        this.statePlaneUnit = unit;
+        return true;
+    }
+
+    /**
+     * Explain why a State Plane zone cannot be used
+     * @param {string|null} zoneCode - FIPS zone code, or null when none was given or selected
+     * @returns {string|null} - Error message, or null if the zone is available
+     */
+    getStatePlaneZoneError(zoneCode) {
+        if (!zoneCode) {
+            return 'No State Plane zone selected. Put the FIPS zone code before the northing (e.g. 1802 N ...) or select a zone in the converter.';
+        }
+        if (!this.statePlaneZones[zoneCode]) {
+            return `State Plane zone ${zoneCode} is not supported. Only the New England and New York zones are available: ` +
+                Object.keys(this.statePlaneZones).sort().join(', ') + '.';
+        }
+        return null;
+    }
+
+    /**
+     * List the available State Plane zones
+     * @returns {Array} - Array of {code, name}
+     */
+    listStatePlaneZones() {
+        return Object.keys(this.statePlaneZones).map(code => ({
+            code: code,
+            name: this.statePlaneZones[code].name
+        }));
+    }
+
+    /**
+     * Find a grid unit from a suffix written in input data
+     * @param {string} suffix - e.g. 'm', 'ft', 'ift', 'usft'
+     * @returns {string|null} - Unit key ('meters', 'feet', 'survey-feet') or null
+     */
+    findGridUnit(suffix) {
+        const normalized = (suffix || '').toLowerCase();
+        if (normalized === 'ft') {
+            return 'feet';
+        }
+        if (normalized === 'sft') {
+            return 'survey-feet';
+        }
+        return Object.keys(this.gridUnits).find(unit => this.gridUnits[unit].suffix === normalized) || null;
+    }
+
     /**
      * Validate and normalize coordinate values
      * @param {number} lat - Latitude
@@ -4,7 +4,14 @@
  */
 
 class CoordinateParser {
-    constructor() {
+    /**
+     * @param {GeodeticDatums} datums - Datum registry used to recognise datum tags in input
+     * @param {CoordinateConverter} converter - Converter used to turn grid coordinates into lat/lon
+     */
+    constructor(datums = new GeodeticDatums(), converter = new CoordinateConverter(datums)) {
+        this.datums = datums;
+        this.converter = converter;
+
         // Regex patterns for different coordinate formats
         this.patterns = {
             // DMS with symbols: 44° 28' 24.32661" -70° 53' 19.05717"
@@ -19,8 +26,44 @@ class CoordinateParser {
             // Decimal with cardinal: N44.4734245277 W70.88862750833
             decimalWithCardinal: /([NS])(\d+(?:\.\d+)?)\s*,?\s*([EW])(\d+(?:\.\d+)?)/i,
 
+            // Degrees decimal minutes with optional symbols and cardinals:
+            // N44 28.40544 W70 53.31762, 44° 28.40544' N 70° 53.31762' W, 44 28.40544 -70 53.31762
+            ddm: /^([NS])?\s*(-?\d{1,3})(?:°\s*|\s+)(\d{1,2}(?:\.\d+)?)['′]?\s*([NS])?\s*,?\s*([EW])?\s*(-?\d{1,3})(?:°\s*|\s+)(\d{1,2}(?:\.\d+)?)['′]?\s*([EW])?$/i,
+
             // Space separated DMS (OPUS style): 41 48 15.79259 112 50 1.04150
-            dmsSpaceSeparated: /^(-?\d+)\s+(\d+)\s+(\d+(?:\.\d+)?)\s+(-?\d+)\s+(\d+)\s+(\d+(?:\.\d+)?)$/
+            dmsSpaceSeparated: /^(-?\d+)\s+(\d+)\s+(\d+(?:\.\d+)?)\s+(-?\d+)\s+(\d+)\s+(\d+(?:\.\d+)?)$/,
+
+            // UTM with zone and latitude band: 19T 345678.123 4927654.321
+            utm: /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:mE|E)?\s*,?\s+(\d+(?:\.\d+)?)\s*(?:mN|N)?$/i,
+
+            // UPS with polar zone letter: Z 2000000.000 1999888.976
+            ups: /^([ABYZ])\s+(\d+(?:\.\d+)?)\s*(?:mE|E)?\s*,?\s+(\d+(?:\.\d+)?)\s*(?:mN|N)?$/i,
+
+            // MGRS / USNG, 0-5 digits per axis, spaced or compact: 19T CK 49789 26191, 19TCK4978926191, Z AH 00000 00000
+            mgrs: /^(\d{1,2})?\s*([A-HJ-NP-Z])\s*([A-HJ-NP-Z]{2})\s*(\d{0,10})\s*,?\s*(\d{0,5})$/i,
+
+            // ECEF X/Y/Z in meters with an optional ECEF/XYZ marker and axis labels:
+            // 1492685.5494 -4307853.0193 4446131.7528, ECEF 1492685.5 -4307853.0 4446131.8, X=1492685.5 Y=-4307853.0 Z=4446131.8
+            ecef: /^(?:(ECEF|XYZ)\s*:?\s*)?(?:(X)\s*[:=]?\s*)?(-?\d+(?:\.\d+)?)\s*,?\s*(?:Y\s*[:=]?\s*|\s)(-?\d+(?:\.\d+)?)\s*,?\s*(?:Z\s*[:=]?\s*|\s)(-?\d+(?:\.\d+)?)$/i,
+
+            // State Plane northing/easting with optional FIPS zone and unit: 1802 N 123456.789 E 2876543.210 usft
+            statePlane: /^(?:(\d{4})\s+)?N\s*(\d{4,}(?:\.\d+)?)\s*,?\s*E\s*(\d{4,}(?:\.\d+)?)\s*(m|ft|ift|usft|sft)?$/i,
+
+            // Angle in decimal degrees or DMS: 45.5, 45°30'15", 45 30 15, 45-30-15
+            angle: /^(\d+(?:\.\d+)?)°?(?:[\s-]*(\d+(?:\.\d+)?)['′]?(?:[\s-]*(\d+(?:\.\d+)?)["″]?)?)?$/,
+
+            // Quadrant bearing: N 45°30'15" E, S45.5W
+            bearing: /^([NS])\s*(.+?)\s*([EW])$/i
+        };
+
+        // Unmarked X/Y/Z triples are read as ECEF only when their distance from the Earth's center (meters)
+        // is within this range, i.e. near the Earth's surface
+        this.ecefRadiusRange = { min: 6300000, max: 6500000 };
+
+        // Height type tags that may follow an elevation: 44.47 -70.88 152.3 NAVD88
+        this.heightTypeTags = {
+            orthometric: ['NAVD88', 'NAVD 88', 'NGVD29', 'NGVD 29', 'ORTHOMETRIC', 'ORTHO', 'MSL'],
+            ellipsoidal: ['ELLIPSOIDAL', 'ELLIP', 'HAE']
         };
     }
 
@@ -30,37 +73,44 @@ class CoordinateParser {
      * @returns {Object|null} - {lat: number, lon: number} or null if parsing fails
      */
     parseCoordinate(input) {
+        const match = this.matchCoordinate(input);
+        return match ? match.coordinate : null;
+    }
+
+    /**
+     * Find the first pattern that matches a coordinate string and parse it with that pattern
+     * @param {string} input - The coordinate string to parse
+     * @returns {Object|null} - {pattern: string, coordinate: Object|null} (coordinate is null when the
+     *                          pattern matched but the values are invalid), or null if no pattern matched
+     */
+    matchCoordinate(input) {
         if (!input || typeof input !== 'string') {
             return null;
         }
 
-        const trimmedInput = input.trim();
+        const trimmedInput = this.extractDatumTag(input).text;
         
         // Try each pattern in order of specificity
         // Try space-separated DMS first as it's very specific
-        let match = this.patterns.dmsSpaceSeparated.exec(trimmedInput);
-        if (match) {
-            return this.parseDMSSpaceSeparated(match);
-        }
-
-        match = this.patterns.dmsWithCardinal.exec(trimmedInput);
-        if (match) {
-            return this.parseDMSWithCardinal(match);
-        }
-
-        match = this.patterns.dmsWithSymbols.exec(trimmedInput);
-        if (match) {
-            return this.parseDMSWithSymbols(match);
-        }
+        const handlers = [
+            ['dmsSpaceSeparated', this.parseDMSSpaceSeparated],
+            ['ecef', this.parseECEF],
+            ['utm', this.parseUTM],
+            ['ups', this.parseUPS],
+            ['mgrs', this.parseMGRS],
+            ['statePlane', this.parseStatePlane],
+            ['ddm', this.parseDDM],
+            ['dmsWithCardinal', this.parseDMSWithCardinal],
+            ['dmsWithSymbols', this.parseDMSWithSymbols],
+            ['decimalWithCardinal', this.parseDecimalWithCardinal],
+            ['decimalDegrees', this.parseDecimalDegrees]
+        ];
 
-        match = this.patterns.decimalWithCardinal.exec(trimmedInput);
-        if (match) {
-            return this.parseDecimalWithCardinal(match);
-        }
-
-        match = this.patterns.decimalDegrees.exec(trimmedInput);
-        if (match) {
-            return this.parseDecimalDegrees(match);
+        for (const [pattern, handler] of handlers) {
+            const match = this.patterns[pattern].exec(trimmedInput);
+            if (match) {
+                return { pattern: pattern, coordinate: handler.call(this, match) };
+            }
         }
 
         return null;
@@ -80,6 +130,141 @@ class CoordinateParser {
         return { lat, lon };
     }
 
+    /**
+     * Parse ECEF X/Y/Z. Without an ECEF/XYZ marker or axis labels the triple is only accepted when it
+     * lies near the Earth's surface, so that lat/lon/elevation lines are not mistaken for XYZ.
+     * @param {Array} match - Regex match array
+     * @returns {Object|null} - {lat, lon, elevation, heightType, ecef}: the ellipsoidal height in meters
+     *                          and the original {x, y, z}
+     */
+    parseECEF(match) {
+        const [, marker, label, xStr, yStr, zStr] = match;
+        const x = parseFloat(xStr);
+        const y = parseFloat(yStr);
+        const z = parseFloat(zStr);
+
+        const radius = Math.sqrt(x * x + y * y + z * z);
+        if (!marker && !label && (radius < this.ecefRadiusRange.min || radius > this.ecefRadiusRange.max)) {
+            return null;
+        }
+
+        const geodetic = this.converter.convertFromECEF(x, y, z);
+        if (!geodetic) {
+            return null;
+        }
+
+        return {
+            lat: geodetic.lat,
+            lon: geodetic.lon,
+            elevation: geodetic.height,
+            heightType: 'ellipsoidal',
+            ecef: { x, y, z }
+        };
+    }
+
+    /**
+     * Parse UTM format. The letter after the zone is read as an MGRS latitude
+     * band, so bands N-X are northern and C-M southern.
+     * @param {Array} match - Regex match array
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    parseUTM(match) {
+        const [, zoneStr, band, eastingStr, northingStr] = match;
+        const zone = parseInt(zoneStr, 10);
+        const easting = parseFloat(eastingStr);
+        const northing = parseFloat(northingStr);
+
+        if (zone < 1 || zone > 60 || easting <= 0 || easting >= 1000000 || northing < 0 || northing > 10000000) {
+            return null;
+        }
+
+        const hemisphere = band.toUpperCase() >= 'N' ? 'N' : 'S';
+        return this.converter.convertFromUTM(zone, hemisphere, easting, northing);
+    }
+
+    /**
+     * Parse UPS format
+     * @param {Array} match - Regex match array
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    parseUPS(match) {
+        const [, zone, eastingStr, northingStr] = match;
+        const hemisphere = 'YZ'.includes(zone.toUpperCase()) ? 'N' : 'S';
+        return this.converter.convertFromUPS(hemisphere, parseFloat(eastingStr), parseFloat(northingStr));
+    }
+
+    /**
+     * Parse an MGRS / USNG grid reference. Compact references have their digits split
+     * in half; the result is the centre of the referenced square.
+     * @param {Array} match - Regex match array
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    parseMGRS(match) {
+        const [, zoneStr, band, square, first, second] = match;
+        let easting = first, northing = second;
+
+        if (!second) {
+            if (first.length % 2 !== 0) {
+                return null;
+            }
+            easting = first.slice(0, first.length / 2);
+            northing = first.slice(first.length / 2);
+        }
+
+        const zone = zoneStr ? parseInt(zoneStr, 10) : null;
+        const result = this.converter.convertFromMGRS(zone, band, square, easting, northing);
+        return result ? { lat: result.lat, lon: result.lon } : null;
+    }
+
+    /**
+     * Parse State Plane northing/easting. Without a zone code or unit suffix the
+     * converter's selected zone and unit are used.
+     * @param {Array} match - Regex match array
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    parseStatePlane(match) {
+        const [, zoneCode, northingStr, eastingStr, unitSuffix] = match;
+        const zone = zoneCode || this.converter.statePlaneZone;
+        const unit = unitSuffix ? this.converter.findGridUnit(unitSuffix) : this.converter.statePlaneUnit;
+
+        return this.converter.convertFromStatePlane(zone, parseFloat(northingStr), parseFloat(eastingStr), unit);
+    }
+
+    /**
+     * Explain why State Plane input names a zone that cannot be used
+     * @param {string} input - State Plane coordinate string
+     * @returns {string|null} - Zone error, or null if the input is not State Plane or its zone is available
+     */
+    getStatePlaneZoneError(input) {
+        const match = this.patterns.statePlane.exec(this.extractDatumTag(input || '').text);
+        return match ? this.converter.getStatePlaneZoneError(match[1] || this.converter.statePlaneZone) : null;
+    }
+
+    /**
+     * Parse degrees decimal minutes. A cardinal may lead or trail each value, but not both.
+     * @param {Array} match - Regex match array
+     * @returns {Object|null} - {lat: number, lon: number}
+     */
+    parseDDM(match) {
+        const [, latLead, latDeg, latMin, latTrail, lonLead, lonDeg, lonMin, lonTrail] = match;
+
+        if ((latLead && latTrail) || (lonLead && lonTrail) ||
+            parseFloat(latMin) >= 60 || parseFloat(lonMin) >= 60) {
+            return null;
+        }
+
+        let lat = Math.abs(parseFloat(latDeg)) + parseFloat(latMin) / 60;
+        let lon = Math.abs(parseFloat(lonDeg)) + parseFloat(lonMin) / 60;
+
+        // Apply signs from negative degrees or cardinal directions
+        const latCardinal = (latLead || latTrail || '').toUpperCase();
+        const lonCardinal = (lonLead || lonTrail || '').toUpperCase();
+        if (latDeg.startsWith('-') || latCardinal === 'S') lat = -lat;
+        if (lonDeg.startsWith('-') || lonCardinal === 'W') lon = -lon;
+
+        return { lat, lon };
+    }
+
     /**
      * Parse DMS format with cardinal directions
      * @param {Array} match - Regex match array
@@ -160,110 +345,312 @@ class CoordinateParser {
     }
 
     /**
-     * Parse multiple coordinates from a text input (one per line)
+     * Parse an azimuth or quadrant bearing
+     * @param {string} input - Decimal degrees (45.5), DMS (45°30'15", 45 30 15, 45-30-15) or a
+     *                         quadrant bearing (N 45°30'15" E)
+     * @returns {number|null} - Azimuth clockwise from north in degrees [0, 360), or null if invalid
+     */
+    parseAzimuth(input) {
+        if (!input || typeof input !== 'string') {
+            return null;
+        }
+
+        const text = input.trim();
+        const quadrant = this.patterns.bearing.exec(text);
+        const match = this.patterns.angle.exec(quadrant ? quadrant[2] : text);
+        if (!match) {
+            return null;
+        }
+
+        const [, degreesText, minutesText, secondsText] = match;
+        const minutes = minutesText ? parseFloat(minutesText) : 0;
+        const seconds = secondsText ? parseFloat(secondsText) : 0;
+
+        // Only the last component may have decimals, and minutes and seconds must be below 60
+        if ((minutesText && degreesText.includes('.')) || (secondsText && minutesText.includes('.')) ||
+            minutes >= 60 || seconds >= 60) {
+            return null;
+        }
+
+        const angle = this.dmsToDecimal(parseFloat(degreesText), minutes, seconds);
+
+        if (quadrant) {
+            if (angle > 90) {
+                return null;
+            }
+            const northSouth = quadrant[1].toUpperCase();
+            const eastWest = quadrant[3].toUpperCase();
+            const azimuth = northSouth === 'N'
+                ? (eastWest === 'E' ? angle : 360 - angle)
+                : (eastWest === 'E' ? 180 - angle : 180 + angle);
+            return azimuth % 360;
+        }
+
+        return angle <= 360 ? angle % 360 : null;
+    }
+
+    /**
+     * Parse multiple coordinates from a text input (one per line) and report on every line
      * @param {string} input - Multi-line coordinate text
-     * @returns {Array} - Array of {lat: number, lon: number, elevation?: number}
+     * @returns {Object} - {coordinates, lines}: coordinates is an array of
+     *                     {lat, lon, elevation, datum, heightType} for the accepted lines; lines has one
+     *                     {lineNumber, input, pattern, coordinate, warnings, error} entry per non-blank line
      */
     parseMultipleCoordinates(input) {
+        const report = { coordinates: [], lines: [] };
         if (!input || typeof input !== 'string') {
-            return [];
+            return report;
         }
 
-        const lines = input.split('\n').filter(line => line.trim());
-        const coordinates = [];
-
-        for (const line of lines) {
+        input.split('\n').forEach((line, index) => {
             const trimmedLine = line.trim();
-            if (!trimmedLine) continue;
+            if (!trimmedLine) return;
 
             // Try to parse coordinate with optional elevation
-            const coordWithElevation = this.parseCoordinateWithElevation(trimmedLine);
-            if (coordWithElevation) {
-                coordinates.push(coordWithElevation);
+            const result = this.parseLineWithDiagnostics(trimmedLine);
+            report.lines.push({ lineNumber: index + 1, input: trimmedLine, ...result });
+            if (result.coordinate) {
+                report.coordinates.push(result.coordinate);
             }
-        }
+        });
 
-        return coordinates;
+        return report;
     }
 
     /**
      * Parse coordinate with optional elevation
      * @param {string} input - Coordinate string with optional elevation
-     * @returns {Object|null} - {lat: number, lon: number, elevation?: number}
+     * @returns {Object|null} - {lat: number, lon: number, elevation?: number, datum: string|null, heightType: string|null,
+     *                          ecef?: Object} (ecef holds the original {x, y, z} of ECEF input)
      */
     parseCoordinateWithElevation(input) {
+        return this.parseLineWithDiagnostics(input).coordinate;
+    }
+
+    /**
+     * Parse a coordinate with optional elevation and describe how the line was interpreted
+     * @param {string} input - Coordinate string with optional elevation
+     * @returns {Object} - {coordinate, pattern, warnings, error}: coordinate is
+     *                     {lat, lon, elevation, datum, heightType} or null when the line is rejected,
+     *                     pattern is the matched pattern name and error explains a rejection
+     */
+    parseLineWithDiagnostics(input) {
+        const warnings = [];
+        const reject = (error, pattern = null) => ({ coordinate: null, pattern: pattern, warnings: warnings, error: error });
+
+        // Remove any datum tag (e.g. "NAD83(2011)") and height type tag (e.g. "NAVD88") before splitting
+        const { datum, text: untagged } = this.extractDatumTag(input || '');
+        const { heightType: taggedHeightType, text } = this.extractHeightTypeTag(untagged);
+        let heightType = taggedHeightType;
+
         // Split by common delimiters and try to extract elevation
-        const parts = input.split(/[\s,;|\t]+/).filter(part => part.trim());
+        const parts = text.split(/[\s,;|\t]+/).filter(part => part.trim());
         
-        if (parts.length < 2) {
-            return null;
+        if (parts.length === 0) {
+            return reject('No coordinate values found');
         }
 
-        // Try different combinations
-        let coordinateStr, elevation;
+        // Try different combinations; the coordinate spans parts[start] to parts[start + count - 1]
+        let start = 0;
+        let count = null;
         
-        if (parts.length === 2) {
+        if (parts.length === 2 && this.matchesEntireInput(parts.join(' '))) {
             // Only lat, lon
-            coordinateStr = parts.join(' ');
-        } else if (parts.length === 3) {
+            count = 2;
+        } else if (parts.length === 3 && !this.matchesEntireInput(parts.join(' '))) {
             // lat, lon, elevation
-            coordinateStr = parts.slice(0, 2).join(' ');
-            elevation = parseFloat(parts[2]);
+            count = 2;
         } else {
-            // More than 3 parts - try to find coordinate pattern
-            // Try 6 parts first (for space-separated DMS), then 2 parts (for decimal)
-            const coordinateCounts = [6, 2];
+            // More than 3 parts (or a grid or ECEF coordinate) - try to find coordinate pattern
+            // Try 6 parts first (for space-separated DMS and labelled ECEF), then 5 to 3 (for UTM/UPS, MGRS, State Plane and ECEF),
+            // then 2 (for decimal) and 1 (for compact MGRS)
+            const coordinateCounts = [6, 5, 4, 3, 2, 1];
+            let unsupported = null;
             
-            for (const count of coordinateCounts) {
-                if (parts.length >= count) {
-                    for (let i = 0; i <= parts.length - count; i++) {
-                        const testStr = parts.slice(i, i + count).join(' ');
-                        const coord = this.parseCoordinate(testStr);
+            for (const testCount of coordinateCounts) {
+                if (parts.length >= testCount) {
+                    for (let i = 0; i <= parts.length - testCount; i++) {
+                        const testStr = parts.slice(i, i + testCount).join(' ');
+                        // A lone word such as "bar" would otherwise read as a polar MGRS 100 km square
+                        if (testCount === 1 && !/\d/.test(testStr)) continue;
+                        const entire = this.matchesEntireInput(testStr);
+                        const coord = entire && this.parseCoordinate(testStr);
+                        // Remember a State Plane coordinate in an unsupported zone so the rejection names the zone
+                        if (entire && !coord && !unsupported && this.getStatePlaneZoneError(testStr)) {
+                            unsupported = { start: i, count: testCount };
+                        }
                         if (coord) {
-                            coordinateStr = testStr;
-                            // Check if there's an elevation after the coordinate
-                            if (i + count < parts.length) {
-                                elevation = parseFloat(parts[i + count]);
-                            }
+                            start = i;
+                            count = testCount;
                             break;
                         }
                     }
                 }
-                if (coordinateStr) break;
+                if (count) break;
             }
             
-            if (!coordinateStr) {
+            if (!count && unsupported) {
+                ({ start, count } = unsupported);
+            } else if (!count) {
                 // Fallback: try first two parts as coordinate
-                coordinateStr = parts.slice(0, 2).join(' ');
-                if (parts.length > 2) {
-                    elevation = parseFloat(parts[2]);
-                }
+                count = 2;
             }
         }
 
-        const coordinate = this.parseCoordinate(coordinateStr);
-        if (!coordinate) {
-            return null;
+        const coordinateStr = parts.slice(start, start + count).join(' ');
+        const match = this.matchCoordinate(coordinateStr);
+        if (!match) {
+            return reject(`No supported coordinate format recognised (tried "${coordinateStr}")`);
+        }
+        if (!match.coordinate) {
+            const zoneError = match.pattern === 'statePlane' ? this.getStatePlaneZoneError(coordinateStr) : null;
+            if (zoneError) {
+                return reject(zoneError, match.pattern);
+            }
+            return reject(`"${coordinateStr}" looks like ${match.pattern} but its values are invalid`, match.pattern);
+        }
+
+        const { lat, lon } = match.coordinate;
+        if (!isFinite(lat) || !isFinite(lon)) {
+            return reject('Coordinate values are not finite numbers', match.pattern);
+        }
+        if (lat < -90 || lat > 90) {
+            return reject(`Latitude ${lat} is out of range (-90 to 90)`, match.pattern);
+        }
+
+        const normalized = this.converter.validateAndNormalize(lat, lon);
+        if (normalized.lon !== lon) {
+            warnings.push(`Longitude ${lon} is out of range and was normalized to ${normalized.lon}`);
+        }
+
+        // ECEF coordinates carry their own ellipsoidal height; otherwise check for an elevation after the coordinate
+        const ecef = match.coordinate.ecef || null;
+        let elevation = null;
+        const elevationStr = ecef ? undefined : parts[start + count];
+        if (ecef) {
+            elevation = match.coordinate.elevation;
+            if (heightType === 'orthometric') {
+                warnings.push('Height type tag ignored because ECEF coordinates give ellipsoidal heights');
+            }
+            heightType = 'ellipsoidal';
+        } else if (elevationStr !== undefined) {
+            elevation = parseFloat(elevationStr);
+            if (isNaN(elevation)) {
+                warnings.push(`Elevation column "${elevationStr}" is not a number and was ignored`);
+                elevation = null;
+            }
+        }
+
+        const ignored = parts.slice(0, start).concat(parts.slice(start + count + (ecef ? 0 : 1)));
+        if (ignored.length > 0) {
+            warnings.push(`Extra column(s) ignored: ${ignored.join(' ')}`);
+        }
+        if (heightType && elevation === null) {
+            warnings.push('Height type tag ignored because the line has no elevation');
+        }
+
+        const coordinate = {
+            lat: lat,
+            lon: normalized.lon,
+            elevation: elevation,
+            datum: datum,
+            heightType: heightType
+        };
+        if (ecef) {
+            coordinate.ecef = ecef;
+        }
+
+        return {
+            coordinate: coordinate,
+            pattern: match.pattern,
+            warnings: warnings,
+            error: null
+        };
+    }
+
+    /**
+     * Check whether a coordinate pattern matches the whole input rather than just a prefix
+     * @param {string} input - Coordinate string
+     * @returns {boolean} - True if some pattern spans the entire string
+     */
+    matchesEntireInput(input) {
+        return Object.values(this.patterns).some(pattern => {
+            const match = pattern.exec(input);
+            return match !== null && match.index === 0 && match[0].length === input.length;
+        });
+    }
+
+    /**
+     * Find and remove a datum tag such as "NAD83(2011)" or "WGS84" from the input
+     * @param {string} input - Coordinate string
+     * @returns {Object} - {datum: string|null, text: string} with the datum key and remaining text
+     */
+    extractDatumTag(input) {
+        const aliases = Object.values(this.datums.datums)
+            .reduce((all, datum) => all.concat(datum.aliases), [])
+            .sort((a, b) => b.length - a.length)
+            .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        const tagPattern = new RegExp(`(^|[\\s,;|])(${aliases.join('|')})(?=$|[\\s,;|])`, 'i');
+        const match = tagPattern.exec(input);
+        if (!match) {
+            return { datum: null, text: input.trim() };
         }
 
+        const text = (input.slice(0, match.index) + match[1] + input.slice(match.index + match[0].length)).trim();
         return {
-            lat: coordinate.lat,
-            lon: coordinate.lon,
-            elevation: elevation !== undefined ? elevation : null
+            datum: this.datums.findDatum(match[2]),
+            text: text
         };
     }
 
+    /**
+     * Find and remove a height type tag such as "NAVD88" or "HAE" from the input
+     * @param {string} input - Coordinate string
+     * @returns {Object} - {heightType: string|null, text: string} with 'ellipsoidal'/'orthometric' and remaining text
+     */
+    extractHeightTypeTag(input) {
+        for (const [heightType, tags] of Object.entries(this.heightTypeTags)) {
+            const escaped = tags.map(tag => tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            const tagPattern = new RegExp(`(^|[\\s,;|])(${escaped.join('|')})(?=$|[\\s,;|])`, 'i');
+            const match = tagPattern.exec(input);
+            if (match) {
+                const text = (input.slice(0, match.index) + match[1] + input.slice(match.index + match[0].length)).trim();
+                return { heightType: heightType, text: text };
+            }
+        }
+
+        return { heightType: null, text: input.trim() };
+    }
+
     /**
      * Detect the format of a coordinate string
      * @param {string} input - Coordinate string
-     * @returns {string} - Format type ('dms', 'decimal', 'unknown')
+     * @returns {string} - Format type ('dms', 'ddm', 'decimal', 'utm', 'mgrs', 'stateplane', 'ecef', 'unknown')
      */
     detectFormat(input) {
         if (!input || typeof input !== 'string') {
             return 'unknown';
         }
 
-        const trimmedInput = input.trim();
+        const trimmedInput = this.extractDatumTag(input).text;
+
+        const ecefMatch = this.patterns.ecef.exec(trimmedInput);
+        if (ecefMatch && this.parseECEF(ecefMatch)) {
+            return 'ecef';
+        }
+
+        if (this.patterns.utm.test(trimmedInput) || this.patterns.ups.test(trimmedInput)) {
+            return 'utm';
+        }
+
+        if (this.patterns.mgrs.test(trimmedInput)) {
+            return 'mgrs';
+        }
+
+        if (this.patterns.statePlane.test(trimmedInput)) {
+            return 'stateplane';
+        }
 
         if (this.patterns.dmsWithCardinal.test(trimmedInput) || 
             this.patterns.dmsWithSymbols.test(trimmedInput) ||
@@ -271,6 +658,10 @@ class CoordinateParser {
             return 'dms';
         }
 
+        if (this.patterns.ddm.test(trimmedInput)) {
+            return 'ddm';
+        }
+
         if (this.patterns.decimalWithCardinal.test(trimmedInput) || 
             this.patterns.decimalDegrees.test(trimmedInput)) {
             return 'decimal';
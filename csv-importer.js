@@ -0,0 +1,372 @@
+/**
+ * CSV Importer
+ * Reads delimited point files (CSV, TSV, PNEZD exports), detects the delimiter and header row,
+ * and maps columns to point name, latitude/northing, longitude/easting, elevation and unit
+ */
+
+class CsvImporter {
+    /**
+     * @param {CoordinateParser} parser - Parser used to read the coordinate cells of each row
+     */
+    constructor(parser = new CoordinateParser()) {
+        this.parser = parser;
+        this.converter = parser.converter;
+
+        // Supported delimiters by name; 'space' splits on any run of whitespace
+        this.delimiters = {
+            comma: ',',
+            tab: '\t',
+            semicolon: ';',
+            pipe: '|',
+            space: null
+        };
+
+        // Header names recognised for each mappable field, compared without case, spaces or punctuation
+        this.fieldAliases = {
+            name: ['name', 'id', 'pointid', 'pointname', 'point', 'pt', 'pnt', 'p', 'station', 'stn'],
+            lat: ['lat', 'latitude', 'northing', 'north', 'n', 'y'],
+            lon: ['lon', 'long', 'lng', 'longitude', 'easting', 'east', 'e', 'x'],
+            elevation: ['elevation', 'elev', 'height', 'ht', 'h', 'z', 'alt', 'altitude', 'ellipsoidheight', 'orthometricheight'],
+            unit: ['unit', 'units', 'elevationunit', 'heightunit'],
+            heightType: ['heighttype', 'verticaldatum', 'vdatum']
+        };
+
+        // Unit cell values accepted for the unit column
+        this.unitAliases = {
+            meters: ['m', 'meter', 'meters', 'metre', 'metres'],
+            feet: ['ft', 'ift', 'foot', 'feet', 'internationalfeet'],
+            'survey-feet': ['usft', 'sft', 'surveyfeet', 'ussurveyfeet', 'usfeet']
+        };
+
+        this.previewRows = 5;
+    }
+
+    /**
+     * Read a dropped or selected file as text
+     * @param {File} file - Delimited text file
+     * @returns {Promise<string>} - File contents
+     */
+    async readFile(file) {
+        return file.text();
+    }
+
+    /**
+     * Split delimited text into a table, detecting the delimiter and header row unless given
+     * @param {string} text - File contents
+     * @param {string|null} delimiter - Delimiter name from this.delimiters, or null to detect
+     * @param {boolean|null} hasHeader - Whether the first row is a header, or null to detect
+     * @returns {Object} - {delimiter, hasHeader, headers, rows} where rows are arrays of cell strings
+     */
+    parseText(text, delimiter = null, hasHeader = null) {
+        const delimiterName = delimiter || this.detectDelimiter(text);
+        const allRows = this.splitRows(text, delimiterName);
+        const header = hasHeader === null ? this.detectHeader(allRows) : hasHeader;
+
+        const columnCount = allRows.reduce((max, row) => Math.max(max, row.length), 0);
+        const headerRow = header && allRows.length > 0 ? allRows[0] : [];
+        const headers = [];
+        for (let i = 0; i < columnCount; i++) {
+            headers.push(headerRow[i] ? headerRow[i] : `Column ${i + 1}`);
+        }
+
+        return {
+            delimiter: delimiterName,
+            hasHeader: header,
+            headers: headers,
+            rows: header ? allRows.slice(1) : allRows
+        };
+    }
+
+    /**
+     * Pick the delimiter that splits the first lines into the same number of columns
+     * @param {string} text - File contents
+     * @returns {string} - Delimiter name
+     */
+    detectDelimiter(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+        let best = 'space';
+        let bestCount = 0;
+
+        Object.entries(this.delimiters).forEach(([name, character]) => {
+            if (!character || lines.length === 0) return;
+
+            const counts = lines.map(line => this.splitLine(line, character).length - 1);
+            const minimum = Math.min(...counts);
+            if (minimum > bestCount && counts.every(count => count === counts[0])) {
+                best = name;
+                bestCount = minimum;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Split text into rows of cells, skipping blank lines
+     * @param {string} text - File contents
+     * @param {string} delimiterName - Delimiter name from this.delimiters
+     * @returns {Array} - Array of rows, each an array of trimmed cell strings
+     */
+    splitRows(text, delimiterName) {
+        const character = this.delimiters[delimiterName];
+        return text.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => character ? this.splitLine(line, character) : line.trim().split(/\s+/));
+    }
+
+    /**
+     * Split one line on a delimiter, honouring double-quoted cells ("a, b" and "" escapes)
+     * @param {string} line - Text line
+     * @param {string} character - Delimiter character
+     * @returns {Array} - Trimmed cell strings
+     */
+    splitLine(line, character) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === character) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+
+        return cells;
+    }
+
+    /**
+     * Decide whether the first row is a header: it names a known field, or it has text
+     * where the second row has numbers
+     * @param {Array} rows - Table rows
+     * @returns {boolean} - True if the first row is a header
+     */
+    detectHeader(rows) {
+        if (rows.length === 0) {
+            return false;
+        }
+
+        const first = rows[0];
+        if (first.some(cell => !/\d/.test(cell) && this.findField(cell) !== null)) {
+            return true;
+        }
+        if (rows.length < 2) {
+            return false;
+        }
+
+        return first.some((cell, index) => !this.isNumeric(cell) && this.isNumeric(rows[1][index]));
+    }
+
+    /**
+     * Find the field a header name refers to
+     * @param {string} header - Header cell
+     * @returns {string|null} - Field key ('name', 'lat', 'lon', 'elevation', 'unit', 'heightType') or null
+     */
+    findField(header) {
+        const normalized = String(header).toLowerCase().replace(/[^a-z]/g, '');
+        const field = Object.keys(this.fieldAliases).find(key => this.fieldAliases[key].includes(normalized));
+        return field || null;
+    }
+
+    /**
+     * Guess the column for each field from the headers, or from the column layout when there is no header
+     * @param {Object} table - Table from parseText()
+     * @returns {Object} - {name, lat, lon, elevation, unit, heightType} column indexes (-1 when unmapped)
+     */
+    guessMapping(table) {
+        const mapping = { name: -1, lat: -1, lon: -1, elevation: -1, unit: -1, heightType: -1 };
+
+        if (table.hasHeader) {
+            table.headers.forEach((header, index) => {
+                const field = this.findField(header);
+                if (field && mapping[field] === -1) {
+                    mapping[field] = index;
+                }
+            });
+            if (mapping.lat !== -1 && mapping.lon !== -1) {
+                return mapping;
+            }
+        }
+
+        // No usable header: a leading text ID, or an integer ID ahead of three more columns, means
+        // P,N,E,Z order, otherwise N,E,Z
+        const sample = table.rows[0] || [];
+        const hasIdColumn = (sample.length >= 3 && !this.isCoordinateCell(sample[0])) ||
+            (sample.length >= 4 && /^\d+$/.test(sample[0]));
+        const first = hasIdColumn ? 1 : 0;
+
+        mapping.name = hasIdColumn ? 0 : -1;
+        mapping.lat = first;
+        mapping.lon = first + 1;
+        mapping.elevation = sample.length > first + 2 && this.isNumeric(sample[first + 2]) ? first + 2 : -1;
+        return mapping;
+    }
+
+    /**
+     * Guess whether the mapped columns hold latitude/longitude or grid northing/easting
+     * @param {Object} table - Table from parseText()
+     * @param {Object} mapping - Column mapping
+     * @returns {string} - 'geographic' or 'stateplane'
+     */
+    guessCoordinateSystem(table, mapping) {
+        const sample = table.rows[0] || [];
+        const values = [sample[mapping.lat], sample[mapping.lon]].map(cell => parseFloat(cell));
+        return values.some(value => Math.abs(value) > 360) ? 'stateplane' : 'geographic';
+    }
+
+    /**
+     * Convert table rows to coordinates using a column mapping
+     * @param {Object} table - Table from parseText()
+     * @param {Object} mapping - Column mapping from guessMapping()
+     * @param {Object} options - {coordinateSystem: 'geographic'|'stateplane'|'utm', utmZone: e.g. '19T',
+     *                           elevationUnit: default unit, heightType: default height type}
+     * @returns {Object} - {coordinates, rows}: coordinates for the accepted rows and one
+     *                     {rowNumber, coordinate, error} entry per table row (rowNumber counts file lines)
+     */
+    buildCoordinates(table, mapping, options = {}) {
+        const settings = {
+            coordinateSystem: 'geographic',
+            utmZone: '',
+            elevationUnit: 'meters',
+            heightType: 'ellipsoidal',
+            ...options
+        };
+        const result = { coordinates: [], rows: [] };
+        const firstRowNumber = table.hasHeader ? 2 : 1;
+
+        table.rows.forEach((row, index) => {
+            const rowResult = this.buildCoordinate(row, mapping, settings);
+            result.rows.push({ rowNumber: firstRowNumber + index, ...rowResult });
+            if (rowResult.coordinate) {
+                result.coordinates.push(rowResult.coordinate);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Convert a single row to a coordinate
+     * @param {Array} row - Cell strings
+     * @param {Object} mapping - Column mapping
+     * @param {Object} settings - Options from buildCoordinates()
+     * @returns {Object} - {coordinate: {name, lat, lon, elevation, heightType}|null, error: string|null}
+     */
+    buildCoordinate(row, mapping, settings) {
+        const cell = field => (mapping[field] >= 0 && row[mapping[field]] !== undefined ? row[mapping[field]] : '');
+        const first = cell('lat');
+        const second = cell('lon');
+
+        if (!first || !second) {
+            return { coordinate: null, error: 'Missing latitude/northing or longitude/easting' };
+        }
+
+        // Hand the cells to the parser in the form it reads for the selected system
+        let coordinateText;
+        if (settings.coordinateSystem === 'stateplane') {
+            if (!this.converter.statePlaneZone) {
+                return { coordinate: null, error: 'Select a State Plane zone before importing northing/easting' };
+            }
+            coordinateText = `N ${first} E ${second}`;
+        } else if (settings.coordinateSystem === 'utm') {
+            coordinateText = `${settings.utmZone} ${second} ${first}`;
+        } else {
+            coordinateText = `${first} ${second}`;
+        }
+
+        const coordinate = this.parser.parseCoordinate(coordinateText);
+        if (!coordinate) {
+            return { coordinate: null, error: `Unable to read "${first}", "${second}" as ${settings.coordinateSystem} coordinates` };
+        }
+
+        const normalized = this.converter.validateAndNormalize(coordinate.lat, coordinate.lon);
+        if (!normalized) {
+            return { coordinate: null, error: `Latitude ${coordinate.lat} is out of range (-90 to 90)` };
+        }
+
+        let elevation = null;
+        let unit = settings.elevationUnit;
+        if (cell('elevation') !== '') {
+            elevation = parseFloat(cell('elevation'));
+            if (isNaN(elevation)) {
+                return { coordinate: null, error: `Elevation "${cell('elevation')}" is not a number` };
+            }
+        }
+        if (cell('unit') !== '') {
+            unit = this.findUnit(cell('unit'));
+            if (!unit) {
+                return { coordinate: null, error: `Unknown elevation unit "${cell('unit')}"` };
+            }
+        }
+
+        let heightType = settings.heightType;
+        if (cell('heightType') !== '') {
+            const tagged = this.parser.extractHeightTypeTag(cell('heightType')).heightType;
+            heightType = tagged || heightType;
+        }
+
+        const withElevation = elevation === null
+            ? { elevation: null, heightType: heightType }
+            : this.converter.convertWithElevation(normalized.lat, normalized.lon, elevation, unit, heightType);
+
+        return {
+            coordinate: {
+                name: cell('name'),
+                lat: normalized.lat,
+                lon: normalized.lon,
+                elevation: withElevation.elevation,
+                heightType: withElevation.heightType
+            },
+            error: null
+        };
+    }
+
+    /**
+     * Find the elevation unit named by a unit cell
+     * @param {string} value - Cell value such as 'm', 'ft' or 'US survey feet'
+     * @returns {string|null} - 'meters', 'feet', 'survey-feet' or null
+     */
+    findUnit(value) {
+        const normalized = String(value).toLowerCase().replace(/[^a-z]/g, '');
+        const unit = Object.keys(this.unitAliases).find(key => this.unitAliases[key].includes(normalized));
+        return unit || null;
+    }
+
+    /**
+     * Check whether a cell holds a plain number
+     * @param {string} cell - Cell value
+     * @returns {boolean} - True if numeric
+     */
+    isNumeric(cell) {
+        return cell !== undefined && cell !== '' && isFinite(Number(cell));
+    }
+
+    /**
+     * Check whether a cell could hold a coordinate value (number, DMS or DDM with optional cardinal)
+     * @param {string} cell - Cell value
+     * @returns {boolean} - True if the cell looks like a coordinate
+     */
+    isCoordinateCell(cell) {
+        return this.isNumeric(cell) || /^[NSEW]?\s*-?\d+(?:[°\s]+\d+(?:\.\d+)?['′]?)*(?:\s*\d+(?:\.\d+)?["″]?)?\s*[NSEW]?$/i.test(cell);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvImporter;
+}
@@ -4,10 +4,25 @@
  */
 
 class DistanceCalculator {
-    constructor() {
+    /**
+     * @param {GeodeticDatums} datums - Datum registry providing the active ellipsoid
+     * @param {GeoidModel} geoid - Geoid used to compare ellipsoidal and orthometric heights
+     */
+    constructor(datums = new GeodeticDatums(), geoid = new GeoidModel()) {
         // Earth's radius in kilometers
         this.earthRadiusKm = 6371;
-        this.earthRadiusMiles = 3959;
+
+        // Meters per international mile; every distance in miles is converted with this one factor
+        this.metersPerMile = 1609.344;
+
+        // Ellipsoid used by the ellipsoidal geodesic methods
+        this.datums = datums;
+        this.geoid = geoid;
+
+        // Method used for horizontal distances ('vincenty' or 'haversine')
+        this.distanceMethod = 'vincenty';
+        this.vincentyMaxIterations = 200;
+        this.vincentyTolerance = 1e-12;
     }
 
     /**
@@ -42,7 +57,7 @@ class DistanceCalculator {
         const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
         
         const distanceKm = this.earthRadiusKm * c;
-        const distanceMiles = this.earthRadiusMiles * c;
+        const distanceMiles = distanceKm * 1000 / this.metersPerMile;
 
         return {
             km: parseFloat(distanceKm.toFixed(6)),
@@ -51,18 +66,716 @@ class DistanceCalculator {
     }
 
     /**
-     * Calculate 3D distance accounting for elevation
+     * Calculate the ellipsoidal geodesic inverse between two points.
+     * Uses Vincenty's iterative solution and falls back to Karney's method
+     * when Vincenty fails to converge (nearly antipodal points).
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @returns {Object|null} - {meters, km, miles, forwardAzimuth, reverseAzimuth, method}
+     */
+    calculateGeodesicInverse(lat1, lon1, lat2, lon2) {
+        if (!this.validateCoordinates(lat1, lon1) || !this.validateCoordinates(lat2, lon2)) {
+            return null;
+        }
+
+        const result = this.vincentyInverse(lat1, lon1, lat2, lon2) ||
+                       this.karneyInverse(lat1, lon1, lat2, lon2);
+
+        return {
+            meters: result.meters,
+            km: parseFloat((result.meters / 1000).toFixed(9)),
+            miles: parseFloat((result.meters / this.metersPerMile).toFixed(9)),
+            forwardAzimuth: this.normalizeAzimuth(result.forwardAzimuth),
+            reverseAzimuth: this.normalizeAzimuth(result.finalAzimuth + 180),
+            method: result.method
+        };
+    }
+
+    /**
+     * Vincenty's inverse formula on the active ellipsoid
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @returns {Object|null} - {meters, forwardAzimuth, finalAzimuth, method} or null if not converged
+     */
+    vincentyInverse(lat1, lon1, lat2, lon2) {
+        const { a, f, b } = this.datums.getActiveEllipsoid();
+
+        // Measure the longitude difference the short way, so pairs across the antimeridian converge
+        const L = this.toRadians(this.normalizeLongitudeDifference(lon2 - lon1));
+        const U1 = Math.atan((1 - f) * Math.tan(this.toRadians(lat1)));
+        const U2 = Math.atan((1 - f) * Math.tan(this.toRadians(lat2)));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+        let converged = false;
+
+        for (let i = 0; i < this.vincentyMaxIterations; i++) {
+            sinLambda = Math.sin(lambda);
+            cosLambda = Math.cos(lambda);
+
+            const t1 = cosU2 * sinLambda;
+            const t2 = cosU1 * sinU2 - sinU1 * cosU2 * cosLambda;
+            sinSigma = Math.sqrt(t1 * t1 + t2 * t2);
+
+            if (sinSigma === 0) {
+                // Coincident points
+                return { meters: 0, forwardAzimuth: 0, finalAzimuth: 0, method: 'vincenty' };
+            }
+
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cosSqAlpha = 1 - sinAlpha * sinAlpha;
+            // Equatorial line: cosSqAlpha = 0
+            cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+
+            const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+            const lambdaPrev = lambda;
+            lambda = L + (1 - C) * f * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+            if (Math.abs(lambda) > Math.PI) {
+                // Nearly antipodal - Vincenty diverges
+                return null;
+            }
+
+            if (Math.abs(lambda - lambdaPrev) < this.vincentyTolerance) {
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged) {
+            return null;
+        }
+
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+        const meters = b * A * (sigma - deltaSigma);
+        const alpha1 = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+        const alpha2 = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+
+        return {
+            meters: meters,
+            forwardAzimuth: this.toDegrees(alpha1),
+            finalAzimuth: this.toDegrees(alpha2),
+            method: 'vincenty'
+        };
+    }
+
+    /**
+     * Karney's inverse solution on the auxiliary sphere. The geodesic integrals
+     * are evaluated by Gauss-Legendre quadrature and the starting azimuth is
+     * found by bisection, which is robust for nearly antipodal points.
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @returns {Object} - {meters, forwardAzimuth, finalAzimuth, method}
+     */
+    karneyInverse(lat1, lon1, lat2, lon2) {
+        const { a, f, b, ep2 } = this.datums.getActiveEllipsoid();
+
+        // Canonical configuration: lat1 <= 0, |lat1| >= |lat2|, 0 <= lon12 <= 180
+        const swapped = Math.abs(lat1) < Math.abs(lat2);
+        let phi1 = swapped ? lat2 : lat1;
+        let phi2 = swapped ? lat1 : lat2;
+        let lon12 = this.normalizeLongitudeDifference(swapped ? lon1 - lon2 : lon2 - lon1);
+        const lonSign = lon12 < 0 ? -1 : 1;
+        lon12 *= lonSign;
+        const latSign = phi1 > 0 ? -1 : 1;
+        phi1 *= latSign;
+        phi2 *= latSign;
+
+        const beta1 = Math.atan2((1 - f) * Math.sin(this.toRadians(phi1)), Math.cos(this.toRadians(phi1)));
+        const beta2 = Math.atan2((1 - f) * Math.sin(this.toRadians(phi2)), Math.cos(this.toRadians(phi2)));
+        const sinBeta1 = Math.sin(beta1), cosBeta1 = Math.cos(beta1);
+        const sinBeta2 = Math.sin(beta2), cosBeta2 = Math.cos(beta2);
+        const target = this.toRadians(lon12);
+
+        const solve = (alpha1) => {
+            const sinAlpha1 = Math.sin(alpha1), cosAlpha1 = Math.cos(alpha1);
+            const sinAlpha0 = sinAlpha1 * cosBeta1;
+            const cosAlpha0 = Math.hypot(cosAlpha1, sinAlpha1 * sinBeta1);
+
+            let sigma1 = Math.atan2(sinBeta1, cosAlpha1 * cosBeta1);
+            let omega1 = Math.atan2(sinAlpha0 * sinBeta1, cosAlpha1 * cosBeta1);
+            // Keep the starting point on the descending half of the great circle
+            if (sigma1 > 0) sigma1 -= 2 * Math.PI;
+            if (omega1 > 0) omega1 -= 2 * Math.PI;
+
+            const cosAlpha2CosBeta2 = Math.sqrt(Math.max(0,
+                (cosAlpha1 * cosBeta1) * (cosAlpha1 * cosBeta1) + (cosBeta2 * cosBeta2 - cosBeta1 * cosBeta1)));
+            const sigma2 = Math.atan2(sinBeta2, cosAlpha2CosBeta2);
+            const omega2 = Math.atan2(sinAlpha0 * sinBeta2, cosAlpha2CosBeta2);
+
+            const k2 = ep2 * cosAlpha0 * cosAlpha0;
+            const i3 = (s) => (2 - f) / (1 + (1 - f) * Math.sqrt(1 + k2 * Math.sin(s) * Math.sin(s)));
+            const i1 = (s) => Math.sqrt(1 + k2 * Math.sin(s) * Math.sin(s));
+
+            return {
+                lambda12: (omega2 - omega1) - f * sinAlpha0 * this.integrate(i3, sigma1, sigma2),
+                meters: b * this.integrate(i1, sigma1, sigma2),
+                alpha2: Math.atan2(sinAlpha0, cosAlpha2CosBeta2)
+            };
+        };
+
+        let low = 0;
+        let high = Math.PI;
+        let alpha1 = Math.PI / 2;
+        let solution;
+
+        if (phi1 === 0 && phi2 === 0 && lon12 <= (1 - f) * 180) {
+            // Both points on the equator and not nearly antipodal: the geodesic follows the equator,
+            // where the auxiliary sphere solution is degenerate
+            solution = { meters: a * target, alpha2: Math.PI / 2 };
+            high = low;
+        } else {
+            solution = solve(alpha1);
+        }
+
+        for (let i = 0; i < 100 && high - low > 1e-15; i++) {
+            if (solution.lambda12 < target) {
+                low = alpha1;
+            } else {
+                high = alpha1;
+            }
+            alpha1 = (low + high) / 2;
+            solution = solve(alpha1);
+        }
+
+        // Undo the canonical transformation
+        let azi1 = this.toDegrees(alpha1);
+        let azi2 = this.toDegrees(solution.alpha2);
+        if (lonSign < 0) {
+            azi1 = -azi1;
+            azi2 = -azi2;
+        }
+        if (latSign < 0) {
+            azi1 = 180 - azi1;
+            azi2 = 180 - azi2;
+        }
+        if (swapped) {
+            [azi1, azi2] = [azi2 + 180, azi1 + 180];
+        }
+
+        return {
+            meters: solution.meters,
+            forwardAzimuth: azi1,
+            finalAzimuth: azi2,
+            method: 'karney'
+        };
+    }
+
+    /**
+     * Integrate a smooth function with composite 8-point Gauss-Legendre quadrature
+     * @param {Function} fn - Integrand
+     * @param {number} from - Lower limit
+     * @param {number} to - Upper limit
+     * @returns {number} - Definite integral
+     */
+    integrate(fn, from, to) {
+        const nodes = [0.1834346424956498, 0.5255324099163290, 0.7966664774136267, 0.9602898564975363];
+        const weights = [0.3626837833783620, 0.3137066458778873, 0.2223810344533745, 0.1012285362903763];
+        const panels = Math.max(1, Math.ceil(Math.abs(to - from) / (Math.PI / 8)));
+        const step = (to - from) / panels;
+
+        let sum = 0;
+        for (let p = 0; p < panels; p++) {
+            const mid = from + (p + 0.5) * step;
+            for (let k = 0; k < nodes.length; k++) {
+                const offset = nodes[k] * step / 2;
+                sum += weights[k] * (fn(mid - offset) + fn(mid + offset));
+            }
+        }
+        return sum * step / 2;
+    }
+
+    /**
+     * Solve the direct (forward) geodesic problem with Vincenty's formula on the active ellipsoid
+     * @param {number} lat - Latitude of the start point
+     * @param {number} lon - Longitude of the start point
+     * @param {number} azimuth - Forward azimuth from true north in degrees
+     * @param {number} distance - Ellipsoidal distance in meters
+     * @returns {Object|null} - {lat, lon, finalAzimuth, reverseAzimuth} or null for invalid input
+     */
+    calculateGeodesicDirect(lat, lon, azimuth, distance) {
+        if (!this.validateCoordinates(lat, lon) || !isFinite(azimuth) || !isFinite(distance) || distance < 0) {
+            return null;
+        }
+
+        const { a, f, b } = this.datums.getActiveEllipsoid();
+
+        const alpha1 = this.toRadians(azimuth);
+        const sinAlpha1 = Math.sin(alpha1), cosAlpha1 = Math.cos(alpha1);
+        const tanU1 = (1 - f) * Math.tan(this.toRadians(lat));
+        const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1), sinU1 = tanU1 * cosU1;
+        const sigma1 = Math.atan2(tanU1, cosAlpha1);
+        const sinAlpha = cosU1 * sinAlpha1;
+        const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+        let sigma = distance / (b * A);
+        let sinSigma, cosSigma, cos2SigmaM;
+
+        for (let i = 0; i < this.vincentyMaxIterations; i++) {
+            cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+            sinSigma = Math.sin(sigma);
+            cosSigma = Math.cos(sigma);
+            const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+            const previousSigma = sigma;
+            sigma = distance / (b * A) + deltaSigma;
+            if (Math.abs(sigma - previousSigma) < this.vincentyTolerance) {
+                break;
+            }
+        }
+
+        cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+        sinSigma = Math.sin(sigma);
+        cosSigma = Math.cos(sigma);
+
+        const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+        const phi2 = Math.atan2(sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1, (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x));
+        const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+        const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+        const L = lambda - (1 - C) * f * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+        const finalAzimuth = this.normalizeAzimuth(this.toDegrees(Math.atan2(sinAlpha, -x)));
+
+        return {
+            lat: this.toDegrees(phi2),
+            lon: this.normalizeAzimuth(lon + this.toDegrees(L) + 180) - 180,
+            finalAzimuth: finalAzimuth,
+            reverseAzimuth: this.normalizeAzimuth(finalAzimuth + 180)
+        };
+    }
+
+    /**
+     * Convert a true, grid or magnetic azimuth to a true (geodetic) azimuth
+     * @param {number} azimuth - Azimuth in degrees
+     * @param {string} azimuthType - 'true', 'grid' or 'magnetic'
+     * @param {Object} corrections - {convergence, declination} in degrees, both measured clockwise from
+     *                               true north to grid north and to magnetic north respectively
+     * @returns {number|null} - True azimuth, or null if the needed correction is missing
+     */
+    toTrueAzimuth(azimuth, azimuthType = 'true', corrections = {}) {
+        let correction = 0;
+        if (azimuthType === 'grid') {
+            correction = corrections.convergence;
+        } else if (azimuthType === 'magnetic') {
+            correction = corrections.declination;
+        }
+
+        if (typeof correction !== 'number' || !isFinite(correction)) {
+            return null;
+        }
+        return this.normalizeAzimuth(azimuth + correction);
+    }
+
+    /**
+     * Convert a true (geodetic) azimuth to a grid or magnetic azimuth; the inverse of toTrueAzimuth()
+     * @param {number} azimuth - True azimuth in degrees
+     * @param {string} azimuthType - 'true', 'grid' or 'magnetic'
+     * @param {Object} corrections - {convergence, declination} in degrees, see toTrueAzimuth()
+     * @returns {number|null} - Azimuth from the requested north, or null if the needed correction is missing
+     */
+    fromTrueAzimuth(azimuth, azimuthType = 'true', corrections = {}) {
+        const inverse = {
+            convergence: -corrections.convergence,
+            declination: -corrections.declination
+        };
+        return this.toTrueAzimuth(azimuth, azimuthType, inverse);
+    }
+
+    /**
+     * Solve the forward problem for one leg: the point at a given azimuth and horizontal distance
+     * from a start point, with the height change from an optional vertical angle
+     * @param {Object} start - {lat, lon, elevation, heightType}
+     * @param {Object} leg - {azimuth, azimuthType, distance (meters), distanceType ('ellipsoid', 'ground' or 'grid',
+     *                       default 'ellipsoid'), verticalAngle (degrees above horizontal)}
+     * @param {Object} corrections - {convergence, declination} at the start point, see toTrueAzimuth()
+     * @param {Function|null} getPointScale - (lat, lon) => point scale factor of the grid; needed for grid distances
+     * @returns {Object|null} - {lat, lon, elevation, heightType, trueAzimuth, reverseAzimuth, ellipsoidDistance,
+     *                          groundDistance, deltaHeight, slopeDistance}
+     */
+    calculateForwardPoint(start, leg, corrections = {}, getPointScale = null) {
+        const trueAzimuth = this.toTrueAzimuth(leg.azimuth, leg.azimuthType, corrections);
+        if (trueAzimuth === null) {
+            return null;
+        }
+
+        const verticalAngle = leg.verticalAngle || 0;
+        if (Math.abs(verticalAngle) >= 90) {
+            return null;
+        }
+
+        const distances = this.reduceForwardDistance(start, leg, trueAzimuth, getPointScale);
+        if (!distances) {
+            return null;
+        }
+
+        const destination = this.calculateGeodesicDirect(start.lat, start.lon, trueAzimuth, distances.ellipsoid);
+        if (!destination) {
+            return null;
+        }
+
+        // The vertical angle is measured in the field, so it goes with the ground distance
+        const deltaHeight = distances.ground * Math.tan(this.toRadians(verticalAngle));
+        const hasElevation = start.elevation !== null && start.elevation !== undefined;
+
+        return {
+            lat: destination.lat,
+            lon: destination.lon,
+            elevation: hasElevation ? start.elevation + deltaHeight : null,
+            heightType: start.heightType,
+            trueAzimuth: trueAzimuth,
+            reverseAzimuth: destination.reverseAzimuth,
+            ellipsoidDistance: distances.ellipsoid,
+            groundDistance: distances.ground,
+            deltaHeight: deltaHeight,
+            slopeDistance: Math.sqrt(distances.ground * distances.ground + deltaHeight * deltaHeight)
+        };
+    }
+
+    /**
+     * Reduce the distance of a forward leg to the ellipsoid, the inverse of calculateGridGroundDistances():
+     * ground distances are multiplied by the elevation factor and grid distances divided by the line scale
+     * factor. Both factors depend on the end point, so it is solved again until the ellipsoid distance settles.
+     * @param {Object} start - {lat, lon, elevation, heightType}
+     * @param {Object} leg - Leg as for calculateForwardPoint()
+     * @param {number} trueAzimuth - True azimuth of the leg in degrees
+     * @param {Function|null} getPointScale - (lat, lon) => point scale factor of the grid, or null outside it
+     * @returns {Object|null} - {ellipsoid, ground} distances in meters, or null if a grid distance has no grid
+     *                          or the leg leaves it
+     */
+    reduceForwardDistance(start, leg, trueAzimuth, getPointScale = null) {
+        const distanceType = leg.distanceType || 'ellipsoid';
+        if (distanceType === 'ellipsoid') {
+            return { ellipsoid: leg.distance, ground: leg.distance };
+        }
+        if (distanceType === 'grid' && !getPointScale) {
+            return null;
+        }
+
+        const hasElevation = start.elevation !== null && start.elevation !== undefined;
+        const tanVertical = Math.tan(this.toRadians(leg.verticalAngle || 0));
+        let ellipsoid = leg.distance;
+        let ground = leg.distance;
+
+        for (let iteration = 0; iteration < 10; iteration++) {
+            const destination = this.calculateGeodesicDirect(start.lat, start.lon, trueAzimuth, ellipsoid);
+            if (!destination) {
+                return null;
+            }
+            const end = {
+                lat: destination.lat,
+                lon: destination.lon,
+                elevation: hasElevation ? start.elevation + ground * tanVertical : null,
+                heightType: start.heightType
+            };
+
+            const reduction = this.calculateGridGroundDistances(start, end, distanceType === 'grid' ? getPointScale : null);
+            if (!reduction || (distanceType === 'grid' && reduction.lineScale === null)) {
+                return null;
+            }
+
+            const next = distanceType === 'grid'
+                ? leg.distance / reduction.lineScale
+                : leg.distance * reduction.elevationFactor;
+            ground = next / reduction.elevationFactor;
+            const settled = Math.abs(next - ellipsoid) < 1e-6;
+            ellipsoid = next;
+            if (settled) {
+                break;
+            }
+        }
+
+        return { ellipsoid, ground };
+    }
+
+    /**
+     * Chain forward legs from a known point, each leg starting at the previous leg's end
+     * @param {Object} start - {lat, lon, elevation, heightType}
+     * @param {Array} legs - Legs as for calculateForwardPoint()
+     * @param {Function} getCorrections - (lat, lon) => {convergence, declination} at the start of each leg
+     * @param {Function|null} getPointScale - (lat, lon) => point scale factor of the grid; needed for grid distances
+     * @returns {Array|null} - End point of every leg, or null if any leg cannot be solved
+     */
+    calculateForwardLegs(start, legs, getCorrections = () => ({}), getPointScale = null) {
+        const points = [];
+        let current = start;
+
+        for (const leg of legs) {
+            const point = this.calculateForwardPoint(current, leg, getCorrections(current.lat, current.lon), getPointScale);
+            if (!point) {
+                return null;
+            }
+            points.push(point);
+            current = point;
+        }
+
+        return points;
+    }
+
+    /**
+     * Calculate horizontal distance with the selected method
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @param {string} method - 'vincenty' (ellipsoidal) or 'haversine' (spherical)
+     * @returns {Object|null} - {km: number, miles: number}
+     */
+    calculateHorizontalDistance(lat1, lon1, lat2, lon2, method = this.distanceMethod) {
+        if (method === 'haversine') {
+            return this.calculate2DDistance(lat1, lon1, lat2, lon2);
+        }
+        return this.calculateGeodesicInverse(lat1, lon1, lat2, lon2);
+    }
+
+    /**
+     * Calculate north/east offsets between two points using the ellipsoid's
+     * radii of curvature at the first point
+     * @param {Object} coord1 - First coordinate {lat, lon}
+     * @param {Object} coord2 - Second coordinate {lat, lon}
+     * @returns {Object} - {deltaLat, deltaLon, metersPerDegreeLat, metersPerDegreeLon, north, east, horizontal}
+     */
+    calculateLocalOffsets(coord1, coord2) {
+        const deltaLat = coord2.lat - coord1.lat;
+        const deltaLon = this.normalizeLongitudeDifference(coord2.lon - coord1.lon);
+
+        const radii = this.datums.getRadiiOfCurvature(coord1.lat);
+        const metersPerDegreeLat = this.toRadians(radii.meridian);
+        const metersPerDegreeLon = this.toRadians(radii.primeVertical * Math.cos(this.toRadians(coord1.lat)));
+
+        const north = deltaLat * metersPerDegreeLat;
+        const east = deltaLon * metersPerDegreeLon;
+
+        return {
+            deltaLat,
+            deltaLon,
+            metersPerDegreeLat,
+            metersPerDegreeLon,
+            north,
+            east,
+            horizontal: Math.sqrt(north * north + east * east)
+        };
+    }
+
+    /**
+     * Calculate the local east/north/up (topocentric) vector between two points: the difference of their
+     * ECEF positions rotated into the horizon plane of the first point
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} height1 - Height of first point in meters
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @param {number} height2 - Height of second point in meters
+     * @returns {Object} - {east, north, up, slope} in meters
+     */
+    calculateTopocentricVector(lat1, lon1, height1, lat2, lon2, height2) {
+        const ecef1 = this.datums.toECEF(lat1, lon1, height1);
+        const ecef2 = this.datums.toECEF(lat2, lon2, height2);
+        const slope = this.calculateChordDistance(ecef1, ecef2).meters;
+        const dx = ecef2.x - ecef1.x;
+        const dy = ecef2.y - ecef1.y;
+        const dz = ecef2.z - ecef1.z;
+
+        const sinLat = Math.sin(this.toRadians(lat1));
+        const cosLat = Math.cos(this.toRadians(lat1));
+        const sinLon = Math.sin(this.toRadians(lon1));
+        const cosLon = Math.cos(this.toRadians(lon1));
+
+        return {
+            east: -sinLon * dx + cosLon * dy,
+            north: -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz,
+            up: cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz,
+            slope: slope
+        };
+    }
+
+    /**
+     * Reduce the horizontal (ellipsoid) distance between two points to ground and grid. The elevation
+     * factor R / (R + h) uses the mean ellipsoidal height of the ends and the Gaussian mean radius at the
+     * mid-latitude; the line scale factor weights the point scale factors at the ends and the midpoint
+     * by Simpson's rule, (k₁ + 4kₘ + k₂) / 6.
+     * @param {Object} coord1 - First coordinate {lat, lon, elevation, heightType}
+     * @param {Object} coord2 - Second coordinate {lat, lon, elevation, heightType}
+     * @param {Function|null} getPointScale - (lat, lon) => point scale factor of the grid, or null outside it;
+     *                                        pass null for no grid
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
+     * @returns {Object|null} - {ellipsoid, ground, grid, elevationFactor, pointScale1, pointScaleMid, pointScale2,
+     *                          lineScale, combinedFactor, meanHeight, radius, ellipsoidalHeights} with distances in
+     *                          meters; the grid values are null without a grid. ellipsoidalHeights is false when
+     *                          orthometric heights had to stand in for ellipsoidal ones. Null if a position is invalid.
+     */
+    calculateGridGroundDistances(coord1, coord2, getPointScale = null, method = this.distanceMethod) {
+        const horizontal = this.calculateHorizontalDistance(coord1.lat, coord1.lon, coord2.lat, coord2.lon, method);
+        if (!horizontal) {
+            return null;
+        }
+        const ellipsoidDistance = horizontal.meters !== undefined ? horizontal.meters : horizontal.km * 1000;
+
+        // The elevation factor needs ellipsoidal heights; without geoid coverage orthometric heights are used
+        let ellipsoidalHeights = true;
+        const heights = [coord1, coord2].map(coord => {
+            const elevation = coord.elevation || 0;
+            const ellipsoidal = this.geoid.convertHeight(coord.lat, coord.lon, elevation, coord.heightType || 'ellipsoidal', 'ellipsoidal');
+            if (ellipsoidal === null) {
+                ellipsoidalHeights = false;
+                return elevation;
+            }
+            return ellipsoidal;
+        });
+        const meanHeight = (heights[0] + heights[1]) / 2;
+
+        const midpoint = this.getGeodesicMidpoint(coord1, coord2);
+        const radii = this.datums.getRadiiOfCurvature(midpoint.lat);
+        const radius = Math.sqrt(radii.meridian * radii.primeVertical);
+        const elevationFactor = radius / (radius + meanHeight);
+
+        const result = {
+            ellipsoid: ellipsoidDistance,
+            ground: ellipsoidDistance / elevationFactor,
+            grid: null,
+            elevationFactor,
+            pointScale1: null,
+            pointScaleMid: null,
+            pointScale2: null,
+            lineScale: null,
+            combinedFactor: null,
+            meanHeight,
+            radius,
+            ellipsoidalHeights
+        };
+
+        const scales = getPointScale
+            ? [coord1, midpoint, coord2].map(point => getPointScale(point.lat, point.lon))
+            : [null];
+        if (scales.some(scale => scale === null || scale === undefined || !isFinite(scale))) {
+            return result;
+        }
+
+        result.pointScale1 = scales[0];
+        result.pointScaleMid = scales[1];
+        result.pointScale2 = scales[2];
+        result.lineScale = (scales[0] + 4 * scales[1] + scales[2]) / 6;
+        result.combinedFactor = result.lineScale * elevationFactor;
+        result.grid = ellipsoidDistance * result.lineScale;
+        return result;
+    }
+
+    /**
+     * Midpoint of the geodesic between two points
+     * @param {Object} coord1 - First coordinate {lat, lon}
+     * @param {Object} coord2 - Second coordinate {lat, lon}
+     * @returns {Object} - {lat, lon}; the first point when the points coincide
+     */
+    getGeodesicMidpoint(coord1, coord2) {
+        const inverse = this.calculateGeodesicInverse(coord1.lat, coord1.lon, coord2.lat, coord2.lon);
+        if (!inverse || inverse.meters === 0) {
+            return { lat: coord1.lat, lon: coord1.lon };
+        }
+
+        const midpoint = this.calculateGeodesicDirect(coord1.lat, coord1.lon, inverse.forwardAzimuth, inverse.meters / 2);
+        return { lat: midpoint.lat, lon: midpoint.lon };
+    }
+
+    /**
+     * Calculate the straight-line (chord) distance between two ECEF positions, e.g. XYZ from an OPUS
+     * report or CORS coordinates, without converting them to latitude/longitude
+     * @param {Object} ecef1 - First position {x, y, z} in meters
+     * @param {Object} ecef2 - Second position {x, y, z} in meters
+     * @returns {Object|null} - {meters, km, miles}, or null if a position is invalid
+     */
+    calculateChordDistance(ecef1, ecef2) {
+        const values = [ecef1.x, ecef1.y, ecef1.z, ecef2.x, ecef2.y, ecef2.z];
+        if (values.some(value => typeof value !== 'number' || !isFinite(value))) {
+            return null;
+        }
+
+        const dx = ecef2.x - ecef1.x;
+        const dy = ecef2.y - ecef1.y;
+        const dz = ecef2.z - ecef1.z;
+        const meters = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        return {
+            meters: meters,
+            km: parseFloat((meters / 1000).toFixed(6)),
+            miles: parseFloat((meters / this.metersPerMile).toFixed(6))
+        };
+    }
+
+    /**
+     * Calculate everything reported for a pair of points: the topocentric east/north/up vector, the
+     * horizontal distance by the chosen method, the slope distance and the zenith angle. Heights are
+     * brought to a common type first and missing elevations count as 0 m.
+     * @param {Object} coord1 - First coordinate {lat, lon, elevation, heightType}
+     * @param {Object} coord2 - Second coordinate {lat, lon, elevation, heightType}
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
+     * @returns {Object|null} - {east, north, up, horizontal, slope, zenith, deltaHeight, elevation1, elevation2,
+     *                          heightType, converted} with distances in meters and the zenith angle in degrees
+     *                          (null for coincident points), or null if a position is invalid or the heights
+     *                          cannot be reconciled
+     */
+    calculatePairGeometry(coord1, coord2, method = this.distanceMethod) {
+        const horizontal = this.calculateHorizontalDistance(coord1.lat, coord1.lon, coord2.lat, coord2.lon, method);
+        const heights = this.reconcileHeights(
+            { ...coord1, elevation: coord1.elevation || 0 },
+            { ...coord2, elevation: coord2.elevation || 0 }
+        );
+        if (!horizontal || !heights) {
+            return null;
+        }
+
+        const vector = this.calculateTopocentricVector(
+            coord1.lat, coord1.lon, heights.elevation1, coord2.lat, coord2.lon, heights.elevation2
+        );
+        const planeDistance = Math.sqrt(vector.east * vector.east + vector.north * vector.north);
+
+        return {
+            ...vector,
+            horizontal: horizontal.meters !== undefined ? horizontal.meters : horizontal.km * 1000,
+            zenith: vector.slope > 0 ? this.toDegrees(Math.atan2(planeDistance, vector.up)) : null,
+            deltaHeight: heights.elevation2 - heights.elevation1,
+            elevation1: heights.elevation1,
+            elevation2: heights.elevation2,
+            heightType: heights.heightType,
+            converted: heights.converted
+        };
+    }
+
+    /**
+     * Calculate 3D (slope) distance accounting for elevation
      * @param {number} lat1 - Latitude of first point
      * @param {number} lon1 - Longitude of first point
      * @param {number} elev1 - Elevation of first point (in meters)
      * @param {number} lat2 - Latitude of second point
      * @param {number} lon2 - Longitude of second point
      * @param {number} elev2 - Elevation of second point (in meters)
-     * @returns {Object} - {km: number, miles: number}
+     * @param {string} method - Horizontal distance method, for the 2D distance returned when an elevation is invalid
+     * @param {string} heightType1 - Height type of first point ('ellipsoidal' or 'orthometric')
+     * @param {string} heightType2 - Height type of second point ('ellipsoidal' or 'orthometric')
+     * @returns {Object|null} - {km: number, miles: number}, or null if mixed height types cannot be reconciled
      */
-    calculate3DDistance(lat1, lon1, elev1, lat2, lon2, elev2) {
+    calculate3DDistance(lat1, lon1, elev1, lat2, lon2, elev2, method = this.distanceMethod,
+                        heightType1 = 'ellipsoidal', heightType2 = 'ellipsoidal') {
         // Calculate 2D distance first
-        const distance2D = this.calculate2DDistance(lat1, lon1, lat2, lon2);
+        const distance2D = this.calculateHorizontalDistance(lat1, lon1, lat2, lon2, method);
         if (!distance2D) {
             return null;
         }
@@ -72,19 +785,23 @@ class DistanceCalculator {
             return distance2D; // Return 2D distance if elevation is invalid
         }
 
-        // Calculate elevation difference
-        const elevationDiff = Math.abs(elev1 - elev2);
-
-        // Calculate 3D distance using Pythagorean theorem
-        // Convert 2D distance to meters for calculation
-        const distance2DMeters = distance2D.km * 1000;
-        const distance3DMeters = Math.sqrt(
-            Math.pow(distance2DMeters, 2) + Math.pow(elevationDiff, 2)
+        // Bring both heights to the same type before differencing
+        const heights = this.reconcileHeights(
+            { lat: lat1, lon: lon1, elevation: elev1, heightType: heightType1 },
+            { lat: lat2, lon: lon2, elevation: elev2, heightType: heightType2 }
         );
+        if (!heights) {
+            return null; // Mixed height types and no geoid coverage
+        }
+
+        // Straight-line (slope) distance between the ECEF positions, whatever the horizontal method
+        const distance3DMeters = this.calculateTopocentricVector(
+            lat1, lon1, heights.elevation1, lat2, lon2, heights.elevation2
+        ).slope;
 
         // Convert back to km and miles
         const distance3DKm = distance3DMeters / 1000;
-        const distance3DMiles = distance3DKm * 0.621371;
+        const distance3DMiles = distance3DKm * 1000 / this.metersPerMile;
 
         return {
             km: parseFloat(distance3DKm.toFixed(6)),
@@ -92,14 +809,65 @@ class DistanceCalculator {
         };
     }
 
+    /**
+     * Bring two heights to the same type so they can be differenced. When the types
+     * differ, orthometric heights are converted to ellipsoidal with the loaded geoid.
+     * @param {Object} coord1 - {lat, lon, elevation, heightType}
+     * @param {Object} coord2 - {lat, lon, elevation, heightType}
+     * @returns {Object|null} - {elevation1, elevation2, heightType, converted}, or null if the
+     *                          geoid is needed but not loaded or does not cover both points
+     */
+    reconcileHeights(coord1, coord2) {
+        const type1 = coord1.heightType || 'ellipsoidal';
+        const type2 = coord2.heightType || 'ellipsoidal';
+
+        if (type1 === type2) {
+            return { elevation1: coord1.elevation, elevation2: coord2.elevation, heightType: type1, converted: false };
+        }
+
+        const elevation1 = this.geoid.convertHeight(coord1.lat, coord1.lon, coord1.elevation, type1, 'ellipsoidal');
+        const elevation2 = this.geoid.convertHeight(coord2.lat, coord2.lon, coord2.elevation, type2, 'ellipsoidal');
+        if (elevation1 === null || elevation2 === null) {
+            return null;
+        }
+
+        return { elevation1, elevation2, heightType: 'ellipsoidal', converted: true };
+    }
+
+    /**
+     * Bring the heights of a set of points to one type. When the types differ, orthometric
+     * heights are converted to ellipsoidal with the loaded geoid.
+     * @param {Array} points - {lat, lon, elevation, heightType}
+     * @returns {Object|null} - {elevations, heightType}, or null if a point has no elevation or
+     *                          the geoid is needed but does not cover every point
+     */
+    getCommonHeights(points) {
+        if (points.some(point => point.elevation === null || point.elevation === undefined)) {
+            return null;
+        }
+
+        const types = new Set(points.map(point => point.heightType || 'ellipsoidal'));
+        if (types.size === 1) {
+            return { elevations: points.map(point => point.elevation), heightType: [...types][0] };
+        }
+
+        const elevations = points.map(point =>
+            this.geoid.convertHeight(point.lat, point.lon, point.elevation, point.heightType || 'ellipsoidal', 'ellipsoidal'));
+        if (elevations.some(elevation => elevation === null)) {
+            return null;
+        }
+        return { elevations, heightType: 'ellipsoidal' };
+    }
+
     /**
      * Calculate distance matrix for multiple coordinates
      * @param {Array} coordinates - Array of {lat: number, lon: number, elevation?: number}
      * @param {boolean} include2D - Include 2D distances
      * @param {boolean} include3D - Include 3D distances
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
      * @returns {Object} - Distance matrix and statistics
      */
-    calculateDistanceMatrix(coordinates, include2D = true, include3D = true) {
+    calculateDistanceMatrix(coordinates, include2D = true, include3D = true, method = this.distanceMethod) {
         if (!coordinates || coordinates.length < 2) {
             return null;
         }
@@ -111,35 +879,33 @@ class DistanceCalculator {
         const distances2D = [];
         const distances3D = [];
 
-        // Calculate all pairwise distances
+        // Distances are symmetric, so each unordered pair is computed once and mirrored
         for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                if (i === j) {
-                    // Same point - distance is 0
-                    if (matrix2D) matrix2D[i][j] = { km: 0, miles: 0 };
-                    if (matrix3D) matrix3D[i][j] = { km: 0, miles: 0 };
-                } else {
-                    const coord1 = coordinates[i];
-                    const coord2 = coordinates[j];
-
-                    // Calculate 2D distance
-                    if (matrix2D) {
-                        const dist2D = this.calculate2DDistance(
-                            coord1.lat, coord1.lon, coord2.lat, coord2.lon
-                        );
-                        matrix2D[i][j] = dist2D;
-                        if (dist2D) distances2D.push(dist2D.km);
-                    }
-
-                    // Calculate 3D distance
-                    if (matrix3D) {
-                        const dist3D = this.calculate3DDistance(
-                            coord1.lat, coord1.lon, coord1.elevation || 0,
-                            coord2.lat, coord2.lon, coord2.elevation || 0
-                        );
-                        matrix3D[i][j] = dist3D;
-                        if (dist3D) distances3D.push(dist3D.km);
-                    }
+            if (matrix2D) matrix2D[i][i] = { km: 0, miles: 0 };
+            if (matrix3D) matrix3D[i][i] = { km: 0, miles: 0 };
+
+            for (let j = i + 1; j < n; j++) {
+                const coord1 = coordinates[i];
+                const coord2 = coordinates[j];
+
+                // Calculate 2D distance
+                if (matrix2D) {
+                    const dist2D = this.calculateHorizontalDistance(
+                        coord1.lat, coord1.lon, coord2.lat, coord2.lon, method
+                    );
+                    matrix2D[i][j] = matrix2D[j][i] = dist2D;
+                    if (dist2D) distances2D.push(dist2D.km);
+                }
+
+                // Calculate 3D distance
+                if (matrix3D) {
+                    const dist3D = this.calculate3DDistance(
+                        coord1.lat, coord1.lon, coord1.elevation || 0,
+                        coord2.lat, coord2.lon, coord2.elevation || 0, method,
+                        coord1.heightType, coord2.heightType
+                    );
+                    matrix3D[i][j] = matrix3D[j][i] = dist3D;
+                    if (dist3D) distances3D.push(dist3D.km);
                 }
             }
         }
@@ -149,8 +915,8 @@ class DistanceCalculator {
         const stats3D = include3D ? this.calculateStatistics(distances3D) : null;
 
         // Calculate cumulative distance (following sequence 1→2→3→...→n)
-        const cumulative2D = include2D ? this.calculateCumulativeDistance(coordinates, false) : null;
-        const cumulative3D = include3D ? this.calculateCumulativeDistance(coordinates, true) : null;
+        const cumulative2D = include2D ? this.calculateCumulativeDistance(coordinates, false, method) : null;
+        const cumulative3D = include3D ? this.calculateCumulativeDistance(coordinates, true, method) : null;
 
         return {
             matrix2D,
@@ -159,6 +925,7 @@ class DistanceCalculator {
             statistics3D: stats3D,
             cumulative2D,
             cumulative3D,
+            method,
             coordinates: coordinates.map((coord, index) => ({
                 ...coord,
                 label: `Point ${index + 1}`
@@ -170,9 +937,10 @@ class DistanceCalculator {
      * Calculate cumulative distance following the sequence of coordinates
      * @param {Array} coordinates - Array of coordinates
      * @param {boolean} include3D - Include elevation in calculation
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
      * @returns {Object} - Cumulative distance statistics
      */
-    calculateCumulativeDistance(coordinates, include3D = false) {
+    calculateCumulativeDistance(coordinates, include3D = false, method = this.distanceMethod) {
         if (!coordinates || coordinates.length < 2) {
             return null;
         }
@@ -189,11 +957,12 @@ class DistanceCalculator {
             if (include3D) {
                 distance = this.calculate3DDistance(
                     coord1.lat, coord1.lon, coord1.elevation || 0,
-                    coord2.lat, coord2.lon, coord2.elevation || 0
+                    coord2.lat, coord2.lon, coord2.elevation || 0, method,
+                    coord1.heightType, coord2.heightType
                 );
             } else {
-                distance = this.calculate2DDistance(
-                    coord1.lat, coord1.lon, coord2.lat, coord2.lon
+                distance = this.calculateHorizontalDistance(
+                    coord1.lat, coord1.lon, coord2.lat, coord2.lon, method
                 );
             }
 
@@ -216,9 +985,144 @@ class DistanceCalculator {
     }
 
     /**
-     * Calculate statistics for an array of distances
+     * Treat the ordered coordinates as a closed ring, the last point joining back to the first, and
+     * compute its perimeter, its area on the ellipsoid and any crossing edges. A last point repeating
+     * the first closes the ring explicitly and is not counted twice.
+     * @param {Array} coordinates - Ordered corners {lat, lon}
+     * @param {string} method - Horizontal distance method for the perimeter ('vincenty' or 'haversine')
+     * @returns {Object|null} - {vertexCount, perimeter: {km, miles, meters}, area: {squareMeters, squareFeet,
+     *                          acres, hectares}, orientation, selfIntersections, isSimple}, or null with fewer
+     *                          than 3 corners. selfIntersections lists crossing edges as {edge1, edge2}, each
+     *                          [from, to] with 1-based point numbers.
+     */
+    calculatePolygon(coordinates, method = this.distanceMethod) {
+        if (!coordinates) {
+            return null;
+        }
+
+        const ring = coordinates.slice();
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (ring.length > 1 && first.lat === last.lat && first.lon === last.lon) {
+            ring.pop();
+        }
+        if (ring.length < 3 || ring.some(point => !this.validateCoordinates(point.lat, point.lon))) {
+            return null;
+        }
+
+        let perimeterMeters = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const next = ring[(i + 1) % ring.length];
+            const distance = this.calculateHorizontalDistance(ring[i].lat, ring[i].lon, next.lat, next.lon, method);
+            if (!distance) {
+                return null;
+            }
+            perimeterMeters += distance.meters !== undefined ? distance.meters : distance.km * 1000;
+        }
+
+        const signedArea = this.calculateSignedArea(ring);
+        const squareMeters = Math.abs(signedArea);
+        const selfIntersections = this.findSelfIntersections(ring);
+
+        return {
+            vertexCount: ring.length,
+            perimeter: {
+                meters: perimeterMeters,
+                km: parseFloat((perimeterMeters / 1000).toFixed(6)),
+                miles: parseFloat((perimeterMeters / this.metersPerMile).toFixed(6))
+            },
+            area: {
+                squareMeters: squareMeters,
+                squareFeet: squareMeters / (0.3048 * 0.3048),
+                acres: squareMeters / 4046.8564224,
+                hectares: squareMeters / 10000
+            },
+            orientation: signedArea >= 0 ? 'counterclockwise' : 'clockwise',
+            selfIntersections: selfIntersections,
+            isSimple: selfIntersections.length === 0
+        };
+    }
+
+    /**
+     * Signed area of a ring on the ellipsoid. The corners are moved to the authalic sphere, which keeps
+     * areas, and the spherical excess of each edge is summed (edges run along great circles of that
+     * sphere, within a few parts per billion of the geodesics for parcel-sized polygons).
+     * @param {Array} ring - Corners {lat, lon}, not repeating the first point
+     * @returns {number} - Area in square meters, positive when the corners run counterclockwise
+     */
+    calculateSignedArea(ring) {
+        const radius = this.datums.getAuthalicRadius();
+        let excess = 0;
+
+        for (let i = 0; i < ring.length; i++) {
+            const next = ring[(i + 1) % ring.length];
+            const tan1 = Math.tan(this.toRadians(this.datums.toAuthalicLatitude(ring[i].lat)) / 2);
+            const tan2 = Math.tan(this.toRadians(this.datums.toAuthalicLatitude(next.lat)) / 2);
+            // Longitude difference taken the short way round, so rings may cross the antimeridian. It is only
+            // wrapped when needed: adding 540 first would cost the precision parcel-sized areas depend on.
+            let deltaLon = next.lon - ring[i].lon;
+            if (deltaLon > 180) {
+                deltaLon -= 360;
+            } else if (deltaLon < -180) {
+                deltaLon += 360;
+            }
+            deltaLon = this.toRadians(deltaLon);
+
+            excess += 2 * Math.atan2(Math.tan(deltaLon / 2) * (tan1 + tan2), 1 + tan1 * tan2);
+        }
+
+        // The summed excess is negative for counterclockwise rings
+        return -excess * radius * radius;
+    }
+
+    /**
+     * Find pairs of non-adjacent edges of a ring that cross or touch, working in local north/east
+     * offsets about the first corner
+     * @param {Array} ring - Corners {lat, lon}, not repeating the first point
+     * @returns {Array} - {edge1: [from, to], edge2: [from, to]} with 1-based point numbers
+     */
+    findSelfIntersections(ring) {
+        const plane = ring.map(point => this.calculateLocalOffsets(ring[0], point));
+        const count = ring.length;
+        const cross = (o, a, b) => (a.east - o.east) * (b.north - o.north) - (a.north - o.north) * (b.east - o.east);
+        const within = (p, a, b) => Math.min(a.east, b.east) <= p.east && p.east <= Math.max(a.east, b.east) &&
+            Math.min(a.north, b.north) <= p.north && p.north <= Math.max(a.north, b.north);
+        const intersects = (a, b, c, d) => {
+            const d1 = cross(c, d, a);
+            const d2 = cross(c, d, b);
+            const d3 = cross(a, b, c);
+            const d4 = cross(a, b, d);
+            if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+                return true;
+            }
+            return (d1 === 0 && within(a, c, d)) || (d2 === 0 && within(b, c, d)) ||
+                (d3 === 0 && within(c, a, b)) || (d4 === 0 && within(d, a, b));
+        };
+
+        const intersections = [];
+        for (let i = 0; i < count; i++) {
+            // Edges sharing a corner always touch there, so only non-adjacent edges are compared
+            for (let j = i + 2; j < count; j++) {
+                if (i === 0 && j === count - 1) {
+                    continue;
+                }
+                if (intersects(plane[i], plane[(i + 1) % count], plane[j], plane[(j + 1) % count])) {
+                    intersections.push({
+                        edge1: [i + 1, (i + 1) % count + 1],
+                        edge2: [j + 1, (j + 1) % count + 1]
+                    });
+                }
+            }
+        }
+
+        return intersections;
+    }
+
+    /**
+     * Calculate statistics for an array of distances (or any values, such as residuals)
      * @param {Array} distances - Array of distance values in km
-     * @returns {Object} - Statistics object
+     * @returns {Object} - {min, max, average, standardDeviation, rms, count}; the standard deviation
+     *                     is the sample value (n − 1) and is 0 for a single value
      */
     calculateStatistics(distances) {
         if (!distances || distances.length === 0) {
@@ -228,11 +1132,15 @@ class DistanceCalculator {
         const sorted = [...distances].sort((a, b) => a - b);
         const sum = distances.reduce((acc, val) => acc + val, 0);
         const average = sum / distances.length;
+        const squaredDeviations = distances.reduce((acc, val) => acc + (val - average) * (val - average), 0);
+        const sumOfSquares = distances.reduce((acc, val) => acc + val * val, 0);
 
         return {
             min: parseFloat(sorted[0].toFixed(6)),
             max: parseFloat(sorted[sorted.length - 1].toFixed(6)),
             average: parseFloat(average.toFixed(6)),
+            standardDeviation: distances.length > 1 ? Math.sqrt(squaredDeviations / (distances.length - 1)) : 0,
+            rms: Math.sqrt(sumOfSquares / distances.length),
             count: distances.length
         };
     }
@@ -268,6 +1176,26 @@ class DistanceCalculator {
         return radians * (180 / Math.PI);
     }
 
+    /**
+     * Reduce a longitude difference to the range (-180, 180], i.e. measured the short way round
+     * @param {number} deltaLon - Longitude difference in degrees
+     * @returns {number} - Normalized difference in degrees
+     */
+    normalizeLongitudeDifference(deltaLon) {
+        const normalized = ((deltaLon % 360) + 540) % 360 - 180;
+        return normalized === -180 ? 180 : normalized;
+    }
+
+    /**
+     * Normalize an azimuth to the range [0, 360)
+     * @param {number} azimuth - Azimuth in degrees
+     * @returns {number} - Normalized azimuth in degrees
+     */
+    normalizeAzimuth(azimuth) {
+        const normalized = azimuth % 360;
+        return normalized < 0 ? normalized + 360 : normalized;
+    }
+
     /**
      * Validate coordinate values
      * @param {number} lat - Latitude
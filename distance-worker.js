@@ -0,0 +1,48 @@
+/**
+ * Distance Worker
+ * Computes distance matrices for large point sets off the main thread.
+ *
+ * Message in:  {id, coordinates, include2D, include3D, method, datum, geoidFile}
+ * Message out: {id, results} or {id, error}
+ */
+
+importScripts('geodetic-datums.js', 'geoid-model.js', 'distance-calculator.js');
+
+const datums = new GeodeticDatums();
+const geoid = new GeoidModel();
+const calculator = new DistanceCalculator(datums, geoid);
+
+// Identifies the geoid file currently loaded, so it is only read again when the user picks another one
+let loadedGeoidKey = null;
+
+/**
+ * Load or unload the geoid grid to match the main thread
+ * @param {File|null} file - Geoid file loaded in the app, or null
+ */
+async function syncGeoid(file) {
+    const key = file ? `${file.name}|${file.size}|${file.lastModified}` : null;
+    if (key === loadedGeoidKey) {
+        return;
+    }
+
+    if (file) {
+        await geoid.loadFromFile(file);
+    } else {
+        geoid.unload();
+    }
+    loadedGeoidKey = key;
+}
+
+self.onmessage = async (event) => {
+    const { id, coordinates, include2D, include3D, method, datum, geoidFile } = event.data;
+
+    try {
+        datums.setActiveDatum(datum);
+        await syncGeoid(geoidFile || null);
+
+        const results = calculator.calculateDistanceMatrix(coordinates, include2D, include3D, method);
+        self.postMessage({ id, results });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,288 @@
+/**
+ * Geo File Importer
+ * Reads points from GPX (waypoints, route and track points), KML (Placemark points)
+ * and GeoJSON (Point, MultiPoint and LineString features) files
+ */
+
+class GeoFileImporter {
+    /**
+     * @param {CoordinateConverter} converter - Converter used to validate and normalize positions
+     */
+    constructor(converter = new CoordinateConverter()) {
+        this.converter = converter;
+
+        // File extensions handled by this importer
+        this.extensions = {
+            gpx: 'gpx',
+            kml: 'kml',
+            geojson: 'geojson',
+            json: 'geojson'
+        };
+    }
+
+    /**
+     * Check whether a file name belongs to a format this importer reads
+     * @param {string} fileName - File name
+     * @returns {boolean} - True for .gpx, .kml, .geojson and .json files
+     */
+    canImport(fileName) {
+        return this.getFormat(fileName, '') !== null;
+    }
+
+    /**
+     * Determine the file format from the extension, or from the content when the extension is unknown
+     * @param {string} fileName - File name
+     * @param {string} text - File contents
+     * @returns {string|null} - 'gpx', 'kml', 'geojson' or null
+     */
+    getFormat(fileName, text) {
+        const extension = (/\.([a-z]+)$/i.exec(fileName || '') || [])[1];
+        if (extension && this.extensions[extension.toLowerCase()]) {
+            return this.extensions[extension.toLowerCase()];
+        }
+
+        const start = text.trim().slice(0, 500);
+        if (/<gpx[\s>]/i.test(start)) return 'gpx';
+        if (/<kml[\s>]/i.test(start)) return 'kml';
+        if (start.startsWith('{')) return 'geojson';
+        return null;
+    }
+
+    /**
+     * Read a dropped or selected file and import its points
+     * @param {File} file - GPX, KML or GeoJSON file
+     * @returns {Promise<Object>} - Result from importText()
+     */
+    async importFile(file) {
+        const text = await file.text();
+        return this.importText(text, file.name);
+    }
+
+    /**
+     * Import points from file contents
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to pick the format
+     * @returns {Object} - {format, coordinates, warnings}; coordinates are {name, lat, lon, elevation, heightType}
+     */
+    importText(text, fileName = '') {
+        const format = this.getFormat(fileName, text);
+        const result = { format: format, coordinates: [], warnings: [] };
+
+        if (format === 'gpx') {
+            this.parseGPX(text, result);
+        } else if (format === 'kml') {
+            this.parseKML(text, result);
+        } else if (format === 'geojson') {
+            this.parseGeoJSON(text, result);
+        } else {
+            throw new Error('Unrecognised file. Expected GPX, KML or GeoJSON.');
+        }
+
+        return result;
+    }
+
+    /**
+     * Read GPX waypoints, route points and track points. GPX <ele> is recorded by handheld
+     * receivers as height above mean sea level, so it is treated as orthometric.
+     * @param {string} text - GPX document
+     * @param {Object} result - Import result to fill
+     */
+    parseGPX(text, result) {
+        const doc = this.parseXML(text);
+
+        this.getElements(doc, 'wpt').forEach(point => this.addGPXPoint(point, '', result));
+        this.getElements(doc, 'rte').forEach(route => {
+            const routeName = this.getChildText(route, 'name');
+            this.getElements(route, 'rtept').forEach((point, index) => this.addGPXPoint(point, routeName && `${routeName} #${index + 1}`, result));
+        });
+        this.getElements(doc, 'trk').forEach(track => {
+            const trackName = this.getChildText(track, 'name');
+            this.getElements(track, 'trkpt').forEach((point, index) => this.addGPXPoint(point, trackName && `${trackName} #${index + 1}`, result));
+        });
+    }
+
+    /**
+     * Add one GPX point element to the result
+     * @param {Element} point - wpt, rtept or trkpt element
+     * @param {string} fallbackName - Name used when the point has no <name>
+     * @param {Object} result - Import result to fill
+     */
+    addGPXPoint(point, fallbackName, result) {
+        const ele = this.getChildText(point, 'ele');
+        this.addPoint(result, {
+            name: this.getChildText(point, 'name') || fallbackName,
+            lat: parseFloat(point.getAttribute('lat')),
+            lon: parseFloat(point.getAttribute('lon')),
+            elevation: ele ? parseFloat(ele) : null,
+            heightType: 'orthometric'
+        });
+    }
+
+    /**
+     * Read KML Placemark points (including points inside MultiGeometry). KML altitudes are
+     * above sea level and only meaningful with altitudeMode "absolute"; clamped points get no elevation.
+     * @param {string} text - KML document
+     * @param {Object} result - Import result to fill
+     */
+    parseKML(text, result) {
+        const doc = this.parseXML(text);
+        let ignoredAltitudes = 0;
+
+        this.getElements(doc, 'Placemark').forEach(placemark => {
+            const name = this.getChildText(placemark, 'name');
+            const points = this.getElements(placemark, 'Point');
+
+            points.forEach((point, index) => {
+                const [lon, lat, altitude] = this.getChildText(point, 'coordinates').split(',').map(value => parseFloat(value));
+                const altitudeMode = this.getChildText(point, 'altitudeMode') || 'clampToGround';
+                const hasAltitude = altitude !== undefined && !isNaN(altitude);
+
+                if (hasAltitude && altitudeMode !== 'absolute' && altitude !== 0) {
+                    ignoredAltitudes++;
+                }
+
+                this.addPoint(result, {
+                    name: points.length > 1 && name ? `${name} #${index + 1}` : name,
+                    lat: lat,
+                    lon: lon,
+                    elevation: hasAltitude && altitudeMode === 'absolute' ? altitude : null,
+                    heightType: 'orthometric'
+                });
+            });
+        });
+
+        if (ignoredAltitudes > 0) {
+            result.warnings.push(`${ignoredAltitudes} altitude(s) ignored because the point is not in absolute altitude mode`);
+        }
+    }
+
+    /**
+     * Read GeoJSON Point, MultiPoint and LineString geometries. RFC 7946 heights are above the
+     * WGS 84 ellipsoid.
+     * @param {string} text - GeoJSON document
+     * @param {Object} result - Import result to fill
+     */
+    parseGeoJSON(text, result) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid GeoJSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+            throw new Error('The file is not a GeoJSON object (expected a FeatureCollection, Feature or geometry with a "type").');
+        }
+
+        const features = data.type === 'FeatureCollection' ? (Array.isArray(data.features) ? data.features : [])
+            : data.type === 'Feature' ? [data]
+            : [{ type: 'Feature', geometry: data, properties: {} }];
+        const skippedTypes = new Set();
+
+        features.forEach(feature => {
+            const properties = feature.properties || {};
+            const name = String(properties.name || properties.title || properties.id || feature.id || '');
+            this.addGeoJSONGeometry(feature.geometry, name, result, skippedTypes);
+        });
+
+        if (skippedTypes.size > 0) {
+            result.warnings.push(`Skipped unsupported geometry type(s): ${[...skippedTypes].join(', ')}`);
+        }
+    }
+
+    /**
+     * Add the positions of one GeoJSON geometry to the result
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {string} name - Feature name
+     * @param {Object} result - Import result to fill
+     * @param {Set} skippedTypes - Collects geometry types that are not imported
+     */
+    addGeoJSONGeometry(geometry, name, result, skippedTypes) {
+        if (!geometry) {
+            return;
+        }
+
+        let positions;
+        if (geometry.type === 'Point') {
+            positions = [geometry.coordinates];
+        } else if (geometry.type === 'MultiPoint' || geometry.type === 'LineString') {
+            positions = geometry.coordinates || [];
+        } else if (geometry.type === 'GeometryCollection') {
+            (geometry.geometries || []).forEach(child => this.addGeoJSONGeometry(child, name, result, skippedTypes));
+            return;
+        } else {
+            skippedTypes.add(geometry.type);
+            return;
+        }
+
+        positions.forEach((position, index) => {
+            const [lon, lat, height] = position || [];
+            this.addPoint(result, {
+                name: positions.length > 1 && name ? `${name} #${index + 1}` : name,
+                lat: lat,
+                lon: lon,
+                elevation: typeof height === 'number' ? height : null,
+                heightType: 'ellipsoidal'
+            });
+        });
+    }
+
+    /**
+     * Validate a point and add it to the result, or record a warning
+     * @param {Object} result - Import result to fill
+     * @param {Object} point - {name, lat, lon, elevation, heightType}
+     */
+    addPoint(result, point) {
+        const normalized = this.converter.validateAndNormalize(point.lat, point.lon);
+        if (!normalized) {
+            result.warnings.push(`Skipped ${point.name || 'unnamed point'}: invalid position ${point.lat}, ${point.lon}`);
+            return;
+        }
+
+        result.coordinates.push({
+            name: point.name || '',
+            lat: normalized.lat,
+            lon: normalized.lon,
+            elevation: point.elevation !== null && !isNaN(point.elevation) ? point.elevation : null,
+            heightType: point.heightType
+        });
+    }
+
+    /**
+     * Parse an XML document
+     * @param {string} text - XML text
+     * @returns {Document} - Parsed document
+     */
+    parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not well-formed XML.');
+        }
+        return doc;
+    }
+
+    /**
+     * Find descendant elements by local name, whatever namespace prefix the file uses
+     * @param {Document|Element} parent - Element to search
+     * @param {string} localName - Element name without prefix
+     * @returns {Array} - Matching elements
+     */
+    getElements(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    /**
+     * Get the trimmed text of the first child element with a given local name
+     * @param {Element} parent - Parent element
+     * @param {string} localName - Element name without prefix
+     * @returns {string} - Text content, or '' if absent
+     */
+    getChildText(parent, localName) {
+        const element = Array.from(parent.children).find(child => child.localName === localName);
+        return element ? element.textContent.trim() : '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoFileImporter;
+}
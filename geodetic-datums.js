@@ -0,0 +1,274 @@
+/**
+ * Geodetic Datums
+ * Registry of reference ellipsoids and datums shared by the parser, converter and calculator
+ */
+
+class GeodeticDatums {
+    constructor() {
+        // Reference ellipsoids: semi-major axis (meters) and inverse flattening
+        this.ellipsoids = {
+            'WGS84': { name: 'WGS 84', a: 6378137, inverseFlattening: 298.257223563 },
+            'GRS80': { name: 'GRS 1980', a: 6378137, inverseFlattening: 298.257222101 },
+            'CLARKE1866': { name: 'Clarke 1866', a: 6378206.4, inverseFlattening: 294.978698214 }
+        };
+
+        // Datums and the ellipsoid each one is defined on
+        this.datums = {
+            'WGS84': {
+                name: 'WGS 84',
+                ellipsoid: 'WGS84',
+                aliases: ['WGS84', 'WGS 84', 'WGS-84', 'WGS_84']
+            },
+            'GRS80': {
+                name: 'GRS 80',
+                ellipsoid: 'GRS80',
+                aliases: ['GRS80', 'GRS 80', 'GRS-80', 'GRS_80']
+            },
+            'NAD83(2011)': {
+                name: 'NAD83(2011)',
+                ellipsoid: 'GRS80',
+                aliases: ['NAD83(2011)', 'NAD 83(2011)', 'NAD_83(2011)', 'NAD83', 'NAD 83', 'NAD_83']
+            },
+            'NAD27': {
+                name: 'NAD27',
+                ellipsoid: 'CLARKE1866',
+                aliases: ['NAD27', 'NAD 27', 'NAD_27']
+            },
+            'ITRF2014': {
+                name: 'ITRF2014',
+                ellipsoid: 'GRS80',
+                aliases: ['ITRF2014', 'ITRF 2014', 'ITRF14', 'IGS14']
+            }
+        };
+
+        this.activeDatum = 'WGS84';
+    }
+
+    /**
+     * Get an ellipsoid with its derived parameters
+     * @param {string} key - Ellipsoid key (e.g. 'GRS80')
+     * @returns {Object|null} - {key, name, a, f, b, e2, ep2}
+     */
+    getEllipsoid(key) {
+        const ellipsoid = this.ellipsoids[key];
+        if (!ellipsoid) {
+            return null;
+        }
+
+        const a = ellipsoid.a;
+        const f = 1 / ellipsoid.inverseFlattening;
+        const b = a * (1 - f);
+
+        return {
+            key: key,
+            name: ellipsoid.name,
+            a: a,
+            f: f,
+            b: b,
+            e2: f * (2 - f),
+            ep2: (a * a - b * b) / (b * b)
+        };
+    }
+
+    /**
+     * Get a datum definition
+     * @param {string} key - Datum key (e.g. 'NAD83(2011)')
+     * @returns {Object|null} - {key, name, ellipsoid, aliases}
+     */
+    getDatum(key) {
+        const datum = this.datums[key];
+        return datum ? { key: key, ...datum } : null;
+    }
+
+    /**
+     * List all registered datums
+     * @returns {Array} - Array of {key, name, ellipsoidName}
+     */
+    listDatums() {
+        return Object.keys(this.datums).map(key => ({
+            key: key,
+            name: this.datums[key].name,
+            ellipsoidName: this.ellipsoids[this.datums[key].ellipsoid].name
+        }));
+    }
+
+    /**
+     * Set the datum used by all calculations
+     * @param {string} key - Datum key
+     * @returns {boolean} - True if the datum exists
+     */
+    setActiveDatum(key) {
+        if (!this.datums[key]) {
+            return false;
+        }
+        this.activeDatum = key;
+        return true;
+    }
+
+    /**
+     * Get the active datum
+     * @returns {Object} - {key, name, ellipsoid, aliases}
+     */
+    getActiveDatum() {
+        return this.getDatum(this.activeDatum);
+    }
+
+    /**
+     * Get the ellipsoid of the active datum
+     * @returns {Object} - {key, name, a, f, b, e2, ep2}
+     */
+    getActiveEllipsoid() {
+        return this.getEllipsoid(this.datums[this.activeDatum].ellipsoid);
+    }
+
+    /**
+     * Describe the active datum and ellipsoid for reports and clipboard output
+     * @returns {string} - e.g. 'NAD83(2011) (GRS 1980 ellipsoid)'
+     */
+    describeActive() {
+        const datum = this.getActiveDatum();
+        const ellipsoid = this.getActiveEllipsoid();
+        return `${datum.name} (${ellipsoid.name} ellipsoid)`;
+    }
+
+    /**
+     * Find a datum by name or alias (case-insensitive)
+     * @param {string} text - Datum name as written in input data
+     * @returns {string|null} - Datum key or null if not recognised
+     */
+    findDatum(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const normalized = text.trim().toUpperCase();
+        for (const key of Object.keys(this.datums)) {
+            if (this.datums[key].aliases.some(alias => alias.toUpperCase() === normalized)) {
+                return key;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Radii of curvature of the ellipsoid at a latitude
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {Object} ellipsoid - Ellipsoid from getEllipsoid (defaults to the active one)
+     * @returns {Object} - {meridian: number, primeVertical: number} in meters
+     */
+    getRadiiOfCurvature(lat, ellipsoid = this.getActiveEllipsoid()) {
+        const sinLat = Math.sin(lat * Math.PI / 180);
+        const w = Math.sqrt(1 - ellipsoid.e2 * sinLat * sinLat);
+
+        return {
+            meridian: ellipsoid.a * (1 - ellipsoid.e2) / (w * w * w),
+            primeVertical: ellipsoid.a / w
+        };
+    }
+
+    /**
+     * Radius of the authalic sphere, the sphere with the same surface area as the ellipsoid
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {number} - Radius in meters
+     */
+    getAuthalicRadius(ellipsoid = this.getActiveEllipsoid()) {
+        if (ellipsoid.e2 === 0) {
+            return ellipsoid.a;
+        }
+        return ellipsoid.a * Math.sqrt(this.getAuthalicQ(1, ellipsoid) / 2);
+    }
+
+    /**
+     * Authalic latitude: the latitude on the authalic sphere with the same area between it and the equator
+     * as the geodetic latitude has on the ellipsoid, so areas on the sphere equal areas on the ellipsoid
+     * @param {number} lat - Geodetic latitude in degrees
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {number} - Authalic latitude in degrees
+     */
+    toAuthalicLatitude(lat, ellipsoid = this.getActiveEllipsoid()) {
+        if (ellipsoid.e2 === 0) {
+            return lat;
+        }
+
+        const ratio = this.getAuthalicQ(Math.sin(lat * Math.PI / 180), ellipsoid) / this.getAuthalicQ(1, ellipsoid);
+        return Math.asin(Math.max(-1, Math.min(1, ratio))) * 180 / Math.PI;
+    }
+
+    /**
+     * The q function of the authalic latitude (Snyder, Map Projections: A Working Manual, eq. 3-12)
+     * @param {number} sinLat - Sine of the geodetic latitude
+     * @param {Object} ellipsoid - Ellipsoid with e2 > 0
+     * @returns {number} - q
+     */
+    getAuthalicQ(sinLat, ellipsoid) {
+        const e = Math.sqrt(ellipsoid.e2);
+        const eSinLat = e * sinLat;
+        return (1 - ellipsoid.e2) * (sinLat / (1 - eSinLat * eSinLat) - Math.log((1 - eSinLat) / (1 + eSinLat)) / (2 * e));
+    }
+
+    /**
+     * Convert geodetic coordinates to Earth-centered, Earth-fixed (ECEF) Cartesian coordinates
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} height - Ellipsoidal height in meters
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object} - {x, y, z} in meters
+     */
+    toECEF(lat, lon, height = 0, ellipsoid = this.getActiveEllipsoid()) {
+        const latRad = lat * Math.PI / 180;
+        const lonRad = lon * Math.PI / 180;
+        const primeVertical = this.getRadiiOfCurvature(lat, ellipsoid).primeVertical;
+
+        return {
+            x: (primeVertical + height) * Math.cos(latRad) * Math.cos(lonRad),
+            y: (primeVertical + height) * Math.cos(latRad) * Math.sin(lonRad),
+            z: (primeVertical * (1 - ellipsoid.e2) + height) * Math.sin(latRad)
+        };
+    }
+
+    /**
+     * Convert Earth-centered, Earth-fixed (ECEF) Cartesian coordinates to geodetic coordinates.
+     * Latitude is found by iterating on the height; the height formula stays well-conditioned at the poles.
+     * @param {number} x - X in meters
+     * @param {number} y - Y in meters
+     * @param {number} z - Z in meters
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object|null} - {lat, lon, height} in degrees and meters, or null at the Earth's center
+     */
+    fromECEF(x, y, z, ellipsoid = this.getActiveEllipsoid()) {
+        const p = Math.sqrt(x * x + y * y);
+        if (!isFinite(p) || !isFinite(z) || (p === 0 && z === 0)) {
+            return null;
+        }
+
+        const lon = Math.atan2(y, x);
+        let lat = Math.atan2(z, p * (1 - ellipsoid.e2));
+        let height = 0;
+
+        for (let i = 0; i < 10; i++) {
+            const sinLat = Math.sin(lat);
+            const primeVertical = ellipsoid.a / Math.sqrt(1 - ellipsoid.e2 * sinLat * sinLat);
+            height = p * Math.cos(lat) + z * sinLat - ellipsoid.a * ellipsoid.a / primeVertical;
+
+            const previous = lat;
+            lat = Math.atan2(z, p * (1 - ellipsoid.e2 * primeVertical / (primeVertical + height)));
+            if (Math.abs(lat - previous) < 1e-14) {
+                break;
+            }
+        }
+
+        const sinLat = Math.sin(lat);
+        height = p * Math.cos(lat) + z * sinLat - ellipsoid.a * Math.sqrt(1 - ellipsoid.e2 * sinLat * sinLat);
+
+        return {
+            lat: lat * 180 / Math.PI,
+            lon: lon * 180 / Math.PI,
+            height: height
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeodeticDatums;
+}
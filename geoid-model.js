@@ -0,0 +1,274 @@
+/**
+ * Geoid Model
+ * Loads a local geoid grid (GEOID18, EGM2008, ...) and converts between
+ * ellipsoidal (h) and orthometric (H) heights: h = H + N
+ */
+
+class GeoidModel {
+    constructor() {
+        // Loaded grid: {name, fileName, south, west, dLat, dLon, rows, cols, wrapsLongitude, getNode}
+        this.grid = null;
+
+        // Grid values beyond this magnitude are "no data" markers (e.g. -999 or -88.8888)
+        this.maxUndulation = 150;
+
+        // Model names recognised from common distribution file names
+        this.knownModels = [
+            { pattern: /g2018|geoid18/i, name: 'GEOID18' },
+            { pattern: /g2012|geoid12/i, name: 'GEOID12B' },
+            { pattern: /egm2008|egm08|und_min/i, name: 'EGM2008' },
+            { pattern: /egm96|ww15mgh/i, name: 'EGM96' }
+        ];
+    }
+
+    /**
+     * Load a geoid grid from a File selected by the user
+     * @param {File} file - NGS .bin/.asc or GeographicLib .pgm grid file
+     * @returns {Promise<Object>} - Grid summary from describe()
+     */
+    async loadFromFile(file) {
+        const buffer = await file.arrayBuffer();
+        return this.loadFromBuffer(buffer, file.name);
+    }
+
+    /**
+     * Load a geoid grid from raw file contents
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {string} fileName - File name, used to pick the format and model name
+     * @returns {Object} - Grid summary from describe()
+     */
+    loadFromBuffer(buffer, fileName = '') {
+        const bytes = new Uint8Array(buffer);
+        let grid;
+
+        if (bytes[0] === 0x50 && bytes[1] === 0x35) {
+            // "P5" magic number: GeographicLib PGM
+            grid = this.parsePGM(buffer);
+        } else if (/\.asc$/i.test(fileName)) {
+            grid = this.parseNGSAscii(new TextDecoder().decode(bytes));
+        } else {
+            grid = this.parseNGSBinary(buffer);
+        }
+
+        const known = this.knownModels.find(model => model.pattern.test(fileName));
+        grid.name = known ? known.name : (fileName || 'Geoid grid');
+        grid.fileName = fileName;
+        this.grid = grid;
+
+        return this.describe();
+    }
+
+    /**
+     * Parse an NGS binary grid (GEOID18/GEOID12B .bin)
+     * Header: south, west, dLat, dLon (float64), rows, cols, kind (int32); then float32 rows from the south
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} - Grid without name
+     */
+    parseNGSBinary(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 44) {
+            throw new Error('File is too short to be an NGS geoid grid.');
+        }
+
+        // The files are published in both byte orders; the kind flag must read as 1 (float32)
+        const littleEndian = view.getInt32(40, true) === 1;
+        if (!littleEndian && view.getInt32(40, false) !== 1) {
+            throw new Error('Unrecognised geoid file. Expected an NGS .bin, NGS .asc or GeographicLib .pgm grid.');
+        }
+
+        const header = {
+            south: view.getFloat64(0, littleEndian),
+            west: view.getFloat64(8, littleEndian),
+            dLat: view.getFloat64(16, littleEndian),
+            dLon: view.getFloat64(24, littleEndian),
+            rows: view.getInt32(32, littleEndian),
+            cols: view.getInt32(36, littleEndian)
+        };
+
+        if (buffer.byteLength < 44 + header.rows * header.cols * 4) {
+            throw new Error('Geoid file is truncated.');
+        }
+
+        return this.createGrid(header, (row, col) => view.getFloat32(44 + (row * header.cols + col) * 4, littleEndian));
+    }
+
+    /**
+     * Parse an NGS ASCII grid (.asc): the binary header values as text, then the grid values
+     * @param {string} text - File contents
+     * @returns {Object} - Grid without name
+     */
+    parseNGSAscii(text) {
+        const numbers = text.trim().split(/\s+/).map(Number);
+        const [south, west, dLat, dLon, rows, cols] = numbers;
+
+        if (numbers.length < 7 || numbers.slice(0, 7).some(isNaN)) {
+            throw new Error('Unrecognised NGS ASCII geoid header.');
+        }
+        if (numbers.length < 7 + rows * cols) {
+            throw new Error('Geoid file is truncated.');
+        }
+
+        const values = Float32Array.from(numbers.slice(7, 7 + rows * cols));
+        return this.createGrid({ south, west, dLat, dLon, rows, cols }, (row, col) => values[row * cols + col]);
+    }
+
+    /**
+     * Parse a GeographicLib PGM grid (e.g. egm2008-2_5.pgm): big-endian uint16 rows from
+     * 90°N to 90°S starting at 0°E, with "# Offset" and "# Scale" header comments
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} - Grid without name
+     */
+    parsePGM(buffer) {
+        // The text header is short; read enough of it to find the dimensions
+        const headerText = new TextDecoder('latin1').decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 4096)));
+        const offsetMatch = /#\s*Offset\s+(-?\d+(?:\.\d+)?)/i.exec(headerText);
+        const scaleMatch = /#\s*Scale\s+(-?\d+(?:\.\d+)?)/i.exec(headerText);
+        const sizeMatch = /^P5\s+(?:#.*\s+)*(\d+)\s+(\d+)\s+(?:#.*\s+)*(\d+)\s/.exec(headerText);
+
+        if (!offsetMatch || !scaleMatch || !sizeMatch) {
+            throw new Error('PGM file is missing the GeographicLib Offset/Scale header.');
+        }
+
+        const offset = parseFloat(offsetMatch[1]);
+        const scale = parseFloat(scaleMatch[1]);
+        const cols = parseInt(sizeMatch[1], 10);
+        const rows = parseInt(sizeMatch[2], 10);
+        const dataOffset = sizeMatch[0].length;
+
+        if (buffer.byteLength < dataOffset + rows * cols * 2) {
+            throw new Error('Geoid file is truncated.');
+        }
+
+        const view = new DataView(buffer);
+        const header = { south: -90, west: 0, dLat: 180 / (rows - 1), dLon: 360 / cols, rows, cols };
+
+        // File rows run north to south; grid rows are counted from the south
+        return this.createGrid(header, (row, col) =>
+            offset + scale * view.getUint16(dataOffset + ((rows - 1 - row) * cols + col) * 2, false));
+    }
+
+    /**
+     * Validate a grid header and attach the node reader
+     * @param {Object} header - {south, west, dLat, dLon, rows, cols}
+     * @param {Function} getNode - (row, col) => undulation in meters, row 0 at the south edge
+     * @returns {Object} - Grid
+     */
+    createGrid(header, getNode) {
+        const { dLat, dLon, rows, cols } = header;
+        if (!(dLat > 0) || !(dLon > 0) || !(rows > 1) || !(cols > 1)) {
+            throw new Error('Geoid grid header has invalid spacing or size.');
+        }
+
+        return {
+            ...header,
+            west: ((header.west % 360) + 360) % 360,
+            // Global grids omit the repeated column at 360°
+            wrapsLongitude: Math.abs(cols * dLon - 360) < dLon / 2,
+            getNode: getNode
+        };
+    }
+
+    /**
+     * Check whether a geoid grid is loaded
+     * @returns {boolean} - True if a grid is loaded
+     */
+    isLoaded() {
+        return this.grid !== null;
+    }
+
+    /**
+     * Remove the loaded grid
+     */
+    unload() {
+        this.grid = null;
+    }
+
+    /**
+     * Summarise the loaded grid for display
+     * @returns {Object|null} - {name, fileName, south, north, west, east, spacingMinutes}
+     */
+    describe() {
+        if (!this.grid) {
+            return null;
+        }
+
+        const { name, fileName, south, west, dLat, dLon, rows, cols, wrapsLongitude } = this.grid;
+        const signed = lon => ((lon + 180) % 360 + 360) % 360 - 180;
+
+        return {
+            name: name,
+            fileName: fileName,
+            south: south,
+            north: south + (rows - 1) * dLat,
+            west: wrapsLongitude ? -180 : signed(west),
+            east: wrapsLongitude ? 180 : signed(west + (cols - 1) * dLon),
+            spacingMinutes: dLat * 60
+        };
+    }
+
+    /**
+     * Interpolate the geoid undulation N (bilinear) at a point
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {number|null} - N in meters, or null outside the grid or without a grid
+     */
+    getUndulation(lat, lon) {
+        const grid = this.grid;
+        if (!grid || isNaN(lat) || isNaN(lon)) {
+            return null;
+        }
+
+        const y = (lat - grid.south) / grid.dLat;
+        const x = (((lon - grid.west) % 360) + 360) % 360 / grid.dLon;
+        if (y < 0 || y > grid.rows - 1 || (!grid.wrapsLongitude && x > grid.cols - 1)) {
+            return null;
+        }
+
+        // Points on the north or east edge use the last cell rather than a cell beyond the grid
+        const row = Math.min(Math.floor(y), grid.rows - 2);
+        const baseCol = grid.wrapsLongitude ? Math.floor(x) : Math.min(Math.floor(x), grid.cols - 2);
+        const col = baseCol % grid.cols;
+        const nextCol = (baseCol + 1) % grid.cols;
+        const fy = y - row;
+        const fx = x - baseCol;
+
+        const corners = [
+            grid.getNode(row, col), grid.getNode(row, nextCol),
+            grid.getNode(row + 1, col), grid.getNode(row + 1, nextCol)
+        ];
+        if (corners.some(value => !isFinite(value) || Math.abs(value) > this.maxUndulation)) {
+            return null;
+        }
+
+        const south = corners[0] + (corners[1] - corners[0]) * fx;
+        const north = corners[2] + (corners[3] - corners[2]) * fx;
+        return south + (north - south) * fy;
+    }
+
+    /**
+     * Convert a height between ellipsoidal (h) and orthometric (H)
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {number} height - Height in meters
+     * @param {string} fromType - 'ellipsoidal' or 'orthometric'
+     * @param {string} toType - 'ellipsoidal' or 'orthometric'
+     * @returns {number|null} - Converted height, or null if the geoid is not available here
+     */
+    convertHeight(lat, lon, height, fromType, toType) {
+        if (fromType === toType) {
+            return height;
+        }
+
+        const undulation = this.getUndulation(lat, lon);
+        if (undulation === null) {
+            return null;
+        }
+
+        return toType === 'ellipsoidal' ? height + undulation : height - undulation;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoidModel;
+}
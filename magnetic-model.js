@@ -0,0 +1,395 @@
+/**
+ * Magnetic Model
+ * Evaluates spherical harmonic main field models (World Magnetic Model, IGRF) for magnetic
+ * declination, inclination and their annual change at any point and date
+ */
+
+class MagneticModel {
+    /**
+     * @param {Array} coefficientFiles - WMM.COF file contents embedded with the app
+     */
+    constructor(coefficientFiles = WMM_COEFFICIENTS) {
+        // Geomagnetic reference sphere radius (km) and WGS 84, which the models are defined on
+        this.referenceRadius = 6371.2;
+        this.semiMajorAxis = 6378.137;
+        this.flattening = 1 / 298.257223563;
+
+        // Below these horizontal intensities (nT) the compass is unreliable: the WMM blackout and caution zones
+        this.blackoutIntensity = 2000;
+        this.cautionIntensity = 6000;
+
+        // Models: {name, fileName, embedded, validFrom, validTo, epochs: [{year, g, h, gDot, hDot}]}
+        this.models = coefficientFiles.map(text => ({ ...this.parseCOF(text), fileName: '', embedded: true }));
+    }
+
+    /**
+     * Load a coefficient file selected by the user, e.g. IGRF for dates before the embedded WMM
+     * @param {File} file - WMM .COF or IGRF coefficients .txt file
+     * @returns {Promise<Object>} - Model summary from describe()
+     */
+    async loadFromFile(file) {
+        return this.loadFromText(await file.text(), file.name);
+    }
+
+    /**
+     * Load a coefficient file from its contents. A loaded file replaces any previously loaded one;
+     * the embedded models are kept.
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used for the model name
+     * @returns {Object} - Model summary from describe()
+     */
+    loadFromText(text, fileName = '') {
+        const model = /^\s*g\/h\s/m.test(text) ? this.parseIGRF(text, fileName) : this.parseCOF(text);
+        model.fileName = fileName;
+        model.embedded = false;
+
+        this.models = this.models.filter(existing => existing.embedded);
+        this.models.push(model);
+        return this.describe();
+    }
+
+    /**
+     * Parse a WMM.COF file: a header line with the epoch and model name, then lines of
+     * n, m, g, h, ġ, ḣ; valid for five years from the epoch
+     * @param {string} text - File contents
+     * @returns {Object} - Model without fileName
+     */
+    parseCOF(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        const header = lines[0].trim().split(/\s+/);
+        const epoch = parseFloat(header[0]);
+        if (isNaN(epoch)) {
+            throw new Error('Unrecognised coefficient file. Expected a WMM .COF or IGRF coefficients file.');
+        }
+
+        const coefficients = this.createCoefficients();
+        lines.slice(1).forEach(line => {
+            const values = line.trim().split(/\s+/).map(Number);
+            const [n, m] = values;
+            if (values.length < 6 || !(n >= 1 && n <= this.maxDegree) || !(m >= 0 && m <= n)) {
+                return;
+            }
+            coefficients.g[n][m] = values[2];
+            coefficients.h[n][m] = values[3];
+            coefficients.gDot[n][m] = values[4];
+            coefficients.hDot[n][m] = values[5];
+        });
+
+        if (coefficients.g[1][0] === 0) {
+            throw new Error('Coefficient file has no main field coefficients.');
+        }
+
+        return {
+            name: header[1] || `WMM ${epoch}`,
+            validFrom: epoch,
+            validTo: epoch + 5,
+            epochs: [{ year: epoch, ...coefficients }]
+        };
+    }
+
+    /**
+     * Parse an IGRF coefficients table (igrf13coeffs.txt, igrf14coeffs.txt): a "g/h n m" header with
+     * one column per five-year epoch and a final secular variation column, then one row per coefficient.
+     * Between epochs the coefficients are interpolated linearly; after the last they follow the
+     * secular variation for five years.
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used for the model name
+     * @returns {Object} - Model without fileName
+     */
+    parseIGRF(text, fileName = '') {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+        const headerIndex = lines.findIndex(line => /^\s*g\/h\s/.test(line));
+        const years = lines[headerIndex].trim().split(/\s+/).slice(3, -1).map(parseFloat);
+        if (years.length === 0 || years.some(isNaN)) {
+            throw new Error('Unrecognised IGRF file: the epoch columns could not be read.');
+        }
+
+        const epochs = years.map(year => ({ year, ...this.createCoefficients() }));
+        lines.slice(headerIndex + 1).forEach(line => {
+            const values = line.trim().split(/\s+/);
+            const type = values[0];
+            const n = parseInt(values[1], 10);
+            const m = parseInt(values[2], 10);
+            if ((type !== 'g' && type !== 'h') || !(n >= 1 && n <= this.maxDegree) || !(m >= 0 && m <= n)) {
+                return;
+            }
+
+            const columns = values.slice(3).map(parseFloat);
+            epochs.forEach((epoch, index) => {
+                epoch[type][n][m] = columns[index] || 0;
+            });
+            // Rate of change: towards the next epoch, or the secular variation column after the last
+            epochs.forEach((epoch, index) => {
+                const rate = index < epochs.length - 1
+                    ? (epochs[index + 1][type][n][m] - epoch[type][n][m]) / (epochs[index + 1].year - epoch.year)
+                    : columns[years.length] || 0;
+                epoch[`${type}Dot`][n][m] = rate;
+            });
+        });
+
+        const version = fileName.match(/igrf(\d+)/i);
+        return {
+            name: version ? `IGRF-${version[1]}` : 'IGRF',
+            validFrom: years[0],
+            validTo: years[years.length - 1] + 5,
+            epochs
+        };
+    }
+
+    /**
+     * Empty coefficient arrays indexed [n][m]
+     * @returns {Object} - {g, h, gDot, hDot}
+     */
+    createCoefficients() {
+        const empty = () => Array.from({ length: this.maxDegree + 1 }, (value, n) => new Array(n + 1).fill(0));
+        return { g: empty(), h: empty(), gDot: empty(), hDot: empty() };
+    }
+
+    /**
+     * Highest spherical harmonic degree read from coefficient files
+     * @returns {number} - Degree
+     */
+    get maxDegree() {
+        return 13;
+    }
+
+    /**
+     * Describe the available models for the status display
+     * @returns {Object} - {models: [{name, validFrom, validTo, embedded}], text}
+     */
+    describe() {
+        const models = this.models.map(model => ({
+            name: model.name,
+            validFrom: model.validFrom,
+            validTo: model.validTo,
+            embedded: model.embedded
+        }));
+        return {
+            models,
+            text: models.map(model => `${model.name} (${model.validFrom.toFixed(1)}–${model.validTo.toFixed(1)})`).join(', ')
+        };
+    }
+
+    /**
+     * Pick the model for a date: the most recent model whose range covers it, so the WMM is used
+     * over IGRF while it is valid
+     * @param {number} year - Decimal year
+     * @returns {Object|null} - Model, or null if no model covers the date
+     */
+    getModel(year) {
+        const covering = this.models.filter(model => year >= model.validFrom && year <= model.validTo);
+        if (covering.length === 0) {
+            return null;
+        }
+        return covering.reduce((best, model) => model.validFrom > best.validFrom ? model : best);
+    }
+
+    /**
+     * Convert a date to a decimal year
+     * @param {Date|string|number} date - Date, "YYYY-MM-DD" or "YYYY" string, or decimal year
+     * @returns {number|null} - Decimal year, or null if the date cannot be read
+     */
+    toDecimalYear(date) {
+        if (typeof date === 'number') {
+            return isFinite(date) ? date : null;
+        }
+
+        let year;
+        let dayOfYear;
+        if (date instanceof Date) {
+            if (isNaN(date.getTime())) {
+                return null;
+            }
+            year = date.getUTCFullYear();
+            dayOfYear = (date.getTime() - Date.UTC(year, 0, 1)) / 86400000;
+        } else {
+            const text = String(date).trim();
+            const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+            if (!match) {
+                return /^\d{4}\.\d+$/.test(text) ? parseFloat(text) : null;
+            }
+            year = parseInt(match[1], 10);
+            const month = match[2] ? parseInt(match[2], 10) : 1;
+            const day = match[3] ? parseInt(match[3], 10) : 1;
+            if (month < 1 || month > 12 || day < 1 || day > 31) {
+                return null;
+            }
+            dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000;
+        }
+
+        const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000;
+        return year + dayOfYear / daysInYear;
+    }
+
+    /**
+     * Compute the magnetic field at a point and date
+     * @param {number} lat - Geodetic latitude in degrees (WGS 84)
+     * @param {number} lon - Longitude in degrees
+     * @param {number} height - Ellipsoidal height in meters
+     * @param {Date|string|number} date - Date, see toDecimalYear()
+     * @returns {Object|null} - {declination, inclination, declinationChange, inclinationChange (degrees, degrees/year;
+     *                          declination east positive, inclination down positive), north, east, down,
+     *                          horizontalIntensity, totalIntensity (nT), model, year, warning ('blackout',
+     *                          'caution' or null)}, or null if the date cannot be read or no model covers it
+     */
+    calculate(lat, lon, height = 0, date = new Date()) {
+        const year = this.toDecimalYear(date);
+        if (year === null || !isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90) {
+            return null;
+        }
+        const model = this.getModel(year);
+        if (!model) {
+            return null;
+        }
+
+        // Coefficients at the date, and their rates of change
+        const epoch = model.epochs.reduce((best, candidate) => candidate.year <= year ? candidate : best, model.epochs[0]);
+        const elapsed = year - epoch.year;
+        const main = { g: [], h: [] };
+        const rate = { g: epoch.gDot, h: epoch.hDot };
+        for (let n = 0; n <= this.maxDegree; n++) {
+            main.g.push(epoch.g[n].map((value, m) => value + elapsed * epoch.gDot[n][m]));
+            main.h.push(epoch.h[n].map((value, m) => value + elapsed * epoch.hDot[n][m]));
+        }
+
+        const position = this.toSpherical(lat, lon, height);
+        const field = this.evaluateField(main, position);
+        const change = this.evaluateField(rate, position);
+
+        const horizontal = Math.hypot(field.north, field.east);
+        const total = Math.hypot(horizontal, field.down);
+        const horizontalChange = horizontal > 0 ? (field.north * change.north + field.east * change.east) / horizontal : 0;
+        const toDegrees = 180 / Math.PI;
+
+        let warning = null;
+        if (horizontal < this.blackoutIntensity) {
+            warning = 'blackout';
+        } else if (horizontal < this.cautionIntensity) {
+            warning = 'caution';
+        }
+
+        return {
+            declination: Math.atan2(field.east, field.north) * toDegrees,
+            inclination: Math.atan2(field.down, horizontal) * toDegrees,
+            declinationChange: horizontal > 0
+                ? (field.north * change.east - field.east * change.north) / (horizontal * horizontal) * toDegrees
+                : 0,
+            inclinationChange: (horizontal * change.down - field.down * horizontalChange) / (total * total) * toDegrees,
+            north: field.north,
+            east: field.east,
+            down: field.down,
+            horizontalIntensity: horizontal,
+            totalIntensity: total,
+            model: model.name,
+            year,
+            warning
+        };
+    }
+
+    /**
+     * Convert a geodetic position to geocentric spherical coordinates
+     * @param {number} lat - Geodetic latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} height - Ellipsoidal height in meters
+     * @returns {Object} - {radius (km), latitude (geocentric), longitude, latitudeShift (geocentric − geodetic), radians}
+     */
+    toSpherical(lat, lon, height) {
+        const phi = lat * Math.PI / 180;
+        const e2 = this.flattening * (2 - this.flattening);
+        const sinPhi = Math.sin(phi);
+        const primeVertical = this.semiMajorAxis / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        const h = height / 1000;
+
+        const p = (primeVertical + h) * Math.cos(phi);
+        const z = (primeVertical * (1 - e2) + h) * sinPhi;
+        const radius = Math.hypot(p, z);
+        const latitude = Math.atan2(z, p);
+
+        return {
+            radius,
+            latitude,
+            longitude: lon * Math.PI / 180,
+            latitudeShift: latitude - phi
+        };
+    }
+
+    /**
+     * Sum the spherical harmonic series for the field components, rotated from the geocentric
+     * to the geodetic north/east/down frame
+     * @param {Object} coefficients - {g, h} indexed [n][m] (nT, or nT/yr for the rate of change)
+     * @param {Object} position - Result of toSpherical()
+     * @returns {Object} - {north, east, down}
+     */
+    evaluateField(coefficients, position) {
+        const sinLat = Math.sin(position.latitude);
+        // Keep the east component finite at the poles, where declination is undefined
+        const cosLat = Math.max(Math.cos(position.latitude), 1e-12);
+        const { p, dp } = this.calculateLegendre(sinLat, cosLat);
+        const ratio = this.referenceRadius / position.radius;
+
+        let north = 0;
+        let east = 0;
+        let down = 0;
+        let radialPower = ratio * ratio;
+        for (let n = 1; n <= this.maxDegree; n++) {
+            radialPower *= ratio;
+            for (let m = 0; m <= n; m++) {
+                const cosM = Math.cos(m * position.longitude);
+                const sinM = Math.sin(m * position.longitude);
+                const g = coefficients.g[n][m];
+                const h = coefficients.h[n][m];
+                const inPhase = g * cosM + h * sinM;
+
+                north += radialPower * inPhase * dp[n][m];
+                east += radialPower * m * (g * sinM - h * cosM) * p[n][m] / cosLat;
+                down -= (n + 1) * radialPower * inPhase * p[n][m];
+            }
+        }
+
+        const shift = position.latitudeShift;
+        return {
+            north: north * Math.cos(shift) - down * Math.sin(shift),
+            east,
+            down: north * Math.sin(shift) + down * Math.cos(shift)
+        };
+    }
+
+    /**
+     * Schmidt semi-normalized associated Legendre functions of sin(latitude) and their
+     * derivatives with respect to colatitude
+     * @param {number} sinLat - Sine of the geocentric latitude (cosine of the colatitude)
+     * @param {number} cosLat - Cosine of the geocentric latitude
+     * @returns {Object} - {p, dp} indexed [n][m]
+     */
+    calculateLegendre(sinLat, cosLat) {
+        const p = [[1]];
+        const dp = [[0]];
+
+        for (let n = 1; n <= this.maxDegree; n++) {
+            p.push([]);
+            dp.push([]);
+            for (let m = 0; m <= n; m++) {
+                if (n === m) {
+                    // Sectoral terms; P₁¹ has no √2 factor in the Schmidt normalization
+                    const factor = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+                    p[n][m] = factor * cosLat * p[n - 1][m - 1];
+                    dp[n][m] = factor * (sinLat * p[n - 1][m - 1] + cosLat * dp[n - 1][m - 1]);
+                } else {
+                    const previous = n - 2 >= m ? Math.sqrt((n - 1) * (n - 1) - m * m) : 0;
+                    const older = previous ? p[n - 2][m] : 0;
+                    const olderDerivative = previous ? dp[n - 2][m] : 0;
+                    const divisor = Math.sqrt(n * n - m * m);
+                    p[n][m] = ((2 * n - 1) * sinLat * p[n - 1][m] - previous * older) / divisor;
+                    dp[n][m] = ((2 * n - 1) * (sinLat * dp[n - 1][m] - cosLat * p[n - 1][m]) - previous * olderDerivative) / divisor;
+                }
+            }
+        }
+
+        return { p, dp };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MagneticModel;
+}
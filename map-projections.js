@@ -0,0 +1,397 @@
+/**
+ * Map Projections
+ * Conformal projections on the active ellipsoid (Transverse Mercator, Lambert Conformal Conic and Polar Stereographic)
+ */
+
+class MapProjections {
+    /**
+     * @param {GeodeticDatums} datums - Datum registry providing the active ellipsoid
+     */
+    constructor(datums = new GeodeticDatums()) {
+        this.datums = datums;
+    }
+
+    /**
+     * Krüger series coefficients (Karney 2011, sixth order in n) for an ellipsoid
+     * @param {Object} ellipsoid - Ellipsoid from GeodeticDatums.getEllipsoid
+     * @returns {Object} - {A, alpha: Array, beta: Array}
+     */
+    getKrugerCoefficients(ellipsoid) {
+        const n = ellipsoid.f / (2 - ellipsoid.f);
+        const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n, n6 = n5 * n;
+
+        // Radius of the rectifying sphere
+        const A = ellipsoid.a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+
+        const alpha = [
+            n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288 + 7891 * n6 / 37800,
+            13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630 - 1983433 * n6 / 1935360,
+            61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880 + 167603 * n6 / 181440,
+            49561 * n4 / 161280 - 179 * n5 / 168 + 6601661 * n6 / 7257600,
+            34729 * n5 / 80640 - 3418889 * n6 / 1995840,
+            212378941 * n6 / 319334400
+        ];
+
+        const beta = [
+            n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512 + 96199 * n6 / 604800,
+            n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105 - 1118711 * n6 / 3870720,
+            17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480 + 5569 * n6 / 90720,
+            4397 * n4 / 161280 - 11 * n5 / 504 - 830251 * n6 / 7257600,
+            4583 * n5 / 161280 - 108847 * n6 / 3991680,
+            20648693 * n6 / 638668800
+        ];
+
+        return { A, alpha, beta };
+    }
+
+    /**
+     * Transverse Mercator forward projection
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {Object} params - {lat0, lon0, k0, falseEasting, falseNorthing} (degrees and meters)
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object} - {easting, northing, convergence, scale} (convergence in degrees)
+     */
+    transverseMercatorForward(lat, lon, params, ellipsoid = this.datums.getActiveEllipsoid()) {
+        const { A, alpha } = this.getKrugerCoefficients(ellipsoid);
+        const point = this.projectTransverseMercator(lat, lon - params.lon0, ellipsoid, A, alpha);
+        const origin = params.lat0 ? this.projectTransverseMercator(params.lat0, 0, ellipsoid, A, alpha) : { xi: 0 };
+
+        return {
+            easting: params.falseEasting + params.k0 * A * point.eta,
+            northing: params.falseNorthing + params.k0 * A * (point.xi - origin.xi),
+            convergence: point.convergence,
+            scale: params.k0 * point.scale
+        };
+    }
+
+    /**
+     * Project onto the unscaled Transverse Mercator plane (Krüger series)
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} dLon - Longitude from the central meridian in decimal degrees
+     * @param {Object} ellipsoid - Ellipsoid
+     * @param {number} A - Rectifying radius
+     * @param {Array} alpha - Forward series coefficients
+     * @returns {Object} - {xi, eta, convergence, scale}
+     */
+    projectTransverseMercator(lat, dLon, ellipsoid, A, alpha) {
+        const e = Math.sqrt(ellipsoid.e2);
+        const phi = this.toRadians(lat);
+        const lambda = this.toRadians(dLon);
+        const cosLambda = Math.cos(lambda), sinLambda = Math.sin(lambda);
+
+        const tau = Math.tan(phi);
+        const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+        const tauPrime = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+
+        const xiPrime = Math.atan2(tauPrime, cosLambda);
+        const etaPrime = Math.asinh(sinLambda / Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda));
+
+        let xi = xiPrime, eta = etaPrime;
+        let p = 1, q = 0;
+        for (let j = 1; j <= alpha.length; j++) {
+            const a = alpha[j - 1];
+            xi += a * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+            eta += a * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+            p += 2 * j * a * Math.cos(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+            q += 2 * j * a * Math.sin(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+        }
+
+        const gammaPrime = Math.atan(tauPrime / Math.sqrt(1 + tauPrime * tauPrime) * Math.tan(lambda));
+        const gammaDoublePrime = Math.atan2(q, p);
+
+        const sinPhi = Math.sin(phi);
+        const kPrime = Math.sqrt(1 - ellipsoid.e2 * sinPhi * sinPhi) * Math.sqrt(1 + tau * tau) /
+                       Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda);
+        const kDoublePrime = A / ellipsoid.a * Math.sqrt(p * p + q * q);
+
+        return {
+            xi,
+            eta,
+            convergence: this.toDegrees(gammaPrime + gammaDoublePrime),
+            scale: kPrime * kDoublePrime
+        };
+    }
+
+    /**
+     * Transverse Mercator inverse projection
+     * @param {number} easting - Easting in meters
+     * @param {number} northing - Northing in meters
+     * @param {Object} params - {lat0, lon0, k0, falseEasting, falseNorthing} (degrees and meters)
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object} - {lat, lon, convergence, scale} (degrees)
+     */
+    transverseMercatorInverse(easting, northing, params, ellipsoid = this.datums.getActiveEllipsoid()) {
+        const { A, alpha, beta } = this.getKrugerCoefficients(ellipsoid);
+        const e = Math.sqrt(ellipsoid.e2);
+        const origin = params.lat0 ? this.projectTransverseMercator(params.lat0, 0, ellipsoid, A, alpha) : { xi: 0 };
+
+        const xi = (northing - params.falseNorthing) / (params.k0 * A) + origin.xi;
+        const eta = (easting - params.falseEasting) / (params.k0 * A);
+
+        let xiPrime = xi, etaPrime = eta;
+        let p = 1, q = 0;
+        for (let j = 1; j <= beta.length; j++) {
+            const b = beta[j - 1];
+            xiPrime -= b * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+            etaPrime -= b * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+            p -= 2 * j * b * Math.cos(2 * j * xi) * Math.cosh(2 * j * eta);
+            q += 2 * j * b * Math.sin(2 * j * xi) * Math.sinh(2 * j * eta);
+        }
+
+        const sinhEtaPrime = Math.sinh(etaPrime);
+        const sinXiPrime = Math.sin(xiPrime), cosXiPrime = Math.cos(xiPrime);
+        const tauPrime = sinXiPrime / Math.sqrt(sinhEtaPrime * sinhEtaPrime + cosXiPrime * cosXiPrime);
+
+        // Newton-Raphson iteration for tau = tan(phi)
+        let tau = tauPrime;
+        for (let i = 0; i < 10; i++) {
+            const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+            const tauI = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+            const delta = (tauPrime - tauI) / Math.sqrt(1 + tauI * tauI) *
+                (1 + (1 - ellipsoid.e2) * tau * tau) / ((1 - ellipsoid.e2) * Math.sqrt(1 + tau * tau));
+            tau += delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+
+        const phi = Math.atan(tau);
+        const lambda = Math.atan2(sinhEtaPrime, cosXiPrime);
+
+        const gammaPrime = Math.atan(Math.tan(xiPrime) * Math.tanh(etaPrime));
+        const gammaDoublePrime = Math.atan2(q, p);
+
+        const sinPhi = Math.sin(phi);
+        const kPrime = Math.sqrt(1 - ellipsoid.e2 * sinPhi * sinPhi) * Math.sqrt(1 + tau * tau) *
+                       Math.sqrt(sinhEtaPrime * sinhEtaPrime + cosXiPrime * cosXiPrime);
+        const kDoublePrime = A / ellipsoid.a / Math.sqrt(p * p + q * q);
+
+        return {
+            lat: this.toDegrees(phi),
+            lon: this.normalizeLongitude(params.lon0 + this.toDegrees(lambda)),
+            convergence: this.toDegrees(gammaPrime + gammaDoublePrime),
+            scale: params.k0 * kPrime * kDoublePrime
+        };
+    }
+
+    /**
+     * Polar Stereographic forward projection (variant A, origin at the pole)
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {Object} params - {northPole: boolean, lon0, k0, falseEasting, falseNorthing}
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object} - {easting, northing, convergence, scale}
+     */
+    polarStereographicForward(lat, lon, params, ellipsoid = this.datums.getActiveEllipsoid()) {
+        const e = Math.sqrt(ellipsoid.e2);
+        const sign = params.northPole ? 1 : -1;
+        const phi = this.toRadians(sign * lat);
+        const lambda = this.toRadians(lon - params.lon0);
+
+        const sinPhi = Math.sin(phi);
+        const t = Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * sinPhi) / (1 + e * sinPhi), e / 2);
+        const rho = 2 * ellipsoid.a * params.k0 * t / this.getPolarConstant(e);
+
+        const m = Math.cos(phi) / Math.sqrt(1 - ellipsoid.e2 * sinPhi * sinPhi);
+
+        return {
+            easting: params.falseEasting + rho * Math.sin(lambda),
+            northing: params.falseNorthing - sign * rho * Math.cos(lambda),
+            convergence: this.toDegrees(sign * lambda),
+            scale: m > 0 ? rho / (ellipsoid.a * m) : params.k0
+        };
+    }
+
+    /**
+     * Polar Stereographic inverse projection
+     * @param {number} easting - Easting in meters
+     * @param {number} northing - Northing in meters
+     * @param {Object} params - {northPole: boolean, lon0, k0, falseEasting, falseNorthing}
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object} - {lat, lon, convergence, scale}
+     */
+    polarStereographicInverse(easting, northing, params, ellipsoid = this.datums.getActiveEllipsoid()) {
+        const e = Math.sqrt(ellipsoid.e2);
+        const sign = params.northPole ? 1 : -1;
+        const dx = easting - params.falseEasting;
+        const dy = northing - params.falseNorthing;
+
+        const rho = Math.sqrt(dx * dx + dy * dy);
+        const t = rho * this.getPolarConstant(e) / (2 * ellipsoid.a * params.k0);
+
+        // Iterate for latitude from the isometric colatitude
+        let phi = Math.PI / 2 - 2 * Math.atan(t);
+        for (let i = 0; i < 15; i++) {
+            const sinPhi = Math.sin(phi);
+            const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - e * sinPhi) / (1 + e * sinPhi), e / 2));
+            if (Math.abs(next - phi) < 1e-14) {
+                phi = next;
+                break;
+            }
+            phi = next;
+        }
+
+        const lambda = rho === 0 ? 0 : Math.atan2(dx, -sign * dy);
+        const sinPhi = Math.sin(phi);
+        const m = Math.cos(phi) / Math.sqrt(1 - ellipsoid.e2 * sinPhi * sinPhi);
+
+        return {
+            lat: this.toDegrees(sign * phi),
+            lon: this.normalizeLongitude(params.lon0 + this.toDegrees(lambda)),
+            convergence: this.toDegrees(sign * lambda),
+            scale: m > 0 ? rho / (ellipsoid.a * m) : params.k0
+        };
+    }
+
+    /**
+     * Lambert Conformal Conic forward projection (two standard parallels)
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {Object} params - {lat0, lon0, lat1, lat2, falseEasting, falseNorthing} (degrees and meters)
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object} - {easting, northing, convergence, scale}
+     */
+    lambertConformalConicForward(lat, lon, params, ellipsoid = this.datums.getActiveEllipsoid()) {
+        const cone = this.getLambertConstants(params, ellipsoid);
+        const phi = this.toRadians(lat);
+        const theta = cone.n * this.toRadians(this.normalizeLongitude(lon - params.lon0));
+        const rho = ellipsoid.a * cone.F * Math.pow(this.getIsometricColatitude(phi, ellipsoid), cone.n);
+
+        return {
+            easting: params.falseEasting + rho * Math.sin(theta),
+            northing: params.falseNorthing + cone.rho0 - rho * Math.cos(theta),
+            convergence: this.toDegrees(theta),
+            scale: cone.n * rho / (ellipsoid.a * this.getParallelRadiusFactor(phi, ellipsoid))
+        };
+    }
+
+    /**
+     * Lambert Conformal Conic inverse projection (two standard parallels)
+     * @param {number} easting - Easting in meters
+     * @param {number} northing - Northing in meters
+     * @param {Object} params - {lat0, lon0, lat1, lat2, falseEasting, falseNorthing} (degrees and meters)
+     * @param {Object} ellipsoid - Ellipsoid (defaults to the active one)
+     * @returns {Object} - {lat, lon, convergence, scale}
+     */
+    lambertConformalConicInverse(easting, northing, params, ellipsoid = this.datums.getActiveEllipsoid()) {
+        const cone = this.getLambertConstants(params, ellipsoid);
+        const e = Math.sqrt(ellipsoid.e2);
+        const dx = easting - params.falseEasting;
+        const dy = cone.rho0 - (northing - params.falseNorthing);
+
+        const sign = cone.n < 0 ? -1 : 1;
+        const rho = sign * Math.sqrt(dx * dx + dy * dy);
+        const theta = Math.atan2(sign * dx, sign * dy);
+        const t = Math.pow(rho / (ellipsoid.a * cone.F), 1 / cone.n);
+
+        // Iterate for latitude from the isometric colatitude
+        let phi = Math.PI / 2 - 2 * Math.atan(t);
+        for (let i = 0; i < 15; i++) {
+            const sinPhi = Math.sin(phi);
+            const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - e * sinPhi) / (1 + e * sinPhi), e / 2));
+            if (Math.abs(next - phi) < 1e-14) {
+                phi = next;
+                break;
+            }
+            phi = next;
+        }
+
+        return {
+            lat: this.toDegrees(phi),
+            lon: this.normalizeLongitude(params.lon0 + this.toDegrees(theta / cone.n)),
+            convergence: this.toDegrees(theta),
+            scale: cone.n * rho / (ellipsoid.a * this.getParallelRadiusFactor(phi, ellipsoid))
+        };
+    }
+
+    /**
+     * Cone constants for a Lambert Conformal Conic projection
+     * @param {Object} params - {lat0, lat1, lat2}
+     * @param {Object} ellipsoid - Ellipsoid
+     * @returns {Object} - {n, F, rho0} (rho0 in meters)
+     */
+    getLambertConstants(params, ellipsoid) {
+        const phi0 = this.toRadians(params.lat0);
+        const phi1 = this.toRadians(params.lat1);
+        const phi2 = this.toRadians(params.lat2);
+
+        const m1 = this.getParallelRadiusFactor(phi1, ellipsoid);
+        const m2 = this.getParallelRadiusFactor(phi2, ellipsoid);
+        const t1 = this.getIsometricColatitude(phi1, ellipsoid);
+        const t2 = this.getIsometricColatitude(phi2, ellipsoid);
+
+        const n = Math.abs(phi1 - phi2) < 1e-12
+            ? Math.sin(phi1)
+            : (Math.log(m1) - Math.log(m2)) / (Math.log(t1) - Math.log(t2));
+        const F = m1 / (n * Math.pow(t1, n));
+
+        return {
+            n: n,
+            F: F,
+            rho0: ellipsoid.a * F * Math.pow(this.getIsometricColatitude(phi0, ellipsoid), n)
+        };
+    }
+
+    /**
+     * Radius of a parallel divided by the semi-major axis: cos(phi) / sqrt(1 - e² sin²(phi))
+     * @param {number} phi - Latitude in radians
+     * @param {Object} ellipsoid - Ellipsoid
+     * @returns {number} - Parallel radius factor
+     */
+    getParallelRadiusFactor(phi, ellipsoid) {
+        const sinPhi = Math.sin(phi);
+        return Math.cos(phi) / Math.sqrt(1 - ellipsoid.e2 * sinPhi * sinPhi);
+    }
+
+    /**
+     * Snyder's t: tan(pi/4 - phi/2) divided by ((1 - e sin phi) / (1 + e sin phi))^(e/2)
+     * @param {number} phi - Latitude in radians
+     * @param {Object} ellipsoid - Ellipsoid
+     * @returns {number} - Isometric colatitude function t
+     */
+    getIsometricColatitude(phi, ellipsoid) {
+        const e = Math.sqrt(ellipsoid.e2);
+        const sinPhi = Math.sin(phi);
+        return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * sinPhi) / (1 + e * sinPhi), e / 2);
+    }
+
+    /**
+     * Constant sqrt((1+e)^(1+e) (1-e)^(1-e)) used by the polar stereographic projection
+     * @param {number} e - First eccentricity
+     * @returns {number} - Polar constant
+     */
+    getPolarConstant(e) {
+        return Math.sqrt(Math.pow(1 + e, 1 + e) * Math.pow(1 - e, 1 - e));
+    }
+
+    /**
+     * Normalize a longitude to [-180, 180)
+     * @param {number} lon - Longitude in degrees
+     * @returns {number} - Normalized longitude
+     */
+    normalizeLongitude(lon) {
+        return ((lon + 180) % 360 + 360) % 360 - 180;
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Degrees
+     * @returns {number} - Radians
+     */
+    toRadians(degrees) {
+        return degrees * (Math.PI / 180);
+    }
+
+    /**
+     * Convert radians to degrees
+     * @param {number} radians - Radians
+     * @returns {number} - Degrees
+     */
+    toDegrees(radians) {
+        return radians * (180 / Math.PI);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapProjections;
+}
@@ -0,0 +1,335 @@
+/**
+ * Map View
+ * Plots points and connecting lines on an SVG over a latitude/longitude grid, without tile servers
+ */
+
+class MapView {
+    /**
+     * @param {SVGSVGElement} svg - SVG element to draw into; its viewBox sets the drawing size
+     */
+    constructor(svg) {
+        this.svg = svg;
+        this.svgNamespace = 'http://www.w3.org/2000/svg';
+        this.width = 800;
+        this.height = 400;
+        this.padding = 40;
+
+        // Mean meters per degree of latitude, used for the scale bar
+        this.metersPerDegree = 111320;
+
+        this.points = [];
+        this.lines = [];
+        this.caption = '';
+        this.selectedIndex = null;
+
+        // View: center in degrees, pixels per degree of latitude, and the longitude scale
+        // fixed at the latitude the view was fitted to so panning does not stretch the map
+        this.center = { lat: 0, lon: 0 };
+        this.scale = 1;
+        this.cosLat = 1;
+
+        // Called with the point index when a point is clicked
+        this.onPointClick = null;
+
+        this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.initializeInteraction();
+    }
+
+    /**
+     * Set the points to plot and zoom to fit them
+     * @param {Array} points - {name, lat, lon}
+     */
+    setPoints(points) {
+        this.points = points;
+        this.lines = [];
+        this.caption = '';
+        if (this.selectedIndex !== null && this.selectedIndex >= points.length) {
+            this.selectedIndex = null;
+        }
+        this.fit();
+    }
+
+    /**
+     * Set the lines drawn between points
+     * @param {Array} lines - {from, to, label}, with from/to indexes into the points
+     * @param {string} caption - Text shown in the corner of the map (e.g. a total distance)
+     */
+    setLines(lines, caption = '') {
+        this.lines = lines;
+        this.caption = caption;
+        this.render();
+    }
+
+    /**
+     * Highlight a point
+     * @param {number|null} index - Point index, or null to clear
+     */
+    setSelected(index) {
+        this.selectedIndex = index;
+        this.render();
+    }
+
+    /**
+     * Center and zoom the view on the points
+     */
+    fit() {
+        if (this.points.length === 0) {
+            this.center = { lat: 0, lon: 0 };
+            this.cosLat = 1;
+            this.scale = (this.height - 2 * this.padding) / 180;
+            this.render();
+            return;
+        }
+
+        const lats = this.points.map(point => point.lat);
+        const lons = this.points.map(point => point.lon);
+        const south = Math.min(...lats);
+        const north = Math.max(...lats);
+        const west = Math.min(...lons);
+        const east = Math.max(...lons);
+
+        this.center = { lat: (south + north) / 2, lon: (west + east) / 2 };
+        this.cosLat = Math.max(Math.cos(this.toRadians(this.center.lat)), 0.01);
+
+        // A lone point (or identical points) gets a view about 100 m across
+        const latSpan = Math.max(north - south, 0.001);
+        const lonSpan = Math.max((east - west) * this.cosLat, 0.001);
+        this.scale = Math.min(
+            (this.height - 2 * this.padding) / latSpan,
+            (this.width - 2 * this.padding) / lonSpan
+        );
+        this.render();
+    }
+
+    /**
+     * Project a position to SVG coordinates (equirectangular about the fitted latitude)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Object} - {x, y}
+     */
+    project(lat, lon) {
+        return {
+            x: this.width / 2 + (lon - this.center.lon) * this.cosLat * this.scale,
+            y: this.height / 2 - (lat - this.center.lat) * this.scale
+        };
+    }
+
+    /**
+     * Convert SVG coordinates back to a position
+     * @param {number} x - SVG x
+     * @param {number} y - SVG y
+     * @returns {Object} - {lat, lon}
+     */
+    unproject(x, y) {
+        return {
+            lat: this.center.lat - (y - this.height / 2) / this.scale,
+            lon: this.center.lon + (x - this.width / 2) / (this.cosLat * this.scale)
+        };
+    }
+
+    /**
+     * Redraw the grid, lines and points
+     */
+    render() {
+        while (this.svg.firstChild) {
+            this.svg.removeChild(this.svg.firstChild);
+        }
+
+        this.renderGrid();
+
+        this.lines.forEach(line => {
+            const from = this.points[line.from];
+            const to = this.points[line.to];
+            if (!from || !to) {
+                return;
+            }
+
+            const start = this.project(from.lat, from.lon);
+            const end = this.project(to.lat, to.lon);
+            this.svg.appendChild(this.createElement('line', { class: 'map-line', x1: start.x, y1: start.y, x2: end.x, y2: end.y }));
+
+            if (line.label) {
+                const label = this.createElement('text', {
+                    class: 'map-line-label', x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 - 6, 'text-anchor': 'middle'
+                });
+                label.textContent = line.label;
+                this.svg.appendChild(label);
+            }
+        });
+
+        this.points.forEach((point, index) => {
+            const position = this.project(point.lat, point.lon);
+            const group = this.createElement('g', { class: index === this.selectedIndex ? 'map-point selected' : 'map-point' });
+            group.dataset.index = index;
+            group.appendChild(this.createElement('circle', { cx: position.x, cy: position.y, r: 5 }));
+
+            const label = this.createElement('text', { x: position.x + 8, y: position.y - 8 });
+            label.textContent = point.name || `Point ${index + 1}`;
+            group.appendChild(label);
+
+            group.addEventListener('click', () => {
+                this.setSelected(index);
+                if (this.onPointClick) {
+                    this.onPointClick(index);
+                }
+            });
+            this.svg.appendChild(group);
+        });
+
+        this.renderScaleBar();
+
+        if (this.caption) {
+            const caption = this.createElement('text', { class: 'map-caption', x: 10, y: 20 });
+            caption.textContent = this.caption;
+            this.svg.appendChild(caption);
+        }
+    }
+
+    /**
+     * Draw latitude and longitude grid lines with degree labels
+     */
+    renderGrid() {
+        const topLeft = this.unproject(0, 0);
+        const bottomRight = this.unproject(this.width, this.height);
+        const step = this.chooseGridStep(80 / this.scale);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+
+        for (let lat = Math.ceil(Math.max(bottomRight.lat, -90) / step) * step; lat <= Math.min(topLeft.lat, 90); lat += step) {
+            const y = this.project(lat, this.center.lon).y;
+            this.svg.appendChild(this.createElement('line', { class: 'map-grid', x1: 0, y1: y, x2: this.width, y2: y }));
+            const label = this.createElement('text', { class: 'map-grid-label', x: 4, y: y - 3 });
+            label.textContent = `${lat.toFixed(decimals)}°`;
+            this.svg.appendChild(label);
+        }
+
+        for (let lon = Math.ceil(Math.max(topLeft.lon, -180) / step) * step; lon <= Math.min(bottomRight.lon, 180); lon += step) {
+            const x = this.project(this.center.lat, lon).x;
+            this.svg.appendChild(this.createElement('line', { class: 'map-grid', x1: x, y1: 0, x2: x, y2: this.height }));
+            const label = this.createElement('text', { class: 'map-grid-label', x: x + 3, y: this.height - 4 });
+            label.textContent = `${lon.toFixed(decimals)}°`;
+            this.svg.appendChild(label);
+        }
+    }
+
+    /**
+     * Draw a scale bar in the bottom right corner
+     */
+    renderScaleBar() {
+        const metersPerPixel = this.metersPerDegree / this.scale;
+        const length = this.chooseGridStep(120 * metersPerPixel);
+        const pixels = length / metersPerPixel;
+        const x = this.width - 20 - pixels;
+        const y = this.height - 20;
+
+        this.svg.appendChild(this.createElement('line', { class: 'map-scale', x1: x, y1: y, x2: x + pixels, y2: y }));
+        const label = this.createElement('text', { class: 'map-scale-label', x: x + pixels / 2, y: y - 6, 'text-anchor': 'middle' });
+        label.textContent = length >= 1000 ? `${length / 1000} km` : length >= 1 ? `${length} m` : `${length * 100} cm`;
+        this.svg.appendChild(label);
+    }
+
+    /**
+     * Round a span up to a 1, 2 or 5 step
+     * @param {number} minimum - Smallest acceptable step
+     * @returns {number} - Step
+     */
+    chooseGridStep(minimum) {
+        const magnitude = Math.pow(10, Math.floor(Math.log10(minimum)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= minimum);
+        return Number(step.toPrecision(1));
+    }
+
+    /**
+     * Zoom about an SVG position
+     * @param {number} factor - Zoom factor (> 1 zooms in)
+     * @param {number} x - SVG x to keep fixed
+     * @param {number} y - SVG y to keep fixed
+     */
+    zoom(factor, x = this.width / 2, y = this.height / 2) {
+        const anchor = this.unproject(x, y);
+        this.scale *= factor;
+        const moved = this.project(anchor.lat, anchor.lon);
+        this.pan(moved.x - x, moved.y - y);
+    }
+
+    /**
+     * Move the view by an SVG offset
+     * @param {number} dx - Pixels right
+     * @param {number} dy - Pixels down
+     */
+    pan(dx, dy) {
+        this.center = this.unproject(this.width / 2 + dx, this.height / 2 + dy);
+        this.render();
+    }
+
+    /**
+     * Attach wheel zoom and drag pan
+     */
+    initializeInteraction() {
+        let dragStart = null;
+
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const position = this.toSvgPosition(e);
+            this.zoom(e.deltaY < 0 ? 1.25 : 0.8, position.x, position.y);
+        });
+
+        this.svg.addEventListener('mousedown', (e) => {
+            dragStart = this.toSvgPosition(e);
+        });
+
+        this.svg.addEventListener('mousemove', (e) => {
+            if (!dragStart) {
+                return;
+            }
+            const position = this.toSvgPosition(e);
+            this.pan(dragStart.x - position.x, dragStart.y - position.y);
+            dragStart = position;
+        });
+
+        ['mouseup', 'mouseleave'].forEach(type => this.svg.addEventListener(type, () => {
+            dragStart = null;
+        }));
+    }
+
+    /**
+     * Convert a mouse event position to SVG coordinates
+     * @param {MouseEvent} e - Mouse event
+     * @returns {Object} - {x, y}
+     */
+    toSvgPosition(e) {
+        const rect = this.svg.getBoundingClientRect();
+        if (!rect.width || !rect.height) {
+            return { x: this.width / 2, y: this.height / 2 };
+        }
+        return {
+            x: (e.clientX - rect.left) * this.width / rect.width,
+            y: (e.clientY - rect.top) * this.height / rect.height
+        };
+    }
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} tagName - SVG tag name
+     * @param {Object} attributes - Attribute values
+     * @returns {SVGElement} - Element
+     */
+    createElement(tagName, attributes) {
+        const element = document.createElementNS(this.svgNamespace, tagName);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Degrees
+     * @returns {number} - Radians
+     */
+    toRadians(degrees) {
+        return degrees * (Math.PI / 180);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapView;
+}
@@ -0,0 +1,689 @@
+/**
+ * Point Table Editor
+ * Editable grid of points for manual entry: insert and delete any row, drag to reorder,
+ * multi-select, spreadsheet copy/paste, per-row enable/disable and undo/redo of every edit
+ */
+
+class PointTableEditor {
+    /**
+     * @param {HTMLElement} container - Element the rows are drawn into
+     */
+    constructor(container) {
+        this.container = container;
+
+        // Row fields in column order, as copied to and pasted from spreadsheets
+        this.fields = ['name', 'lat', 'lon', 'elevation', 'elevationUnit', 'heightType'];
+        this.placeholders = { name: 'Name/ID (optional)', lat: 'Latitude', lon: 'Longitude', elevation: 'Elevation' };
+        this.elevationUnits = [
+            { value: 'meters', label: 'Meters' },
+            { value: 'feet', label: 'Feet' },
+            { value: 'survey-feet', label: 'Survey Ft' }
+        ];
+        this.heightTypes = [
+            { value: 'ellipsoidal', label: 'Ellipsoidal' },
+            { value: 'orthometric', label: 'Orthometric' }
+        ];
+
+        // Pasted unit and height type cells accepted for each value, compared without case, spaces or punctuation
+        this.valueAliases = {
+            elevationUnit: {
+                meters: ['m', 'meter', 'meters', 'metre', 'metres'],
+                feet: ['ft', 'ift', 'foot', 'feet', 'internationalfeet'],
+                'survey-feet': ['usft', 'sft', 'surveyft', 'surveyfeet', 'ussurveyfeet', 'usfeet']
+            },
+            heightType: {
+                ellipsoidal: ['ellipsoidal', 'ellip', 'hae', 'ellipsoid'],
+                orthometric: ['orthometric', 'ortho', 'navd88', 'msl']
+            }
+        };
+
+        // Fewest rows the table keeps, since a distance needs two points
+        this.minimumRows = 2;
+
+        // Rows as entered: {name, lat, lon, elevation, elevationUnit, heightType, enabled}
+        this.rows = [];
+        this.selected = new Set();
+        this.selectionAnchor = null;
+
+        // Row highlighted from outside the table, e.g. when its point is clicked on the map; kept by
+        // identity so the highlight follows the row when rows are moved
+        this.highlightedRow = null;
+
+        // Undo/redo snapshots of the rows; typing in one cell is a single step
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 100;
+        this.editingCell = null;
+
+        // Rows being dragged to a new position
+        this.dragIndexes = null;
+
+        // Called after every change to the rows or the selection, and with a message when a keyboard edit is refused
+        this.onChange = null;
+        this.onError = null;
+
+        this.initializeInteraction();
+    }
+
+    /**
+     * Create a row from a coordinate, or a blank row
+     * @param {Object} coord - Optional {name, lat, lon, elevation, elevationUnit, heightType, enabled}
+     * @returns {Object} - Row with text cells
+     */
+    createRow(coord = null) {
+        const text = (value) => (value === null || value === undefined ? '' : String(value));
+        return {
+            name: coord ? text(coord.name) : '',
+            lat: coord ? text(coord.lat) : '',
+            lon: coord ? text(coord.lon) : '',
+            elevation: coord ? text(coord.elevation) : '',
+            elevationUnit: (coord && coord.elevationUnit) || 'meters',
+            heightType: (coord && coord.heightType) || 'ellipsoidal',
+            enabled: !coord || coord.enabled !== false
+        };
+    }
+
+    /**
+     * Get a copy of the rows
+     * @returns {Array} - Rows as entered
+     */
+    getRows() {
+        return this.rows.map(row => Object.assign({}, row));
+    }
+
+    /**
+     * Replace every row, e.g. with parsed or imported points; undoable like any other edit
+     * @param {Array} coordinates - Coordinates or rows; null entries give blank rows
+     */
+    setRows(coordinates) {
+        this.recordHistory();
+        this.rows = coordinates.map(coord => this.createRow(coord));
+        this.selected.clear();
+        this.selectionAnchor = null;
+        this.highlightedRow = null;
+        this.commit();
+    }
+
+    /**
+     * Forget the undo and redo history, e.g. after opening a project
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editingCell = null;
+        this.notifyChange();
+    }
+
+    /**
+     * Insert blank rows
+     * @param {number} index - Position of the first new row; defaults to the end
+     * @param {number} count - Number of rows
+     */
+    insertRows(index = this.rows.length, count = 1) {
+        const position = Math.max(0, Math.min(index, this.rows.length));
+        this.recordHistory();
+        const blanks = Array.from({ length: count }, () => this.createRow());
+        this.rows.splice(position, 0, ...blanks);
+        this.setSelection(blanks.map((row, offset) => position + offset));
+        this.commit();
+    }
+
+    /**
+     * Delete rows
+     * @param {Array} indexes - Row indexes
+     */
+    deleteRows(indexes) {
+        const doomed = new Set(indexes.filter(index => index >= 0 && index < this.rows.length));
+        if (doomed.size === 0) {
+            throw new Error('Select the rows to remove.');
+        }
+        if (this.rows.length - doomed.size < this.minimumRows) {
+            throw new Error(`Minimum ${this.minimumRows} coordinates required.`);
+        }
+
+        this.recordHistory();
+        this.rows = this.rows.filter((row, index) => !doomed.has(index));
+        this.selected.clear();
+        this.selectionAnchor = null;
+        this.commit();
+    }
+
+    /**
+     * Move rows, keeping their order, so they are inserted before a position
+     * @param {Array} indexes - Row indexes to move
+     * @param {number} target - Position in the current rows to insert before (rows.length for the end)
+     * @returns {boolean} - True if the order changed
+     */
+    moveRows(indexes, target) {
+        const moving = [...new Set(indexes)].filter(index => index >= 0 && index < this.rows.length).sort((a, b) => a - b);
+        const position = Math.max(0, Math.min(target, this.rows.length));
+        const remaining = this.rows.filter((row, index) => !moving.includes(index));
+        const insertAt = position - moving.filter(index => index < position).length;
+
+        const reordered = remaining.slice(0, insertAt)
+            .concat(moving.map(index => this.rows[index]), remaining.slice(insertAt));
+        if (moving.length === 0 || reordered.every((row, index) => row === this.rows[index])) {
+            return false;
+        }
+
+        this.recordHistory();
+        this.rows = reordered;
+        this.setSelection(moving.map((index, offset) => insertAt + offset));
+        this.commit();
+        return true;
+    }
+
+    /**
+     * Move the selected rows up or down one place
+     * @param {number} direction - -1 for up, 1 for down
+     * @returns {boolean} - True if the rows moved
+     */
+    moveSelection(direction) {
+        const indexes = this.getSelection();
+        if (indexes.length === 0) {
+            throw new Error('Select the rows to move.');
+        }
+        return direction < 0
+            ? this.moveRows(indexes, indexes[0] - 1)
+            : this.moveRows(indexes, indexes[indexes.length - 1] + 2);
+    }
+
+    /**
+     * Include or leave out rows from calculations without deleting them
+     * @param {Array} indexes - Row indexes
+     * @param {boolean} enabled - True to include the rows
+     */
+    setEnabled(indexes, enabled) {
+        const changing = indexes.filter(index => this.rows[index] && this.rows[index].enabled !== enabled);
+        if (changing.length === 0) {
+            return;
+        }
+        this.recordHistory();
+        changing.forEach(index => {
+            this.rows[index].enabled = enabled;
+        });
+        this.commit();
+    }
+
+    /**
+     * Set one cell
+     * @param {number} index - Row index
+     * @param {string} field - Field name from this.fields
+     * @param {string} value - Cell text
+     */
+    setCell(index, field, value) {
+        this.recordHistory();
+        this.rows[index][field] = this.normalizeCell(field, value, this.rows[index][field]);
+        this.commit();
+    }
+
+    /**
+     * Tidy a cell value; unit and height type cells must name a known value
+     * @param {string} field - Field name
+     * @param {string} value - Cell text
+     * @param {string} previous - Value kept when the text is not recognised
+     * @returns {string} - Cell value
+     */
+    normalizeCell(field, value, previous) {
+        const text = String(value).trim();
+        const aliases = this.valueAliases[field];
+        if (!aliases) {
+            return text;
+        }
+
+        const key = text.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const match = Object.keys(aliases).find(option => option === text || aliases[option].includes(key));
+        return match || previous;
+    }
+
+    /**
+     * Paste tab-separated cells (as copied from a spreadsheet) starting at a cell, adding rows as needed
+     * @param {string} text - Clipboard text, one row per line and cells separated by tabs
+     * @param {number} index - Row of the first pasted cell
+     * @param {string} field - Field of the first pasted cell
+     * @returns {number} - Number of rows pasted into
+     */
+    pasteText(text, index, field) {
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+        const startColumn = Math.max(this.fields.indexOf(field), 0);
+
+        this.recordHistory();
+        lines.forEach((line, lineIndex) => {
+            const rowIndex = index + lineIndex;
+            if (rowIndex >= this.rows.length) {
+                this.rows.push(this.createRow());
+            }
+            line.split('\t').forEach((cell, cellIndex) => {
+                const cellField = this.fields[startColumn + cellIndex];
+                if (cellField) {
+                    this.rows[rowIndex][cellField] = this.normalizeCell(cellField, cell, this.rows[rowIndex][cellField]);
+                }
+            });
+        });
+        this.setSelection(lines.map((line, lineIndex) => index + lineIndex));
+        this.commit();
+        return lines.length;
+    }
+
+    /**
+     * Write the selected rows as tab-separated text for pasting into a spreadsheet
+     * @returns {string} - One line per selected row, in this.fields order
+     */
+    getSelectionText() {
+        return this.getSelection()
+            .map(index => this.fields.map(field => this.rows[index][field]).join('\t'))
+            .join('\n');
+    }
+
+    /**
+     * Get the selected rows
+     * @returns {Array} - Row indexes in table order
+     */
+    getSelection() {
+        return [...this.selected].sort((a, b) => a - b);
+    }
+
+    /**
+     * Select rows
+     * @param {Array} indexes - Row indexes
+     */
+    setSelection(indexes) {
+        this.selected = new Set(indexes.filter(index => index >= 0 && index < this.rows.length));
+        this.selectionAnchor = indexes.length > 0 ? indexes[0] : null;
+    }
+
+    /**
+     * Toggle a row's selection, or select the range from the last clicked row
+     * @param {number} index - Row index
+     * @param {boolean} extend - Select the range from the last clicked row (Shift+click)
+     */
+    selectRow(index, extend = false) {
+        if (extend && this.selectionAnchor !== null) {
+            const from = Math.min(this.selectionAnchor, index);
+            const to = Math.max(this.selectionAnchor, index);
+            for (let rowIndex = from; rowIndex <= to; rowIndex++) {
+                this.selected.add(rowIndex);
+            }
+        } else {
+            if (this.selected.has(index)) {
+                this.selected.delete(index);
+            } else {
+                this.selected.add(index);
+            }
+            this.selectionAnchor = index;
+        }
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Save the rows before an edit so it can be undone
+     */
+    recordHistory() {
+        this.undoStack.push(this.getRows());
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.editingCell = null;
+    }
+
+    /**
+     * Check whether there is an edit to undo
+     * @returns {boolean} - True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone edit to redo
+     * @returns {boolean} - True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the last edit
+     * @returns {boolean} - True if an edit was undone
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+        this.redoStack.push(this.getRows());
+        this.restoreRows(this.undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {boolean} - True if an edit was redone
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+        this.undoStack.push(this.getRows());
+        this.restoreRows(this.redoStack.pop());
+        return true;
+    }
+
+    /**
+     * Highlight one row, or none
+     * @param {number|null} index - Row index, or null to clear the highlight
+     * @returns {HTMLElement|null} - The highlighted row element
+     */
+    highlightRow(index) {
+        this.highlightedRow = index !== null && index >= 0 ? this.rows[index] || null : null;
+        Array.from(this.container.children).forEach((element, rowIndex) => {
+            element.classList.toggle('highlighted', this.rows[rowIndex] === this.highlightedRow);
+        });
+        const highlightIndex = this.rows.indexOf(this.highlightedRow);
+        return highlightIndex >= 0 ? this.container.children[highlightIndex] : null;
+    }
+
+    /**
+     * Put back rows from the history
+     * @param {Array} rows - Snapshot from getRows
+     */
+    restoreRows(rows) {
+        // Snapshots are copies, so the highlight stays at the same position
+        this.highlightedRow = rows[this.rows.indexOf(this.highlightedRow)] || null;
+        this.rows = rows;
+        this.editingCell = null;
+        this.setSelection(this.getSelection());
+        this.commit();
+    }
+
+    /**
+     * Redraw the table and report the change
+     */
+    commit() {
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Tell the listener that the rows or selection changed
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Draw every row, keeping focus on the same cell
+     */
+    render() {
+        const focus = this.getFocusedCell();
+        this.container.innerHTML = '';
+        this.rows.forEach((row, index) => this.container.appendChild(this.createRowElement(row, index)));
+
+        if (focus && focus.index < this.rows.length) {
+            const element = this.container.children[focus.index].querySelector(focus.selector);
+            if (element) {
+                element.focus();
+            }
+        }
+    }
+
+    /**
+     * Find the cell that has focus
+     * @returns {Object|null} - {index, selector}, or null if focus is outside the table
+     */
+    getFocusedCell() {
+        const active = this.container.ownerDocument.activeElement;
+        const rowElement = active && active.closest ? active.closest('.coordinate-row') : null;
+        if (!rowElement || !this.container.contains(rowElement)) {
+            return null;
+        }
+        return {
+            index: parseInt(rowElement.dataset.index),
+            selector: active.dataset.field ? `[data-field="${active.dataset.field}"]` : `.${active.classList[0]}`
+        };
+    }
+
+    /**
+     * Build the elements for one row
+     * @param {Object} row - Row
+     * @param {number} index - Row index
+     * @returns {HTMLElement} - Row element
+     */
+    createRowElement(row, index) {
+        const document = this.container.ownerDocument;
+        const element = document.createElement('div');
+        element.className = 'coordinate-row';
+        element.classList.toggle('selected', this.selected.has(index));
+        element.classList.toggle('disabled', !row.enabled);
+        element.classList.toggle('highlighted', row === this.highlightedRow);
+        element.dataset.index = index;
+
+        const label = document.createElement('div');
+        label.className = 'coordinate-label';
+        const handle = document.createElement('span');
+        handle.className = 'row-handle';
+        handle.draggable = true;
+        handle.title = 'Drag to reorder';
+        handle.textContent = '⠿';
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'row-select';
+        select.checked = this.selected.has(index);
+        select.title = 'Select (Shift+click for a range)';
+        select.setAttribute('aria-label', `Select point ${index + 1}`);
+        label.append(handle, select, document.createTextNode(`Point ${index + 1}`));
+        element.appendChild(label);
+
+        ['name', 'lat', 'lon', 'elevation'].forEach(field => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'coordinate-input';
+            input.placeholder = this.placeholders[field];
+            input.dataset.field = field;
+            input.value = row[field];
+            element.appendChild(input);
+        });
+
+        const options = document.createElement('div');
+        options.className = 'elevation-unit-row';
+        options.appendChild(this.createSelect('elevationUnit', this.elevationUnits, row.elevationUnit));
+        options.appendChild(this.createSelect('heightType', this.heightTypes, row.heightType));
+        const enabledLabel = document.createElement('label');
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.className = 'row-enabled';
+        enabled.checked = row.enabled;
+        enabled.title = 'Include this point in calculations';
+        enabledLabel.append(enabled, document.createTextNode(' Use'));
+        options.appendChild(enabledLabel);
+        element.appendChild(options);
+
+        return element;
+    }
+
+    /**
+     * Build a selector for a row option
+     * @param {string} field - Field name
+     * @param {Array} choices - {value, label}
+     * @param {string} value - Selected value
+     * @returns {HTMLSelectElement} - Selector
+     */
+    createSelect(field, choices, value) {
+        const select = this.container.ownerDocument.createElement('select');
+        select.className = 'height-type-select';
+        select.dataset.field = field;
+        choices.forEach(choice => {
+            const option = this.container.ownerDocument.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        return select;
+    }
+
+    /**
+     * Get the index of the row an event happened in
+     * @param {Event} e - DOM event
+     * @returns {number|null} - Row index, or null if outside a row
+     */
+    getEventRow(e) {
+        const rowElement = e.target.closest ? e.target.closest('.coordinate-row') : null;
+        return rowElement ? parseInt(rowElement.dataset.index) : null;
+    }
+
+    /**
+     * Handle typing, selection, keyboard shortcuts, clipboard and drag and drop, delegated from the container
+     */
+    initializeInteraction() {
+        const container = this.container;
+
+        container.addEventListener('input', (e) => {
+            const index = this.getEventRow(e);
+            const field = e.target.dataset.field;
+            if (index === null || !field || e.target.tagName !== 'INPUT') {
+                return;
+            }
+            // Consecutive typing in one cell is undone in one step
+            const cell = `${index}:${field}`;
+            if (this.editingCell !== cell) {
+                this.recordHistory();
+                this.editingCell = cell;
+            }
+            this.rows[index][field] = e.target.value;
+            this.notifyChange();
+        });
+
+        container.addEventListener('focusout', () => {
+            this.editingCell = null;
+        });
+
+        container.addEventListener('change', (e) => {
+            const index = this.getEventRow(e);
+            if (index === null) {
+                return;
+            }
+            if (e.target.tagName === 'SELECT') {
+                this.setCell(index, e.target.dataset.field, e.target.value);
+            } else if (e.target.classList.contains('row-enabled')) {
+                this.setEnabled([index], e.target.checked);
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const index = this.getEventRow(e);
+            if (index !== null && e.target.classList.contains('row-select')) {
+                this.selectRow(index, e.shiftKey);
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            const inTextCell = e.target.tagName === 'INPUT' && e.target.type === 'text';
+            if ((e.ctrlKey || e.metaKey) && key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+                e.preventDefault();
+                this.redo();
+            } else if (key === 'delete' && !inTextCell && this.selected.size > 0) {
+                e.preventDefault();
+                try {
+                    this.deleteRows(this.getSelection());
+                } catch (error) {
+                    if (this.onError) {
+                        this.onError(error.message);
+                    }
+                }
+            }
+        });
+
+        container.addEventListener('copy', (e) => {
+            // Copy whole rows unless text inside a cell is selected
+            const active = e.target;
+            const hasTextSelection = active.tagName === 'INPUT' && active.type === 'text' && active.selectionStart !== active.selectionEnd;
+            if (this.selected.size === 0 || hasTextSelection || !e.clipboardData) {
+                return;
+            }
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', this.getSelectionText());
+        });
+
+        container.addEventListener('paste', (e) => {
+            const index = this.getEventRow(e);
+            const field = e.target.dataset.field;
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            // Single values paste into the cell as usual; tabs or line breaks fill neighbouring cells
+            if (index === null || !field || !/[\t\n\r]/.test(text.replace(/[\r\n]+$/, ''))) {
+                return;
+            }
+            e.preventDefault();
+            this.pasteText(text, index, field);
+        });
+
+        container.addEventListener('dragstart', (e) => {
+            const index = this.getEventRow(e);
+            if (index === null || !e.target.classList.contains('row-handle')) {
+                return;
+            }
+            // Dragging a selected row moves the whole selection
+            this.dragIndexes = this.selected.has(index) ? this.getSelection() : [index];
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', '');
+            }
+        });
+
+        container.addEventListener('dragover', (e) => {
+            const index = this.getEventRow(e);
+            if (!this.dragIndexes || index === null) {
+                return;
+            }
+            e.preventDefault();
+            const rowElement = container.children[index];
+            const rect = rowElement.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            this.clearDropMarkers();
+            rowElement.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+
+        container.addEventListener('drop', (e) => {
+            const index = this.getEventRow(e);
+            if (!this.dragIndexes || index === null) {
+                return;
+            }
+            e.preventDefault();
+            const after = container.children[index].classList.contains('drop-after');
+            const indexes = this.dragIndexes;
+            this.dragIndexes = null;
+            this.clearDropMarkers();
+            this.moveRows(indexes, after ? index + 1 : index);
+        });
+
+        container.addEventListener('dragend', () => {
+            this.dragIndexes = null;
+            this.clearDropMarkers();
+        });
+    }
+
+    /**
+     * Remove the drop position markers
+     */
+    clearDropMarkers() {
+        this.container.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+            row.classList.remove('drop-before', 'drop-after');
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PointTableEditor;
+}
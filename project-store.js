@@ -0,0 +1,323 @@
+/**
+ * Project Store
+ * Keeps named projects (points, settings and last results) in the browser's local storage
+ * so work survives a reload, and reads and writes them as JSON project files
+ */
+
+class ProjectStore {
+    /**
+     * @param {Storage} storage - Web Storage to keep projects in; projects stay in memory if none is available
+     */
+    constructor(storage = ProjectStore.getLocalStorage()) {
+        this.storage = storage;
+        this.memory = {};
+
+        // Storage keys for the saved projects and the name of the project last opened
+        this.projectsKey = 'gps-calc.projects';
+        this.currentKey = 'gps-calc.current-project';
+
+        // Identifies project files written by exportProject
+        this.fileFormat = 'gps-calc-project';
+        this.fileVersion = 1;
+    }
+
+    /**
+     * Get the page's local storage, if the browser allows it
+     * @returns {Storage|null} - localStorage, or null when unavailable (e.g. blocked for file:// pages)
+     */
+    static getLocalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} - Stored text, or null if not set
+     */
+    readItem(key) {
+        if (this.storage) {
+            return this.storage.getItem(key);
+        }
+        return key in this.memory ? this.memory[key] : null;
+    }
+
+    /**
+     * Write a stored value
+     * @param {string} key - Storage key
+     * @param {string|null} value - Text to store, or null to remove the key
+     */
+    writeItem(key, value) {
+        if (!this.storage) {
+            if (value === null) {
+                delete this.memory[key];
+            } else {
+                this.memory[key] = value;
+            }
+            return;
+        }
+
+        if (value === null) {
+            this.storage.removeItem(key);
+            return;
+        }
+        try {
+            this.storage.setItem(key, value);
+        } catch (error) {
+            throw new Error('Browser storage is full. Delete or export unused projects and try again.');
+        }
+    }
+
+    /**
+     * Read every saved project
+     * @returns {Object} - Projects keyed by name, in an object without a prototype so any name
+     *                     (including "__proto__" or "constructor") is an ordinary key
+     */
+    readProjects() {
+        const projects = Object.create(null);
+        const text = this.readItem(this.projectsKey);
+        if (!text) {
+            return projects;
+        }
+        try {
+            return Object.assign(projects, JSON.parse(text));
+        } catch (error) {
+            return projects;
+        }
+    }
+
+    /**
+     * Write every saved project
+     * @param {Object} projects - Projects keyed by name
+     */
+    writeProjects(projects) {
+        this.writeItem(this.projectsKey, JSON.stringify(projects));
+    }
+
+    /**
+     * Check and tidy a project name
+     * @param {string} name - Name entered by the user
+     * @returns {string} - Trimmed name
+     */
+    validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Enter a project name.');
+        }
+        return trimmed;
+    }
+
+    /**
+     * List saved projects
+     * @returns {Array} - {name, savedAt, pointCount, hasResults} sorted by name
+     */
+    list() {
+        const projects = this.readProjects();
+        return Object.keys(projects)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({
+                name,
+                savedAt: projects[name].savedAt,
+                pointCount: (projects[name].points || []).length,
+                hasResults: !!projects[name].results
+            }));
+    }
+
+    /**
+     * Check whether a project is saved under a name
+     * @param {string} name - Project name
+     * @returns {boolean} - True if saved
+     */
+    exists(name) {
+        return Object.prototype.hasOwnProperty.call(this.readProjects(), name);
+    }
+
+    /**
+     * Load a saved project
+     * @param {string} name - Project name
+     * @returns {Object|null} - {name, savedAt, points, settings, results}, or null if not saved
+     */
+    load(name) {
+        const projects = this.readProjects();
+        return Object.prototype.hasOwnProperty.call(projects, name) ? projects[name] : null;
+    }
+
+    /**
+     * Save a project, replacing any saved under the same name
+     * @param {Object} project - {name, points, settings, results}
+     * @returns {Object} - Project as saved, with its savedAt time
+     */
+    save(project) {
+        const name = this.validateName(project.name);
+        const saved = {
+            name,
+            savedAt: new Date().toISOString(),
+            points: project.points || [],
+            settings: project.settings || {},
+            results: project.results || null
+        };
+
+        const projects = this.readProjects();
+        projects[name] = saved;
+        this.writeProjects(projects);
+        return saved;
+    }
+
+    /**
+     * Rename a saved project
+     * @param {string} name - Current name
+     * @param {string} newName - New name, not already used by another project
+     * @returns {Object} - Renamed project
+     */
+    rename(name, newName) {
+        const trimmed = this.validateName(newName);
+        const projects = this.readProjects();
+        if (!Object.prototype.hasOwnProperty.call(projects, name)) {
+            throw new Error(`No project named "${name}".`);
+        }
+        if (trimmed !== name && Object.prototype.hasOwnProperty.call(projects, trimmed)) {
+            throw new Error(`A project named "${trimmed}" already exists.`);
+        }
+
+        const wasCurrent = this.getCurrent() === name;
+        const project = Object.assign({}, projects[name], { name: trimmed });
+        delete projects[name];
+        projects[trimmed] = project;
+        this.writeProjects(projects);
+
+        if (wasCurrent) {
+            this.setCurrent(trimmed);
+        }
+        return project;
+    }
+
+    /**
+     * Save a copy of a project under a new name
+     * @param {string} name - Project to copy
+     * @param {string} newName - Name for the copy; defaults to "<name> (copy)"
+     * @returns {Object} - The copy
+     */
+    duplicate(name, newName = null) {
+        const project = this.load(name);
+        if (!project) {
+            throw new Error(`No project named "${name}".`);
+        }
+        const copyName = newName ? this.validateName(newName) : this.getUniqueName(`${name} (copy)`);
+        if (this.exists(copyName)) {
+            throw new Error(`A project named "${copyName}" already exists.`);
+        }
+        return this.save(Object.assign({}, project, { name: copyName }));
+    }
+
+    /**
+     * Delete a saved project
+     * @param {string} name - Project name
+     */
+    remove(name) {
+        const wasCurrent = this.getCurrent() === name;
+        const projects = this.readProjects();
+        delete projects[name];
+        this.writeProjects(projects);
+
+        if (wasCurrent) {
+            this.setCurrent(null);
+        }
+    }
+
+    /**
+     * Find a name not used by any saved project, numbering it if needed: "Site", "Site (2)", ...
+     * @param {string} name - Preferred name
+     * @returns {string} - Unused name
+     */
+    getUniqueName(name) {
+        const base = this.validateName(name);
+        let candidate = base;
+        for (let number = 2; this.exists(candidate); number++) {
+            candidate = `${base} (${number})`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Get the name of the project last opened or saved
+     * @returns {string|null} - Project name, or null if none
+     */
+    getCurrent() {
+        const name = this.readItem(this.currentKey);
+        return name && this.exists(name) ? name : null;
+    }
+
+    /**
+     * Remember the project last opened or saved, so it reopens on the next visit
+     * @param {string|null} name - Project name, or null to forget it
+     */
+    setCurrent(name) {
+        this.writeItem(this.currentKey, name);
+    }
+
+    /**
+     * Write a saved project as a JSON project file
+     * @param {string} name - Project name
+     * @returns {string} - Project file contents
+     */
+    exportProject(name) {
+        const project = this.load(name);
+        if (!project) {
+            throw new Error(`No project named "${name}".`);
+        }
+        return JSON.stringify({
+            format: this.fileFormat,
+            version: this.fileVersion,
+            project
+        }, null, 2);
+    }
+
+    /**
+     * Read a JSON project file and save it, numbering the name if a project already uses it
+     * @param {string} text - Project file contents
+     * @returns {Object} - Imported project as saved
+     */
+    importProject(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        if (!data || data.format !== this.fileFormat || !data.project) {
+            throw new Error('The file is not a GPS Calculator project.');
+        }
+        if (data.version > this.fileVersion) {
+            throw new Error(`Project file version ${data.version} is newer than this calculator supports.`);
+        }
+
+        const project = data.project;
+        if (!Array.isArray(project.points) || (project.settings && typeof project.settings !== 'object')) {
+            throw new Error('The project file has no point list.');
+        }
+
+        // Files written by other tools may have a missing, blank or non-text name
+        const name = typeof project.name === 'string' && project.name.trim() ? project.name : 'Imported project';
+        return this.save(Object.assign({}, project, {
+            name: this.getUniqueName(name)
+        }));
+    }
+
+    /**
+     * Read a project file chosen by the user and save it
+     * @param {File} file - JSON project file
+     * @returns {Promise<Object>} - Imported project as saved
+     */
+    async importFile(file) {
+        return this.importProject(await file.text());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectStore;
+}
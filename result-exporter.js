@@ -0,0 +1,347 @@
+/**
+ * Result Exporter
+ * Turns distance calculation results into CSV, GeoJSON, KML and printable HTML report files
+ */
+
+class ResultExporter {
+    /**
+     * @param {DistanceCalculator} distanceCalculator - Calculator used for the per-pair values
+     * @param {GeodeticDatums} datums - Datum registry, reported in every export
+     * @param {Function} assess - (horizontalMeters, verticalMeters) => survey grade text
+     * @param {AccuracyStandards|null} standards - Standards registry; when given, the selected standard is reported
+     */
+    constructor(distanceCalculator = new DistanceCalculator(), datums = distanceCalculator.datums, assess = () => '', standards = null) {
+        this.distanceCalculator = distanceCalculator;
+        this.datums = datums;
+        this.assess = assess;
+        this.standards = standards;
+
+        // Decimal places for exported values
+        this.meterPrecision = 4;
+        this.degreePrecision = 10;
+        this.anglePrecision = 6;
+    }
+
+    /**
+     * Compute the values exported for every unordered pair of points
+     * @param {Object} results - Results from DistanceCalculator.calculateDistanceMatrix
+     * @returns {Array} - {from, to, distance2D, distance3D, deltaNorth, deltaEast, deltaUp, deltaHeight, zenith,
+     *                    heightType, grade} with distances in meters and the zenith angle in degrees; ΔN/ΔE/ΔU are the
+     *                    topocentric vector at the From point and distance3D is the slope distance (deltaUp, deltaHeight,
+     *                    zenith and distance3D are null if heights cannot be compared)
+     */
+    buildPairRows(results) {
+        const coordinates = results.coordinates;
+        const rows = [];
+
+        for (let i = 0; i < coordinates.length; i++) {
+            for (let j = i + 1; j < coordinates.length; j++) {
+                const coord1 = coordinates[i];
+                const coord2 = coordinates[j];
+
+                const geometry = this.distanceCalculator.calculatePairGeometry(coord1, coord2, results.method);
+                // Without comparable heights, the horizontal values are still exported
+                const plane = geometry || this.distanceCalculator.calculatePairGeometry(
+                    { ...coord1, heightType: 'ellipsoidal' }, { ...coord2, heightType: 'ellipsoidal' }, results.method
+                );
+
+                rows.push({
+                    from: this.getPointName(coord1, i),
+                    to: this.getPointName(coord2, j),
+                    distance2D: plane ? plane.horizontal : null,
+                    distance3D: geometry ? geometry.slope : null,
+                    deltaNorth: plane ? plane.north : null,
+                    deltaEast: plane ? plane.east : null,
+                    deltaUp: geometry ? geometry.up : null,
+                    deltaHeight: geometry ? geometry.deltaHeight : null,
+                    zenith: geometry ? geometry.zenith : null,
+                    heightType: geometry ? geometry.heightType : 'mixed',
+                    grade: geometry ? this.assess(geometry.horizontal, Math.abs(geometry.deltaHeight)) : ''
+                });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Get the display name of a result point
+     * @param {Object} coord - Result coordinate
+     * @param {number} index - Zero-based point index
+     * @returns {string} - Name, label or "Point n"
+     */
+    getPointName(coord, index) {
+        return coord.name || coord.label || `Point ${index + 1}`;
+    }
+
+    /**
+     * Describe the accuracy standard behind the survey grades
+     * @returns {string|null} - Standard description, or null without a standards registry
+     */
+    describeStandard() {
+        return this.standards ? this.standards.describeActive() : null;
+    }
+
+    /**
+     * Export every pair as CSV
+     * @param {Object} results - Distance results
+     * @returns {string} - CSV text with a header row
+     */
+    toCSV(results) {
+        const header = ['From', 'To', '2D Distance (m)', '3D Distance (m)', 'ΔN (m)', 'ΔE (m)', 'ΔH (m)', 'ΔU (m)', 'Zenith Angle (°)',
+            'Height Type', 'Survey Grade'];
+        const lines = [header.map(value => this.escapeCSV(value)).join(',')];
+
+        this.buildPairRows(results).forEach(row => {
+            lines.push([
+                row.from,
+                row.to,
+                this.formatNumber(row.distance2D),
+                this.formatNumber(row.distance3D),
+                this.formatNumber(row.deltaNorth),
+                this.formatNumber(row.deltaEast),
+                this.formatNumber(row.deltaHeight),
+                this.formatNumber(row.deltaUp),
+                this.formatAngle(row.zenith),
+                row.heightType,
+                row.grade
+            ].map(value => this.escapeCSV(value)).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export the points and a line for every pair as a GeoJSON FeatureCollection. Positions are
+     * two-dimensional because RFC 7946 heights must be ellipsoidal; elevations go in the properties.
+     * @param {Object} results - Distance results
+     * @returns {string} - GeoJSON text
+     */
+    toGeoJSON(results) {
+        const coordinates = results.coordinates;
+        const features = coordinates.map((coord, index) => ({
+            type: 'Feature',
+            properties: {
+                name: this.getPointName(coord, index),
+                elevation: coord.elevation !== null && coord.elevation !== undefined ? coord.elevation : null,
+                heightType: coord.heightType || 'ellipsoidal'
+            },
+            geometry: { type: 'Point', coordinates: [this.roundDegrees(coord.lon), this.roundDegrees(coord.lat)] }
+        }));
+
+        let pairIndex = 0;
+        const pairRows = this.buildPairRows(results);
+        for (let i = 0; i < coordinates.length; i++) {
+            for (let j = i + 1; j < coordinates.length; j++) {
+                const row = pairRows[pairIndex++];
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        name: `${row.from} - ${row.to}`,
+                        distance2D: this.roundMeters(row.distance2D),
+                        distance3D: this.roundMeters(row.distance3D),
+                        deltaNorth: this.roundMeters(row.deltaNorth),
+                        deltaEast: this.roundMeters(row.deltaEast),
+                        deltaHeight: this.roundMeters(row.deltaHeight),
+                        deltaUp: this.roundMeters(row.deltaUp),
+                        zenith: row.zenith === null ? null : Number(this.formatAngle(row.zenith)),
+                        grade: row.grade
+                    },
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: [coordinates[i], coordinates[j]].map(coord => [this.roundDegrees(coord.lon), this.roundDegrees(coord.lat)])
+                    }
+                });
+            }
+        }
+
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            properties: { datum: this.datums.describeActive(), method: results.method, accuracyStandard: this.describeStandard() },
+            features: features
+        }, null, 2);
+    }
+
+    /**
+     * Export the points and a line for every pair as KML
+     * @param {Object} results - Distance results
+     * @returns {string} - KML document
+     */
+    toKML(results) {
+        const coordinates = results.coordinates;
+        const pairRows = this.buildPairRows(results);
+        const placemarks = [];
+
+        coordinates.forEach((coord, index) => {
+            const hasElevation = coord.elevation !== null && coord.elevation !== undefined;
+            const description = hasElevation ? `Elevation ${coord.elevation.toFixed(3)} m (${coord.heightType || 'ellipsoidal'})` : 'No elevation';
+            placemarks.push(`    <Placemark>
+      <name>${this.escapeXML(this.getPointName(coord, index))}</name>
+      <description>${this.escapeXML(description)}</description>
+      <Point><coordinates>${this.roundDegrees(coord.lon)},${this.roundDegrees(coord.lat)}</coordinates></Point>
+    </Placemark>`);
+        });
+
+        let pairIndex = 0;
+        for (let i = 0; i < coordinates.length; i++) {
+            for (let j = i + 1; j < coordinates.length; j++) {
+                const row = pairRows[pairIndex++];
+                const description = `2D ${this.formatNumber(row.distance2D)} m, 3D ${this.formatNumber(row.distance3D)} m, ` +
+                    `ΔN ${this.formatNumber(row.deltaNorth)} m, ΔE ${this.formatNumber(row.deltaEast)} m, ΔU ${this.formatNumber(row.deltaUp)} m, ` +
+                    `ΔH ${this.formatNumber(row.deltaHeight)} m` +
+                    (row.grade ? `, ${row.grade}` : '');
+                const line = [coordinates[i], coordinates[j]].map(coord => `${this.roundDegrees(coord.lon)},${this.roundDegrees(coord.lat)}`).join(' ');
+                placemarks.push(`    <Placemark>
+      <name>${this.escapeXML(`${row.from} - ${row.to}`)}</name>
+      <description>${this.escapeXML(description)}</description>
+      <LineString><tessellate>1</tessellate><coordinates>${line}</coordinates></LineString>
+    </Placemark>`);
+            }
+        }
+
+        const documentDescription = `Datum: ${this.datums.describeActive()}` +
+            (this.standards ? `; accuracy standard: ${this.describeStandard()}` : '');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>GPS Distance Calculation Results</name>
+    <description>${this.escapeXML(documentDescription)}</description>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+    }
+
+    /**
+     * Build a standalone, printable HTML report
+     * @param {Object} results - Distance results
+     * @param {string} detailsHTML - Detailed calculation breakdown markup from the app
+     * @returns {string} - HTML document
+     */
+    toHTMLReport(results, detailsHTML = '') {
+        const pointRows = results.coordinates.map((coord, index) => `
+                <tr>
+                    <td>${this.escapeXML(this.getPointName(coord, index))}</td>
+                    <td>${coord.lat.toFixed(this.degreePrecision)}</td>
+                    <td>${coord.lon.toFixed(this.degreePrecision)}</td>
+                    <td>${coord.elevation !== null && coord.elevation !== undefined ? coord.elevation.toFixed(3) : '-'}</td>
+                    <td>${coord.heightType || 'ellipsoidal'}</td>
+                </tr>`).join('');
+
+        const pairRows = this.buildPairRows(results).map(row => `
+                <tr>
+                    <td>${this.escapeXML(row.from)}</td>
+                    <td>${this.escapeXML(row.to)}</td>
+                    <td>${this.formatNumber(row.distance2D)}</td>
+                    <td>${this.formatNumber(row.distance3D)}</td>
+                    <td>${this.formatNumber(row.deltaNorth)}</td>
+                    <td>${this.formatNumber(row.deltaEast)}</td>
+                    <td>${this.formatNumber(row.deltaUp)}</td>
+                    <td>${this.formatNumber(row.deltaHeight)}</td>
+                    <td>${this.escapeXML(row.grade)}</td>
+                </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>GPS Distance Calculation Report</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; color: #222; }
+        table { border-collapse: collapse; width: 100%; margin: 10px 0 20px; font-size: 13px; }
+        th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+        th { background-color: #eee; }
+        .calculation-breakdown { page-break-inside: avoid; border-top: 1px solid #999; margin-top: 15px; }
+        .collapsible-content { display: block !important; }
+        .toggle-icon, .standards-help { display: none; }
+    </style>
+</head>
+<body>
+    <h1>GPS Distance Calculation Report</h1>
+    <p><strong>Datum:</strong> ${this.escapeXML(this.datums.describeActive())}</p>
+    <p><strong>Horizontal method:</strong> ${this.escapeXML(results.method || '')}</p>
+    ${this.standards ? `<p><strong>Accuracy standard:</strong> ${this.escapeXML(this.describeStandard())}</p>` : ''}
+    <p><strong>Generated:</strong> ${new Date().toISOString()}</p>
+
+    <h2>Points</h2>
+    <table>
+        <tr><th>Name</th><th>Latitude</th><th>Longitude</th><th>Elevation (m)</th><th>Height Type</th></tr>${pointRows}
+    </table>
+
+    <h2>Pairs</h2>
+    <table>
+        <tr><th>From</th><th>To</th><th>2D (m)</th><th>3D (m)</th><th>ΔN (m)</th><th>ΔE (m)</th><th>ΔU (m)</th><th>ΔH (m)</th><th>Survey Grade</th></tr>${pairRows}
+    </table>
+
+    <h2>Detailed Calculations</h2>
+    ${detailsHTML}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Format a meter value for text exports
+     * @param {number|null} value - Value in meters
+     * @returns {string} - Fixed-point text, or '' for null
+     */
+    formatNumber(value) {
+        return value === null || value === undefined ? '' : value.toFixed(this.meterPrecision);
+    }
+
+    /**
+     * Format an angle for text exports
+     * @param {number|null} value - Angle in degrees
+     * @returns {string} - Fixed-point text, or '' for null
+     */
+    formatAngle(value) {
+        return value === null || value === undefined ? '' : value.toFixed(this.anglePrecision);
+    }
+
+    /**
+     * Round a meter value for GeoJSON properties
+     * @param {number|null} value - Value in meters
+     * @returns {number|null} - Rounded value
+     */
+    roundMeters(value) {
+        return value === null || value === undefined ? null : Number(value.toFixed(this.meterPrecision));
+    }
+
+    /**
+     * Round a degree value for exported positions
+     * @param {number} value - Degrees
+     * @returns {number} - Rounded degrees
+     */
+    roundDegrees(value) {
+        return Number(value.toFixed(this.degreePrecision));
+    }
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break
+     * @param {*} value - Field value
+     * @returns {string} - CSV field
+     */
+    escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Escape text for XML and HTML output
+     * @param {string} text - Text
+     * @returns {string} - Escaped text
+     */
+    escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultExporter;
+}
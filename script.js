@@ -5,30 +5,287 @@
 
 class GPSCalculatorApp {
     constructor() {
-        this.parser = new CoordinateParser();
-        this.converter = new CoordinateConverter();
-        this.distanceCalculator = new DistanceCalculator();
+        this.datums = new GeodeticDatums();
+        this.geoid = new GeoidModel();
+        this.magneticModel = new MagneticModel();
+        this.converter = new CoordinateConverter(this.datums, this.geoid);
+        this.parser = new CoordinateParser(this.datums, this.converter);
+        this.distanceCalculator = new DistanceCalculator(this.datums, this.geoid);
+        this.csvImporter = new CsvImporter(this.parser);
+        this.geoFileImporter = new GeoFileImporter(this.converter);
+        this.traverseAdjuster = new TraverseAdjuster(this.distanceCalculator);
+        this.clusterAnalyzer = new ClusterAnalyzer(this.distanceCalculator);
+        this.accuracyStandards = new AccuracyStandards();
+        this.resultExporter = new ResultExporter(this.distanceCalculator, this.datums,
+            (horizontal, vertical) => this.getDistanceAssessment(horizontal, vertical), this.accuracyStandards);
+        this.projectStore = new ProjectStore();
         
         this.coordinates = [];
-        this.maxCoordinates = 8;
-        
+        this.referenceRows = [];
+        this.csvText = null;
+        this.csvTable = null;
+        this.geoidFile = null;
+        this.forwardPoints = null;
+        this.lastTraverse = null;
+        this.lastClusters = null;
+
+        // Point sets at least this large are calculated in a Web Worker
+        this.workerThreshold = 50;
+        this.distanceWorker = null;
+        this.workerUnavailable = false;
+        this.workerRequestId = 0;
+
+        // Pairs listed per page of calculation results
+        this.detailedPageSize = 20;
+        this.condensedPageSize = 100;
+
+        // Controls and radio groups saved with a project; the reference point is restored after the points
+        this.projectSettingIds = [
+            'datum-select', 'state-plane-zone', 'state-plane-unit', 'coordinates-paste', 'unit-system', 'distance-method',
+            'azimuth-grid', 'accuracy-standard', 'magnetic-bearing-date', 'custom-horizontal-tolerance', 'custom-vertical-tolerance',
+            'show-2d', 'show-3d', 'reference-mode', 'condensed-output', 'traverse-mode', 'cluster-mode', 'polygon-mode',
+            'cluster-grouping', 'cluster-radius', 'traverse-rule', 'closure-standard', 'map-line-mode', 'reference-point'
+        ];
+        this.projectSettingGroups = ['input-mode', 'default-elevation', 'default-height-type'];
+        
+        this.initializeDatumSelector();
+        this.initializeStatePlaneSelector();
+        this.initializeClosureStandardSelector();
+        this.initializeAccuracyStandardSelector();
+        this.updateMagneticStatus();
         this.initializeEventListeners();
+        this.initializeMapView();
         this.initializeManualMode();
+        this.initializeForwardMode();
         this.updateReferencePointSelector();
+        this.updateMap();
+        this.initializeProjects();
+    }
+
+    /**
+     * Populate the datum selector from the datum registry
+     */
+    initializeDatumSelector() {
+        const selector = document.getElementById('datum-select');
+        selector.innerHTML = '';
+
+        this.datums.listDatums().forEach(datum => {
+            const option = document.createElement('option');
+            option.value = datum.key;
+            option.textContent = `${datum.name} (${datum.ellipsoidName})`;
+            selector.appendChild(option);
+        });
+
+        selector.value = this.datums.getActiveDatum().key;
+    }
+
+    /**
+     * Populate the State Plane zone selector from the converter's zone table
+     */
+    initializeStatePlaneSelector() {
+        const selector = document.getElementById('state-plane-zone');
+
+        this.converter.listStatePlaneZones().forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone.code;
+            option.textContent = `${zone.name} (${zone.code})`;
+            selector.appendChild(option);
+        });
+
+        selector.value = this.converter.statePlaneZone || '';
+        document.getElementById('state-plane-unit').value = this.converter.statePlaneUnit;
+    }
+
+    /**
+     * Populate the traverse closure standard selector from the traverse adjuster
+     */
+    initializeClosureStandardSelector() {
+        const selector = document.getElementById('closure-standard');
+
+        this.traverseAdjuster.listClosureStandards().forEach(standard => {
+            const option = document.createElement('option');
+            option.value = standard.key;
+            option.textContent = standard.name;
+            selector.appendChild(option);
+        });
+    }
+
+    /**
+     * Populate the accuracy standard selector from the standards registry
+     */
+    initializeAccuracyStandardSelector() {
+        const selector = document.getElementById('accuracy-standard');
+
+        this.accuracyStandards.listStandards().forEach(standard => {
+            const option = document.createElement('option');
+            option.value = standard.key;
+            option.textContent = standard.name;
+            selector.appendChild(option);
+        });
+
+        selector.value = this.accuracyStandards.activeStandard;
+    }
+
+    /**
+     * Apply the selected accuracy standard, and the company specification tolerances when it is selected
+     * @returns {boolean} - False if the company specification tolerances are invalid
+     */
+    applyAccuracyStandard() {
+        const key = document.getElementById('accuracy-standard').value;
+
+        if (key === 'custom') {
+            const horizontal = parseFloat(document.getElementById('custom-horizontal-tolerance').value);
+            const verticalText = document.getElementById('custom-vertical-tolerance').value.trim();
+            const vertical = verticalText === '' ? null : parseFloat(verticalText);
+            if (!this.accuracyStandards.setCustomTolerances(horizontal, vertical)) {
+                return false;
+            }
+        }
+
+        return this.accuracyStandards.setActiveStandard(key);
+    }
+
+    /**
+     * Apply the selected State Plane zone and unit to the converter
+     */
+    updateStatePlaneZone() {
+        this.converter.setStatePlaneZone(
+            document.getElementById('state-plane-zone').value,
+            document.getElementById('state-plane-unit').value
+        );
+
+        // A loaded CSV may hold northing/easting in the selected zone
+        this.updateCsvPreview();
+    }
+
+    /**
+     * Load a geoid grid file selected by the user
+     * @param {File} file - NGS .bin/.asc or GeographicLib .pgm grid file
+     */
+    async handleGeoidFile(file) {
+        const status = document.getElementById('geoid-status');
+        if (!file) {
+            return;
+        }
+
+        try {
+            const grid = await this.geoid.loadFromFile(file);
+            this.geoidFile = file;
+            status.textContent = `${grid.name} (${grid.south.toFixed(1)}° to ${grid.north.toFixed(1)}°, ${grid.west.toFixed(1)}° to ${grid.east.toFixed(1)}°)`;
+            this.showSuccess(`Loaded geoid model ${grid.name} at ${grid.spacingMinutes.toFixed(2)}' spacing.`);
+        } catch (error) {
+            this.geoid.unload();
+            this.geoidFile = null;
+            status.textContent = 'None loaded';
+            this.showError(`Unable to load geoid model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the magnetic models available and the dates they cover
+     */
+    updateMagneticStatus() {
+        document.getElementById('magnetic-status').textContent = this.magneticModel.describe().text;
+    }
+
+    /**
+     * Load a magnetic model coefficient file chosen by the user
+     * @param {File} file - WMM .COF or IGRF coefficients file
+     */
+    async handleMagneticFile(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const summary = await this.magneticModel.loadFromFile(file);
+            const loaded = summary.models[summary.models.length - 1];
+            this.updateMagneticStatus();
+            this.showSuccess(`Loaded magnetic model ${loaded.name} for ${loaded.validFrom.toFixed(1)} to ${loaded.validTo.toFixed(1)}.`);
+        } catch (error) {
+            this.showError(`Unable to load magnetic model: ${error.message}`);
+        }
     }
 
     /**
      * Initialize all event listeners
      */
     initializeEventListeners() {
+        // Datum / ellipsoid selection
+        document.getElementById('datum-select').addEventListener('change', (e) => this.datums.setActiveDatum(e.target.value));
+        document.getElementById('geoid-file').addEventListener('change', (e) => this.handleGeoidFile(e.target.files[0]));
+        document.getElementById('magnetic-file').addEventListener('change', (e) => this.handleMagneticFile(e.target.files[0]));
+        
+        // Projects
+        document.getElementById('save-project-btn').addEventListener('click', () => this.saveProject());
+        document.getElementById('open-project-btn').addEventListener('click', () => this.openProject(document.getElementById('project-list').value));
+        document.getElementById('duplicate-project-btn').addEventListener('click', () => this.duplicateProject());
+        document.getElementById('rename-project-btn').addEventListener('click', () => this.renameProject());
+        document.getElementById('delete-project-btn').addEventListener('click', () => this.deleteProject());
+        document.getElementById('export-project-btn').addEventListener('click', () => this.exportProject());
+        document.getElementById('project-file').addEventListener('change', (e) => this.importProject(e.target.files[0]));
+        
         // Section 1: Coordinate Converter
         document.getElementById('convert-btn').addEventListener('click', () => this.handleConversion());
         document.getElementById('copy-converted-btn').addEventListener('click', () => this.copyConvertedResult());
+        document.getElementById('state-plane-zone').addEventListener('change', () => this.updateStatePlaneZone());
+        document.getElementById('state-plane-unit').addEventListener('change', () => this.updateStatePlaneZone());
+        document.getElementById('convert-bearing-btn').addEventListener('click', () => this.handleBearingConversion());
         
         // Section 2: Distance Calculator
         document.getElementById('parse-coordinates-btn').addEventListener('click', () => this.handleParseCoordinates());
         document.getElementById('calculate-distance-btn').addEventListener('click', () => this.handleDistanceCalculation());
         document.getElementById('copy-results-btn').addEventListener('click', () => this.copyDistanceResults());
+        document.getElementById('export-results-btn').addEventListener('click', () => this.exportDistanceResults());
+
+        // Point file import (CSV, GPX, KML, GeoJSON)
+        const dropZone = document.getElementById('csv-drop-zone');
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.handleImportFile(e.dataTransfer.files[0]);
+        });
+        document.getElementById('csv-file').addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+        document.getElementById('csv-delimiter').addEventListener('change', () => this.loadCsvTable());
+        document.getElementById('csv-has-header').addEventListener('change', () => this.loadCsvTable());
+        document.getElementById('csv-coordinate-system').addEventListener('change', () => this.updateCsvPreview());
+        document.getElementById('csv-utm-zone').addEventListener('input', () => this.updateCsvPreview());
+        document.querySelectorAll('#csv-mapping select[data-field]').forEach(select => {
+            select.addEventListener('change', () => this.updateCsvPreview());
+        });
+        document.getElementById('csv-import-btn').addEventListener('click', () => this.importCsvPoints());
+        
+        document.getElementById('traverse-mode').addEventListener('change', (e) => {
+            document.getElementById('traverse-options').style.display = e.target.checked ? '' : 'none';
+        });
+        document.getElementById('cluster-mode').addEventListener('change', (e) => {
+            document.getElementById('cluster-options').style.display = e.target.checked ? '' : 'none';
+        });
+        document.getElementById('accuracy-standard').addEventListener('change', (e) => {
+            document.getElementById('custom-standard-options').style.display = e.target.value === 'custom' ? '' : 'none';
+        });
+
+        // Section 3: Forward Calculation
+        document.getElementById('forward-azimuth-type').addEventListener('change', (e) => {
+            document.getElementById('forward-declination-label').style.display = e.target.value === 'magnetic' ? '' : 'none';
+        });
+        document.getElementById('add-leg-btn').addEventListener('click', () => this.addForwardLeg());
+        document.getElementById('remove-leg-btn').addEventListener('click', () => this.removeForwardLeg());
+        document.getElementById('forward-calculate-btn').addEventListener('click', () => this.handleForwardCalculation());
+        document.getElementById('copy-forward-btn').addEventListener('click', () => this.copyForwardResults());
+        document.getElementById('forward-to-distance-btn').addEventListener('click', () => this.useForwardPoints());
+
+        // Map view
+        document.getElementById('map-line-mode').addEventListener('change', () => this.updateMapLines());
+        document.getElementById('map-pair-from').addEventListener('change', () => this.updateMapLines());
+        document.getElementById('map-pair-to').addEventListener('change', () => this.updateMapLines());
+        document.getElementById('map-fit-btn').addEventListener('click', () => this.mapView.fit());
+        document.getElementById('distance-method').addEventListener('change', () => this.updateMapLines());
         
         // Mode toggle
         document.querySelectorAll('input[name="input-mode"]').forEach(radio => {
@@ -38,6 +295,11 @@ class GPSCalculatorApp {
         // Manual mode controls
         document.getElementById('add-coordinate-btn').addEventListener('click', () => this.addCoordinateRow());
         document.getElementById('remove-coordinate-btn').addEventListener('click', () => this.removeCoordinateRow());
+        document.getElementById('move-coordinate-up-btn').addEventListener('click', () => this.moveCoordinateRows(-1));
+        document.getElementById('move-coordinate-down-btn').addEventListener('click', () => this.moveCoordinateRows(1));
+        document.getElementById('toggle-coordinate-btn').addEventListener('click', () => this.toggleCoordinateRows());
+        document.getElementById('undo-coordinate-btn').addEventListener('click', () => this.pointTable.undo());
+        document.getElementById('redo-coordinate-btn').addEventListener('click', () => this.pointTable.redo());
         
         // Distance options
         document.getElementById('show-2d').addEventListener('change', () => this.updateDistanceOptions());
@@ -56,7 +318,7 @@ class GPSCalculatorApp {
 
         const coordinate = this.parser.parseCoordinate(input);
         if (!coordinate) {
-            this.showError('Unable to parse the coordinate format. Please check your input.');
+            this.showError(this.parser.getStatePlaneZoneError(input) || 'Unable to parse the coordinate format. Please check your input.');
             return;
         }
 
@@ -73,6 +335,21 @@ class GPSCalculatorApp {
         if (format === 'dms') {
             // Convert DMS to decimal
             this.displayConversionResult(normalized.lat, normalized.lon, 'dms');
+        } else if (format === 'ddm') {
+            // Convert DDM to decimal
+            this.displayConversionResult(normalized.lat, normalized.lon, 'ddm');
+        } else if (format === 'utm') {
+            // Convert UTM/UPS to geographic
+            this.displayConversionResult(normalized.lat, normalized.lon, 'utm');
+        } else if (format === 'mgrs') {
+            // Convert MGRS/USNG to geographic
+            this.displayConversionResult(normalized.lat, normalized.lon, 'mgrs');
+        } else if (format === 'stateplane') {
+            // Convert State Plane to geographic
+            this.displayConversionResult(normalized.lat, normalized.lon, 'stateplane');
+        } else if (format === 'ecef') {
+            // Convert ECEF XYZ to geographic, keeping the ellipsoidal height
+            this.displayConversionResult(normalized.lat, normalized.lon, 'ecef', coordinate.elevation);
         } else if (format === 'decimal') {
             // Convert decimal to DMS
             this.displayConversionResult(normalized.lat, normalized.lon, 'decimal');
@@ -87,10 +364,16 @@ class GPSCalculatorApp {
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
      * @param {string} format - Format type
+     * @param {number} height - Ellipsoidal height in meters for the ECEF output (0 = on the ellipsoid)
      */
-    displayConversionResult(lat, lon, format) {
+    displayConversionResult(lat, lon, format, height = 0) {
         const decimalOutput = document.getElementById('decimal-output');
         const dmsOutput = document.getElementById('dms-output');
+        const ddmOutput = document.getElementById('ddm-output');
+        const utmOutput = document.getElementById('utm-output');
+        const mgrsOutput = document.getElementById('mgrs-output');
+        const statePlaneOutput = document.getElementById('state-plane-output');
+        const ecefOutput = document.getElementById('ecef-output');
 
         // Always show decimal format
         decimalOutput.textContent = this.converter.formatForDisplay(lat, lon);
@@ -99,9 +382,37 @@ class GPSCalculatorApp {
         const dmsResult = this.converter.convertToDMS(lat, lon);
         dmsOutput.textContent = `${dmsResult.lat}, ${dmsResult.lon}`;
 
+        // Show DDM format
+        const ddmResult = this.converter.convertToDDM(lat, lon);
+        ddmOutput.textContent = `${ddmResult.lat}, ${ddmResult.lon}`;
+
+        // Show UTM/UPS, in the forced zone if one is given
+        const forcedZone = parseInt(document.getElementById('utm-zone').value, 10) || null;
+        const utmResult = this.converter.convertToUTM(lat, lon, forcedZone);
+        utmOutput.textContent = utmResult ? this.converter.formatUTM(utmResult) : 'Outside UTM/UPS coverage';
+
+        // Show MGRS/USNG at the selected precision
+        const mgrsDigits = parseInt(document.getElementById('mgrs-precision').value, 10);
+        const mgrsResult = this.converter.convertToMGRS(lat, lon, mgrsDigits);
+        mgrsOutput.textContent = mgrsResult ? this.converter.formatMGRS(mgrsResult) : 'Outside MGRS coverage';
+
+        // Show State Plane in the selected zone
+        const statePlaneResult = this.converter.convertToStatePlane(lat, lon);
+        statePlaneOutput.textContent = statePlaneResult
+            ? `${this.converter.formatStatePlane(statePlaneResult)} (${statePlaneResult.zoneName})`
+            : 'Select a State Plane zone';
+
+        // Show ECEF XYZ at the input height (on the ellipsoid unless the input was XYZ)
+        const ecefResult = this.converter.convertToECEF(lat, lon, height);
+        ecefOutput.textContent = `${this.converter.formatECEF(ecefResult)} m (h = ${height.toFixed(4)} m)`;
+
+        // Show the magnetic field on the chosen date
+        document.getElementById('magnetic-output').textContent = this.describeMagneticField(lat, lon, height);
+
         // Store for clipboard copy
         this.lastConvertedLat = lat;
         this.lastConvertedLon = lon;
+        this.lastConvertedHeight = height;
     }
 
     /**
@@ -113,7 +424,10 @@ class GPSCalculatorApp {
             return;
         }
 
-        const clipboardText = this.converter.formatForClipboard(this.lastConvertedLat, this.lastConvertedLon);
+        const copyFormat = document.getElementById('copy-format').value;
+        const clipboardText = this.converter.formatForClipboard(
+            this.lastConvertedLat, this.lastConvertedLon, true, copyFormat, this.lastConvertedHeight
+        );
         
         try {
             await navigator.clipboard.writeText(clipboardText);
@@ -124,35 +438,182 @@ class GPSCalculatorApp {
         }
     }
 
+    /**
+     * Read a magnetic date field
+     * @param {string} inputId - Id of the date input
+     * @param {boolean} defaultToday - Use today's date when the field is empty
+     * @returns {Object|string|null} - {year, label}, an error message, or null when the field is empty
+     *                                 and not defaulted
+     */
+    readMagneticDate(inputId, defaultToday = false) {
+        const text = document.getElementById(inputId).value.trim();
+        if (!text && !defaultToday) {
+            return null;
+        }
+
+        const label = text || new Date().toISOString().slice(0, 10);
+        const year = this.magneticModel.toDecimalYear(label);
+        if (year === null) {
+            return `"${text}" is not a valid date. Enter a date as YYYY-MM-DD or a year.`;
+        }
+        if (!this.magneticModel.getModel(year)) {
+            const coverage = this.magneticModel.describe().text;
+            return `No magnetic model covers ${label} (available: ${coverage}). Load an IGRF coefficient file that covers it.`;
+        }
+        return { year, label };
+    }
+
+    /**
+     * Format a declination with its direction
+     * @param {number} declination - Declination in degrees, east positive
+     * @returns {string} - e.g. 14° 24' 23.3" W
+     */
+    formatDeclination(declination) {
+        return `${this.converter.formatAngleDMS(Math.abs(declination))} ${declination < 0 ? 'W' : 'E'}`;
+    }
+
+    /**
+     * Describe the magnetic field at a point on the date under "Magnetic Field Date"
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} height - Ellipsoidal height in meters
+     * @returns {string} - Declination, annual change, inclination and intensity, or why they are unavailable
+     */
+    describeMagneticField(lat, lon, height = 0) {
+        const date = this.readMagneticDate('magnetic-date', true);
+        if (typeof date === 'string') {
+            return date;
+        }
+
+        const field = this.magneticModel.calculate(lat, lon, height, date.year);
+        const inclination = `${field.inclination < 0 ? '−' : ''}${this.converter.formatAngleDMS(Math.abs(field.inclination))}`;
+        let text = `Declination ${this.formatDeclination(field.declination)} (${field.declination.toFixed(4)}°), ` +
+            `changing ${this.formatDeclination(field.declinationChange)} per year; inclination ${inclination}; ` +
+            `total intensity ${field.totalIntensity.toFixed(0)} nT (${field.model}, ${date.label})`;
+
+        if (field.warning === 'blackout') {
+            text += ' ⚠️ Horizontal field below 2000 nT: the compass is unreliable here';
+        } else if (field.warning === 'caution') {
+            text += ' ⚠️ Horizontal field below 6000 nT: compass readings may be degraded';
+        }
+        return text;
+    }
+
+    /**
+     * Convert a bearing at the last converted point between true, magnetic (on the bearing date and
+     * on the magnetic field date) and grid north
+     */
+    handleBearingConversion() {
+        const output = document.getElementById('bearing-output');
+        if (this.lastConvertedLat === undefined || this.lastConvertedLon === undefined) {
+            this.showError('Convert a coordinate first; the bearing is converted at that point.');
+            return;
+        }
+
+        const bearingText = document.getElementById('bearing-input').value.trim();
+        const bearing = this.parser.parseAzimuth(bearingText);
+        if (bearing === null) {
+            this.showError(`"${bearingText}" is not a valid azimuth or bearing.`);
+            return;
+        }
+
+        const reference = document.getElementById('bearing-reference').value;
+        const bearingDate = this.readMagneticDate('bearing-date');
+        if (typeof bearingDate === 'string') {
+            this.showError(bearingDate);
+            return;
+        }
+        if (reference === 'magnetic' && !bearingDate) {
+            this.showError('Enter the date of the magnetic bearing, e.g. the date of the deed or survey.');
+            return;
+        }
+        const currentDate = this.readMagneticDate('magnetic-date', true);
+        if (typeof currentDate === 'string') {
+            this.showError(currentDate);
+            return;
+        }
+
+        const lat = this.lastConvertedLat;
+        const lon = this.lastConvertedLon;
+        const height = this.lastConvertedHeight || 0;
+        const grids = ['grid-utm', 'grid-stateplane']
+            .map(gridType => ({ gridType, grid: this.getGridProjection(gridType, { lat, lon }) }));
+
+        let trueAzimuth;
+        if (reference === 'magnetic') {
+            const field = this.magneticModel.calculate(lat, lon, height, bearingDate.year);
+            trueAzimuth = this.distanceCalculator.toTrueAzimuth(bearing, 'magnetic', { declination: field.declination });
+        } else if (reference === 'true') {
+            trueAzimuth = this.distanceCalculator.normalizeAzimuth(bearing);
+        } else {
+            const grid = grids.find(candidate => candidate.gridType === reference).grid;
+            if (typeof grid === 'string') {
+                this.showError(grid);
+                return;
+            }
+            trueAzimuth = this.distanceCalculator.toTrueAzimuth(bearing, 'grid', { convergence: grid.convergence(lat, lon) });
+        }
+        if (trueAzimuth === null) {
+            this.showError('The bearing could not be converted at this point.');
+            return;
+        }
+
+        const line = (label, azimuth) =>
+            `<div><strong>${label}:</strong> ${this.converter.formatBearing(azimuth)} (${this.converter.formatAzimuth(azimuth)})</div>`;
+        const magneticLine = (date) => {
+            const field = this.magneticModel.calculate(lat, lon, height, date.year);
+            const azimuth = this.distanceCalculator.fromTrueAzimuth(trueAzimuth, 'magnetic', { declination: field.declination });
+            return line(`Magnetic on ${date.label} (δ ${this.formatDeclination(field.declination)}, ${field.model})`, azimuth);
+        };
+
+        let html = line('True', trueAzimuth);
+        if (bearingDate) {
+            html += magneticLine(bearingDate);
+        }
+        if (!bearingDate || bearingDate.label !== currentDate.label) {
+            html += magneticLine(currentDate);
+        }
+        grids.forEach(({ grid }) => {
+            if (typeof grid === 'string') {
+                return;
+            }
+            const convergence = grid.convergence(lat, lon);
+            if (convergence !== null) {
+                const azimuth = this.distanceCalculator.fromTrueAzimuth(trueAzimuth, 'grid', { convergence });
+                html += line(`Grid, ${grid.name} (γ ${this.formatConvergence(convergence)})`, azimuth);
+            }
+        });
+        output.innerHTML = html;
+    }
+
     /**
      * Handle parsing of multiple coordinates
      */
     handleParseCoordinates() {
-        const input = document.getElementById('coordinates-paste').value.trim();
-        if (!input) {
+        // Untrimmed so that report line numbers match the text area
+        const input = document.getElementById('coordinates-paste').value;
+        if (!input.trim()) {
             this.showError('Please enter coordinates to parse.');
             return;
         }
 
-        const parsedCoordinates = this.parser.parseMultipleCoordinates(input);
+        const report = this.parser.parseMultipleCoordinates(input);
+        const parsedCoordinates = report.coordinates;
+        this.displayParseReport(report);
         
         if (parsedCoordinates.length === 0) {
-            this.showError('No valid coordinates found. Please check your input format.');
-            return;
-        }
-
-        if (parsedCoordinates.length > this.maxCoordinates) {
-            this.showError(`Too many coordinates. Maximum ${this.maxCoordinates} allowed.`);
+            this.showError('No valid coordinates found. See the parse report below the input for each line.');
             return;
         }
 
-        // Get default elevation unit
+        // Get default elevation unit and height type (a per-line tag such as NAVD88 overrides the type)
         const defaultElevationUnit = document.querySelector('input[name="default-elevation"]:checked').value;
+        const defaultHeightType = document.querySelector('input[name="default-height-type"]:checked').value;
         
-        // Convert elevations to meters and validate coordinates
+        // Convert elevations to meters and validate coordinates (heights from ECEF XYZ are already meters)
         this.coordinates = parsedCoordinates.map(coord => {
             let elevation = coord.elevation;
-            if (elevation !== null && elevation !== undefined) {
+            if (elevation !== null && elevation !== undefined && !coord.ecef) {
                 elevation = this.distanceCalculator.convertElevation(
                     elevation, defaultElevationUnit, 'meters'
                 );
@@ -160,7 +621,8 @@ class GPSCalculatorApp {
             return {
                 lat: coord.lat,
                 lon: coord.lon,
-                elevation: elevation
+                elevation: elevation,
+                heightType: coord.heightType || defaultHeightType
             };
         }).filter(coord => 
             coord.lat !== null && coord.lon !== null && 
@@ -173,39 +635,425 @@ class GPSCalculatorApp {
             return;
         }
 
+        this.populateManualMode();
+
+        // Keep the paste area open so rejected lines can be fixed in place
+        const rejectedCount = report.lines.filter(line => line.error).length;
+        if (rejectedCount > 0) {
+            this.showError(`Parsed ${this.coordinates.length} of ${report.lines.length} line(s); ${rejectedCount} rejected. Fix the highlighted lines and parse again, or switch to Manual Entry to continue.`);
+            return;
+        }
+
         // Switch to manual mode to show parsed coordinates
         document.querySelector('input[name="input-mode"][value="manual"]').checked = true;
         this.toggleInputMode('manual');
-        this.populateManualMode();
         
-        this.showSuccess(`Successfully parsed ${this.coordinates.length} valid coordinate(s).`);
+        // Warn when input lines are tagged with a datum other than the active one
+        const activeDatum = this.datums.getActiveDatum();
+        const otherDatums = [...new Set(parsedCoordinates
+            .filter(coord => coord.datum && coord.datum !== activeDatum.key)
+            .map(coord => coord.datum))];
+        
+        let message = `Successfully parsed ${this.coordinates.length} valid coordinate(s).`;
+        if (otherDatums.length > 0) {
+            message += ` Note: input tagged ${otherDatums.join(', ')} differs from the active datum ${activeDatum.name}; no datum transformation is applied.`;
+        }
+        this.showSuccess(message);
+    }
+
+    /**
+     * Show the per-line parse report below the paste area. Clicking a line selects it in the input.
+     * @param {Object} report - Report from CoordinateParser.parseMultipleCoordinates
+     */
+    displayParseReport(report) {
+        const container = document.getElementById('parse-report');
+        container.innerHTML = '';
+
+        const issues = report.lines.filter(line => line.error || line.warnings.length > 0);
+        if (issues.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'parse-report-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Line</th>
+                    <th>Input</th>
+                    <th>Format</th>
+                    <th>Result</th>
+                </tr>
+            </thead>
+        `;
+
+        const tbody = document.createElement('tbody');
+        report.lines.forEach(line => {
+            const row = document.createElement('tr');
+            row.className = line.error ? 'parse-report-rejected' : (line.warnings.length > 0 ? 'parse-report-warning' : '');
+
+            const notes = line.error
+                ? [line.error, ...line.warnings]
+                : [`${line.coordinate.lat.toFixed(8)}, ${line.coordinate.lon.toFixed(8)}`, ...line.warnings];
+            [String(line.lineNumber), line.input, line.pattern || '-', notes.join('; ')].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            row.addEventListener('click', () => this.selectPasteLine(line.lineNumber));
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+
+        const rejectedCount = report.lines.filter(line => line.error).length;
+        const summary = document.createElement('p');
+        summary.textContent = `${report.lines.length - rejectedCount} of ${report.lines.length} line(s) parsed, ` +
+            `${rejectedCount} rejected, ${issues.length - rejectedCount} with warnings. Click a line to select it in the input.`;
+
+        container.appendChild(summary);
+        container.appendChild(table);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Select a line of the paste input so it can be corrected
+     * @param {number} lineNumber - 1-based line number
+     */
+    selectPasteLine(lineNumber) {
+        const textarea = document.getElementById('coordinates-paste');
+        const lines = textarea.value.split('\n');
+        const start = lines.slice(0, lineNumber - 1).reduce((total, line) => total + line.length + 1, 0);
+
+        textarea.focus();
+        textarea.setSelectionRange(start, start + lines[lineNumber - 1].length);
+    }
+
+    /**
+     * Route a dropped or selected point file to the GPX/KML/GeoJSON or CSV importer
+     * @param {File} file - Point file
+     */
+    async handleImportFile(file) {
+        if (!file) {
+            return;
+        }
+
+        if (this.geoFileImporter.canImport(file.name)) {
+            await this.handleGeoFile(file);
+        } else {
+            await this.handleCsvFile(file);
+        }
+    }
+
+    /**
+     * Import the points of a GPX, KML or GeoJSON file
+     * @param {File} file - GPX, KML or GeoJSON file
+     */
+    async handleGeoFile(file) {
+        let result;
+        try {
+            result = await this.geoFileImporter.importFile(file);
+        } catch (error) {
+            this.showError(`Unable to import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        document.getElementById('csv-mapping').style.display = 'none';
+        if (result.coordinates.length === 0) {
+            this.showError(`No points found in ${file.name}.` + (result.warnings.length > 0 ? ` ${result.warnings.join('. ')}.` : ''));
+            return;
+        }
+
+        let message = `Imported ${result.coordinates.length} point(s) from ${result.format.toUpperCase()} file ${file.name}.`;
+        if (result.warnings.length > 0) {
+            message += ` ${result.warnings.join('. ')}.`;
+        }
+        this.loadImportedCoordinates(result.coordinates, message);
+    }
+
+    /**
+     * Replace the coordinate list with imported points and show them in manual mode
+     * @param {Array} coordinates - {name, lat, lon, elevation, heightType} points
+     * @param {string} message - Success message
+     */
+    loadImportedCoordinates(coordinates, message) {
+        this.coordinates = coordinates;
+        this.populateManualMode();
+        document.querySelector('input[name="input-mode"][value="manual"]').checked = true;
+        this.toggleInputMode('manual');
+        this.showSuccess(message);
+    }
+
+    /**
+     * Read a dropped or selected delimited file and show the column mapping
+     * @param {File} file - CSV/TSV/text file
+     */
+    async handleCsvFile(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            this.csvText = await this.csvImporter.readFile(file);
+        } catch (error) {
+            this.showError(`Unable to read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        this.loadCsvTable(true);
+    }
+
+    /**
+     * Split the loaded file into a table and fill in the column mapping
+     * @param {boolean} detect - Detect delimiter and header row instead of using the current selections
+     */
+    loadCsvTable(detect = false) {
+        if (this.csvText === null) {
+            return;
+        }
+
+        const delimiterSelect = document.getElementById('csv-delimiter');
+        const headerCheckbox = document.getElementById('csv-has-header');
+        this.csvTable = detect
+            ? this.csvImporter.parseText(this.csvText)
+            : this.csvImporter.parseText(this.csvText, delimiterSelect.value, headerCheckbox.checked);
+
+        if (this.csvTable.rows.length === 0) {
+            document.getElementById('csv-mapping').style.display = 'none';
+            this.showError('The file has no data rows.');
+            return;
+        }
+
+        delimiterSelect.value = this.csvTable.delimiter;
+        headerCheckbox.checked = this.csvTable.hasHeader;
+
+        const mapping = this.csvImporter.guessMapping(this.csvTable);
+        document.querySelectorAll('#csv-mapping select[data-field]').forEach(select => {
+            select.innerHTML = '<option value="-1">(none)</option>';
+            this.csvTable.headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = header;
+                select.appendChild(option);
+            });
+            select.value = mapping[select.dataset.field];
+        });
+
+        document.getElementById('csv-coordinate-system').value = this.csvImporter.guessCoordinateSystem(this.csvTable, mapping);
+        document.getElementById('csv-mapping').style.display = 'block';
+        this.updateCsvPreview();
+    }
+
+    /**
+     * Convert the loaded table with the current mapping and preview the first rows
+     * @returns {Object|null} - Result from CsvImporter.buildCoordinates
+     */
+    updateCsvPreview() {
+        if (!this.csvTable) {
+            return null;
+        }
+
+        const coordinateSystem = document.getElementById('csv-coordinate-system').value;
+        document.getElementById('csv-utm-zone').parentElement.style.display = coordinateSystem === 'utm' ? '' : 'none';
+
+        const mapping = { name: -1, lat: -1, lon: -1, elevation: -1, unit: -1, heightType: -1 };
+        document.querySelectorAll('#csv-mapping select[data-field]').forEach(select => {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        });
+
+        const result = this.csvImporter.buildCoordinates(this.csvTable, mapping, {
+            coordinateSystem: coordinateSystem,
+            utmZone: document.getElementById('csv-utm-zone').value.trim(),
+            elevationUnit: document.querySelector('input[name="default-elevation"]:checked').value,
+            heightType: document.querySelector('input[name="default-height-type"]:checked').value
+        });
+
+        const preview = document.getElementById('csv-preview');
+        preview.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.textContent = `${result.coordinates.length} of ${result.rows.length} row(s) readable. ` +
+            `Showing the first ${Math.min(this.csvImporter.previewRows, result.rows.length)}.`;
+        preview.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'parse-report-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Row</th>
+                    <th>Name</th>
+                    <th>Latitude</th>
+                    <th>Longitude</th>
+                    <th>Elevation (m)</th>
+                </tr>
+            </thead>
+        `;
+
+        const tbody = document.createElement('tbody');
+        result.rows.slice(0, this.csvImporter.previewRows).forEach(row => {
+            const tr = document.createElement('tr');
+            const coord = row.coordinate;
+            const cells = coord
+                ? [row.rowNumber, coord.name || '-', coord.lat.toFixed(8), coord.lon.toFixed(8),
+                    coord.elevation !== null ? `${coord.elevation.toFixed(3)} ${coord.heightType}` : '-']
+                : [row.rowNumber, row.error];
+
+            if (!coord) {
+                tr.className = 'parse-report-rejected';
+            }
+            cells.forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = String(text);
+                if (!coord && index === 1) {
+                    td.colSpan = 4;
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        preview.appendChild(table);
+
+        return result;
+    }
+
+    /**
+     * Load the readable rows of the mapped file into the coordinate list
+     */
+    importCsvPoints() {
+        const result = this.updateCsvPreview();
+        if (!result || result.coordinates.length === 0) {
+            this.showError('No readable rows to import. Check the column mapping and coordinate system.');
+            return;
+        }
+
+        const skipped = result.rows.length - result.coordinates.length;
+        this.loadImportedCoordinates(result.coordinates,
+            `Imported ${result.coordinates.length} point(s)` + (skipped > 0 ? `; ${skipped} unreadable row(s) skipped.` : '.'));
     }
 
     /**
      * Populate manual mode with parsed coordinates
      */
     populateManualMode() {
-        const table = document.getElementById('coordinates-table');
-        table.innerHTML = '';
+        this.pointTable.setRows(this.coordinates);
+    }
+
+    /**
+     * Check whether a coordinate has a usable latitude and longitude
+     * @param {Object} coord - Coordinate
+     * @returns {boolean} - True if the position can be used
+     */
+    hasValidPosition(coord) {
+        return coord.lat !== null && coord.lon !== null &&
+            !isNaN(coord.lat) && !isNaN(coord.lon) &&
+            isFinite(coord.lat) && isFinite(coord.lon);
+    }
 
+    /**
+     * Create the map view and highlight a coordinate row when its point is clicked
+     */
+    initializeMapView() {
+        this.mapView = new MapView(document.getElementById('map-view'));
+        this.mapPointIndexes = [];
+        this.mapView.onPointClick = (index) => this.highlightCoordinateRow(this.mapPointIndexes[index]);
+    }
+
+    /**
+     * Plot the current coordinates on the map and refresh the pair selectors
+     */
+    updateMap() {
+        const points = [];
+        this.mapPointIndexes = [];
         this.coordinates.forEach((coord, index) => {
-            this.addCoordinateRow(coord, index);
+            if (coord.enabled !== false && this.hasValidPosition(coord)) {
+                points.push({ name: coord.name || `Point ${index + 1}`, lat: coord.lat, lon: coord.lon });
+                this.mapPointIndexes.push(index);
+            }
+        });
+
+        ['map-pair-from', 'map-pair-to'].forEach((id, selectorIndex) => {
+            const selector = document.getElementById(id);
+            const previous = selector.value;
+            selector.innerHTML = '';
+            points.forEach((point, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = point.name;
+                selector.appendChild(option);
+            });
+            selector.value = previous !== '' && previous < points.length ? previous : Math.min(selectorIndex, points.length - 1);
         });
+
+        this.mapView.setPoints(points);
+        this.updateMapLines();
+    }
+
+    /**
+     * Draw the cumulative path or the selected pair on the map
+     */
+    updateMapLines() {
+        const mode = document.getElementById('map-line-mode').value;
+        const unitSystem = document.getElementById('unit-system').value;
+        const method = document.getElementById('distance-method').value;
+        const points = this.mapView.points;
+        let lines = [];
+        let caption = '';
+
+        document.getElementById('map-pair-from').style.display = mode === 'pair' ? '' : 'none';
+        document.getElementById('map-pair-to').style.display = mode === 'pair' ? '' : 'none';
+
+        if (mode === 'cumulative' && points.length >= 2) {
+            const cumulative = this.distanceCalculator.calculateCumulativeDistance(points, false, method);
+            const labelSegments = cumulative.segments.length <= 20;
+            lines = cumulative.segments.map(segment => {
+                const formatted = this.formatDistanceWithDynamicUnits(segment.distance.km, unitSystem);
+                return { from: segment.from - 1, to: segment.to - 1, label: labelSegments ? `${formatted.value} ${formatted.unit}` : '' };
+            });
+            const total = this.formatDistanceWithDynamicUnits(cumulative.totalKm, unitSystem);
+            caption = `Cumulative 2D: ${total.value} ${total.unit}`;
+        } else if (mode === 'pair' && points.length >= 2) {
+            const from = parseInt(document.getElementById('map-pair-from').value);
+            const to = parseInt(document.getElementById('map-pair-to').value);
+            const distance = this.distanceCalculator.calculateHorizontalDistance(
+                points[from].lat, points[from].lon, points[to].lat, points[to].lon, method
+            );
+            if (from !== to && distance) {
+                const formatted = this.formatDistanceWithDynamicUnits(distance.km, unitSystem);
+                lines = [{ from, to, label: `${formatted.value} ${formatted.unit}` }];
+                caption = `${points[from].name} to ${points[to].name}`;
+            }
+        }
+
+        this.mapView.setLines(lines, caption);
+    }
+
+    /**
+     * Highlight a coordinate row in manual mode, e.g. after its point is clicked on the map
+     * @param {number} index - Index into the coordinates
+     */
+    highlightCoordinateRow(index) {
+        document.querySelector('input[name="input-mode"][value="manual"]').checked = true;
+        this.toggleInputMode('manual');
+
+        // The editor keeps the highlight when it redraws the rows after an edit
+        const row = this.pointTable.highlightRow(index);
+        if (row) {
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
     }
 
     /**
      * Handle distance calculation
      */
-    handleDistanceCalculation() {
+    async handleDistanceCalculation() {
         // Update coordinates from manual input first
         this.updateCoordinatesFromManual();
         
-        // Filter out invalid coordinates
-        const validCoordinates = this.coordinates.filter(coord => 
-            coord.lat !== null && coord.lon !== null && 
-            !isNaN(coord.lat) && !isNaN(coord.lon) &&
-            isFinite(coord.lat) && isFinite(coord.lon)
-        );
+        // Filter out invalid and disabled coordinates
+        const validCoordinates = this.getCalculationCoordinates();
         
         if (validCoordinates.length < 2) {
             this.showError('At least 2 valid coordinates are required for distance calculation. Please check your input values.');
@@ -220,9 +1068,61 @@ class GPSCalculatorApp {
             return;
         }
 
-        const results = this.distanceCalculator.calculateDistanceMatrix(
-            validCoordinates, show2D, show3D
-        );
+        // Mixed height types can only be compared once orthometric heights are converted with a geoid
+        const heightTypes = new Set(validCoordinates.map(coord => coord.heightType || 'ellipsoidal'));
+        if (heightTypes.size > 1 && validCoordinates.some(coord =>
+            coord.heightType === 'orthometric' && this.geoid.getUndulation(coord.lat, coord.lon) === null)) {
+            this.showError('Points mix orthometric and ellipsoidal heights. Load a geoid model that covers every point, or set all points to the same height type.');
+            return;
+        }
+
+        if (document.getElementById('polygon-mode').checked && validCoordinates.length < 3) {
+            this.showError('A polygon needs at least 3 corners, entered in order around the boundary.');
+            return;
+        }
+
+        if (document.getElementById('traverse-mode').checked && validCoordinates.length < 4) {
+            this.showError('A closed traverse needs at least 4 points: the start, at least 2 traverse points, and the start observed again as the last point.');
+            return;
+        }
+
+        const clusterRadius = parseFloat(document.getElementById('cluster-radius').value);
+        if (document.getElementById('cluster-mode').checked && document.getElementById('cluster-grouping').value === 'proximity' &&
+            !(clusterRadius > 0)) {
+            this.showError('Enter a positive radius in meters for grouping repeat occupations.');
+            return;
+        }
+
+        if (!this.applyAccuracyStandard()) {
+            this.showError('Enter a positive horizontal tolerance in meters for the company specification (leave the vertical tolerance empty for none).');
+            return;
+        }
+
+        if (document.getElementById('azimuth-grid').value === 'grid-stateplane' && !this.converter.statePlaneZone) {
+            this.showError('Select a State Plane zone in the Coordinate Format Converter to show State Plane grid azimuths and distances.');
+            return;
+        }
+
+        const magneticDate = this.readMagneticDate('magnetic-bearing-date');
+        if (typeof magneticDate === 'string') {
+            this.showError(magneticDate);
+            return;
+        }
+
+        const method = document.getElementById('distance-method').value;
+        const calculateButton = document.getElementById('calculate-distance-btn');
+        let results;
+
+        calculateButton.disabled = true;
+        calculateButton.textContent = 'Calculating...';
+        try {
+            results = await this.calculateDistanceMatrix(validCoordinates, show2D, show3D, method);
+        } catch (error) {
+            results = null;
+        } finally {
+            calculateButton.disabled = false;
+            calculateButton.textContent = 'Calculate Distances';
+        }
 
         if (!results) {
             this.showError('Error calculating distances. Please check your coordinates.');
@@ -236,6 +1136,76 @@ class GPSCalculatorApp {
         document.getElementById('distance-results').style.display = 'block';
     }
 
+    /**
+     * Calculate the distance matrix, in a Web Worker for large point sets so the page stays responsive
+     * @param {Array} coordinates - Valid coordinates
+     * @param {boolean} include2D - Include 2D distances
+     * @param {boolean} include3D - Include 3D distances
+     * @param {string} method - Horizontal distance method
+     * @returns {Promise<Object>} - Results from DistanceCalculator.calculateDistanceMatrix
+     */
+    calculateDistanceMatrix(coordinates, include2D, include3D, method) {
+        const worker = coordinates.length >= this.workerThreshold ? this.getDistanceWorker() : null;
+        if (!worker) {
+            return Promise.resolve(this.distanceCalculator.calculateDistanceMatrix(coordinates, include2D, include3D, method));
+        }
+
+        const id = ++this.workerRequestId;
+        return new Promise((resolve, reject) => {
+            const cleanUp = () => {
+                worker.removeEventListener('message', handleMessage);
+                worker.removeEventListener('error', handleError);
+            };
+            const handleMessage = (event) => {
+                if (event.data.id !== id) {
+                    return;
+                }
+                cleanUp();
+                if (event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve(event.data.results);
+                }
+            };
+            const handleError = (event) => {
+                // The worker script could not be loaded (e.g. blocked for file:// pages); calculate here instead
+                event.preventDefault();
+                cleanUp();
+                worker.terminate();
+                this.distanceWorker = null;
+                this.workerUnavailable = true;
+                resolve(this.distanceCalculator.calculateDistanceMatrix(coordinates, include2D, include3D, method));
+            };
+
+            worker.addEventListener('message', handleMessage);
+            worker.addEventListener('error', handleError);
+            worker.postMessage({
+                id,
+                coordinates,
+                include2D,
+                include3D,
+                method,
+                datum: this.datums.getActiveDatum().key,
+                geoidFile: this.geoidFile
+            });
+        });
+    }
+
+    /**
+     * Get the distance worker, starting it on first use
+     * @returns {Worker|null} - Worker, or null if workers are not available
+     */
+    getDistanceWorker() {
+        if (!this.distanceWorker && !this.workerUnavailable) {
+            try {
+                this.distanceWorker = new Worker('distance-worker.js');
+            } catch (error) {
+                this.workerUnavailable = true;
+            }
+        }
+        return this.distanceWorker;
+    }
+
     /**
      * Display distance calculation results
      * @param {Object} results - Distance calculation results
@@ -248,7 +1218,21 @@ class GPSCalculatorApp {
         statsContainer.innerHTML = '';
 
         // Display detailed calculation breakdown for each pair
-        this.displayDetailedCalculations(results.coordinates, matrixContainer);
+        this.displayDetailedCalculations(results.coordinates, matrixContainer, results.method);
+
+        const segmentsContainer = document.createElement('div');
+        matrixContainer.appendChild(segmentsContainer);
+        this.displayPathSegments(results.coordinates, segmentsContainer, results.method);
+
+        this.lastTraverse = null;
+        if (document.getElementById('traverse-mode').checked) {
+            this.displayTraverseClosure(results.coordinates, matrixContainer, results.method);
+        }
+
+        this.lastClusters = null;
+        if (document.getElementById('cluster-mode').checked) {
+            this.displayClusters(results.coordinates, matrixContainer);
+        }
 
         // Note: Distance matrices removed as requested - detailed calculations provide better information
 
@@ -277,6 +1261,14 @@ class GPSCalculatorApp {
             statsGrid.appendChild(this.createStatCard('Cumulative 3D', results.cumulative3D.totalKm, unitSystem));
         }
 
+        this.lastPolygon = null;
+        if (document.getElementById('polygon-mode').checked) {
+            this.lastPolygon = this.distanceCalculator.calculatePolygon(results.coordinates, results.method);
+            if (this.lastPolygon) {
+                this.appendPolygonCards(statsGrid, this.lastPolygon, unitSystem);
+            }
+        }
+
         statsContainer.appendChild(statsGrid);
 
         // Store results for clipboard copy
@@ -284,50 +1276,590 @@ class GPSCalculatorApp {
     }
 
     /**
-     * Display detailed calculation breakdown for coordinate pairs
+     * Display detailed calculation breakdown for coordinate pairs, one page at a time
      * @param {Array} coordinates - Array of coordinates
      * @param {HTMLElement} container - Container to append results to
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
+     * @param {number} page - Zero-based page of pairs to show
      */
-    displayDetailedCalculations(coordinates, container) {
+    displayDetailedCalculations(coordinates, container, method, page = 0) {
         if (coordinates.length < 2) return;
 
         const isReferenceMode = document.getElementById('reference-mode').checked;
         const isCondensed = document.getElementById('condensed-output').checked;
         const unitSystem = document.getElementById('unit-system').value;
+        const pairs = this.getDisplayPairs(coordinates, isReferenceMode);
+        const pageSize = isCondensed ? this.condensedPageSize : this.detailedPageSize;
+        const pagePairs = pairs.slice(page * pageSize, (page + 1) * pageSize);
+
+        const changePage = (newPage) => {
+            container.innerHTML = '';
+            this.displayDetailedCalculations(coordinates, container, method, newPage);
+        };
 
         if (isCondensed) {
-            this.displayCondensedCalculations(coordinates, container, isReferenceMode, unitSystem);
-            return;
+            this.displayCondensedCalculations(coordinates, container, pagePairs, unitSystem, method);
+        } else {
+            const detailsSection = document.createElement('div');
+            detailsSection.className = 'detailed-calculations';
+            detailsSection.innerHTML = '<h3>Detailed Distance Calculations</h3>';
+
+            pagePairs.forEach(([i, j]) => {
+                detailsSection.appendChild(this.calculateDetailedDistance(coordinates[i], coordinates[j], i + 1, j + 1, unitSystem, method));
+            });
+
+            container.appendChild(detailsSection);
         }
 
-        const detailsSection = document.createElement('div');
-        detailsSection.className = 'detailed-calculations';
-        detailsSection.innerHTML = '<h3>Detailed Distance Calculations</h3>';
+        if (pairs.length > pageSize) {
+            container.firstChild.insertBefore(this.createPager(page, pageSize, pairs.length, changePage), container.firstChild.children[1]);
+            container.firstChild.appendChild(this.createPager(page, pageSize, pairs.length, changePage));
+        }
+    }
+
+    /**
+     * List the point pairs shown in the calculation listings
+     * @param {Array} coordinates - Array of coordinates
+     * @param {boolean} isReferenceMode - Pair every point with the reference point only
+     * @returns {Array} - [i, j] index pairs
+     */
+    getDisplayPairs(coordinates, isReferenceMode) {
+        const pairs = [];
 
         if (isReferenceMode) {
             const referenceIndex = parseInt(document.getElementById('reference-point').value);
-            const referenceCoord = coordinates[referenceIndex];
-            
             for (let i = 0; i < coordinates.length; i++) {
                 if (i !== referenceIndex) {
-                    const calculation = this.calculateDetailedDistance(referenceCoord, coordinates[i], referenceIndex + 1, i + 1, unitSystem);
-                    detailsSection.appendChild(calculation);
+                    pairs.push([referenceIndex, i]);
                 }
             }
         } else {
-            // Calculate detailed breakdown for each pair
             for (let i = 0; i < coordinates.length; i++) {
                 for (let j = i + 1; j < coordinates.length; j++) {
-                    const coord1 = coordinates[i];
-                    const coord2 = coordinates[j];
-                    
-                    const calculation = this.calculateDetailedDistance(coord1, coord2, i + 1, j + 1, unitSystem);
-                    detailsSection.appendChild(calculation);
+                    pairs.push([i, j]);
                 }
             }
         }
 
-        container.appendChild(detailsSection);
+        return pairs;
+    }
+
+    /**
+     * Create previous/next controls for a paged listing
+     * @param {number} page - Zero-based current page
+     * @param {number} pageSize - Pairs per page
+     * @param {number} total - Total number of pairs
+     * @param {Function} onChange - Called with the new page number
+     * @param {string} itemLabel - Name of the listed items in the status text
+     * @returns {HTMLElement} - Pager element
+     */
+    createPager(page, pageSize, total, onChange, itemLabel = 'Pairs') {
+        const pageCount = Math.ceil(total / pageSize);
+        const pager = document.createElement('div');
+        pager.className = 'pager';
+
+        const previous = document.createElement('button');
+        previous.className = 'btn-secondary';
+        previous.textContent = '◀ Previous';
+        previous.disabled = page === 0;
+        previous.addEventListener('click', () => onChange(page - 1));
+
+        const status = document.createElement('span');
+        status.className = 'pager-status';
+        status.textContent = `${itemLabel} ${page * pageSize + 1}–${Math.min((page + 1) * pageSize, total)} of ${total} (page ${page + 1} of ${pageCount})`;
+
+        const next = document.createElement('button');
+        next.className = 'btn-secondary';
+        next.textContent = 'Next ▶';
+        next.disabled = page >= pageCount - 1;
+        next.addEventListener('click', () => onChange(page + 1));
+
+        pager.appendChild(previous);
+        pager.appendChild(status);
+        pager.appendChild(next);
+        return pager;
+    }
+
+    /**
+     * List every segment of the cumulative path (1→2→3→...) with its distance and direction, one page at a time
+     * @param {Array} coordinates - Array of coordinates in path order
+     * @param {HTMLElement} container - Container to fill
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
+     * @param {number} page - Zero-based page of segments to show
+     */
+    displayPathSegments(coordinates, container, method, page = 0) {
+        container.innerHTML = '';
+        if (coordinates.length < 2) return;
+
+        const unitSystem = document.getElementById('unit-system').value;
+        const segmentCount = coordinates.length - 1;
+        const pageSize = this.condensedPageSize;
+        const first = page * pageSize;
+        const last = Math.min(first + pageSize, segmentCount);
+
+        const section = document.createElement('div');
+        section.className = 'condensed-calculations path-segments';
+        section.innerHTML = '<h3>Cumulative Path Segments</h3>';
+
+        const table = document.createElement('table');
+        table.className = 'condensed-table';
+        const headerRow = document.createElement('tr');
+        headerRow.innerHTML = `
+            <th>Segment</th>
+            <th>From</th>
+            <th>To</th>
+            <th>Horizontal Distance</th>
+            ${this.getDirectionHeaders()}
+        `;
+        table.appendChild(headerRow);
+
+        for (let i = first; i < last; i++) {
+            const coord1 = coordinates[i];
+            const coord2 = coordinates[i + 1];
+            const distance = this.distanceCalculator.calculateHorizontalDistance(coord1.lat, coord1.lon, coord2.lat, coord2.lon, method);
+            const distanceFormatted = distance ? this.formatDistanceWithDynamicUnits(distance.km, unitSystem) : null;
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${i + 1}</td>
+                <td>${this.escapeHTML(coord1.name || `Point ${i + 1}`)}</td>
+                <td>${this.escapeHTML(coord2.name || `Point ${i + 2}`)}</td>
+                <td>${distanceFormatted ? `${distanceFormatted.value} ${distanceFormatted.unit}` : '—'}</td>
+                ${this.getDirectionCells(this.getPairDirection(coord1, coord2))}
+            `;
+            table.appendChild(row);
+        }
+
+        section.appendChild(table);
+        if (segmentCount > pageSize) {
+            const changePage = (newPage) => this.displayPathSegments(coordinates, container, method, newPage);
+            section.insertBefore(this.createPager(page, pageSize, segmentCount, changePage, 'Segments'), table);
+            section.appendChild(this.createPager(page, pageSize, segmentCount, changePage, 'Segments'));
+        }
+        container.appendChild(section);
+    }
+
+    /**
+     * Show the misclosure, precision ratio, standard check and adjusted coordinates of a closed traverse
+     * @param {Array} coordinates - Ordered traverse points; the last point re-observes the first
+     * @param {HTMLElement} container - Container to append the section to
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
+     */
+    displayTraverseClosure(coordinates, container, method) {
+        const rule = document.getElementById('traverse-rule').value;
+        const traverse = this.traverseAdjuster.adjust(coordinates, rule, method);
+        if (!traverse) {
+            return;
+        }
+
+        const standardKey = document.getElementById('closure-standard').value;
+        const check = this.traverseAdjuster.checkClosure(traverse, standardKey);
+        this.lastTraverse = { traverse, check };
+
+        const unitSystem = document.getElementById('unit-system').value;
+        const format = (meters) => {
+            const formatted = this.formatDistanceWithDynamicUnits(Math.abs(meters) / 1000, unitSystem);
+            return `${meters < 0 ? '−' : ''}${formatted.value} ${formatted.unit}`;
+        };
+        const verdict = (passes) => passes
+            ? '<span class="closure-pass">✅ Meets</span>'
+            : '<span class="closure-fail">❌ Does not meet</span>';
+        const { misclosure } = traverse;
+        const ruleName = rule === 'transit' ? 'Transit Rule' : 'Compass (Bowditch) Rule';
+
+        const section = document.createElement('div');
+        section.className = 'condensed-calculations traverse-closure';
+        section.innerHTML = `
+            <h3>Traverse Closure</h3>
+            <p>${coordinates.length - 1} legs from ${this.escapeHTML(traverse.legs[0].from)}, closing on ${this.escapeHTML(traverse.legs[traverse.legs.length - 1].to)} as the repeat observation of the start point.</p>
+            <table class="summary-table">
+                <tr><th>Quantity</th><th>Value</th></tr>
+                <tr><td>Traverse length</td><td>${format(traverse.totalLength)}</td></tr>
+                <tr><td>Misclosure north (ΔN)</td><td>${format(misclosure.north)}</td></tr>
+                <tr><td>Misclosure east (ΔE)</td><td>${format(misclosure.east)}</td></tr>
+                <tr><td>Misclosure height (ΔH)</td><td>${misclosure.height !== null ? `${format(misclosure.height)} (${traverse.heightType})` : 'Not available (a point has no elevation, or mixed heights without geoid coverage)'}</td></tr>
+                <tr><td>Linear misclosure</td><td>${format(misclosure.linear)}${misclosure.linear > 0 ? ` toward ${this.converter.formatBearing(misclosure.direction)}` : ''}</td></tr>
+                <tr><td>Precision ratio</td><td><strong>${this.formatPrecisionRatio(traverse.precisionRatio)}</strong></td></tr>
+                <tr><td>Horizontal closure, ${check.name}</td><td>${verdict(check.horizontalPasses)} (allowed ${format(check.allowedLinear)})</td></tr>
+                ${check.verticalPasses !== null
+                    ? `<tr><td>Vertical closure, ${check.name}</td><td>${verdict(check.verticalPasses)} (allowed ${format(check.allowedVertical)})</td></tr>`
+                    : ''}
+            </table>
+        `;
+
+        const table = document.createElement('table');
+        table.className = 'condensed-table';
+        table.innerHTML = `
+            <tr>
+                <th>Point</th>
+                <th>Adjusted Latitude</th>
+                <th>Adjusted Longitude</th>
+                <th>Adjusted Elevation</th>
+                <th>Correction N</th>
+                <th>Correction E</th>
+                <th>Correction H</th>
+            </tr>
+            ${traverse.adjusted.map(point => `
+                <tr>
+                    <td>${this.escapeHTML(point.name)}</td>
+                    <td>${point.lat.toFixed(9)}</td>
+                    <td>${point.lon.toFixed(9)}</td>
+                    <td>${point.elevation !== null ? point.elevation.toFixed(4) + ' m' : '—'}</td>
+                    <td>${point.correctionNorth.toFixed(4)} m</td>
+                    <td>${point.correctionEast.toFixed(4)} m</td>
+                    <td>${point.correctionHeight !== null ? point.correctionHeight.toFixed(4) + ' m' : '—'}</td>
+                </tr>`).join('')}
+        `;
+
+        const heading = document.createElement('h4');
+        heading.textContent = `Adjusted Coordinates — ${ruleName}`;
+        section.appendChild(heading);
+        section.appendChild(table);
+        container.appendChild(section);
+    }
+
+    /**
+     * Show the mean position and repeatability statistics of every group of repeat occupations
+     * @param {Array} coordinates - Points, in any order
+     * @param {HTMLElement} container - Container to append the section to
+     */
+    displayClusters(coordinates, container) {
+        const grouping = document.getElementById('cluster-grouping').value;
+        const radius = parseFloat(document.getElementById('cluster-radius').value);
+        const analysis = this.clusterAnalyzer.analyze(coordinates, grouping, radius);
+        this.lastClusters = analysis;
+
+        const unitSystem = document.getElementById('unit-system').value;
+        const format = (meters) => {
+            if (meters === null) return '—';
+            const formatted = this.formatDistanceWithDynamicUnits(Math.abs(meters) / 1000, unitSystem);
+            return `${meters < 0 ? '−' : ''}${formatted.value} ${formatted.unit}`;
+        };
+
+        const section = document.createElement('div');
+        section.className = 'condensed-calculations cluster-analysis';
+        section.innerHTML = `
+            <h3>Repeat Occupations</h3>
+            <p>${analysis.clusters.length} mark(s) with repeat occupations, grouped ${grouping === 'name'
+                ? 'by point name' : `within ${radius} m`}; ${analysis.singles} point(s) occupied once.</p>
+        `;
+
+        if (analysis.clusters.length === 0) {
+            container.appendChild(section);
+            return;
+        }
+
+        const summary = document.createElement('table');
+        summary.className = 'condensed-table';
+        summary.innerHTML = `
+            <tr>
+                <th>Mark</th>
+                <th>Occupations</th>
+                <th>Mean Position</th>
+                <th>Mean Elevation</th>
+                <th>σN</th>
+                <th>σE</th>
+                <th>σU</th>
+                <th>Horizontal RMS</th>
+                <th>Vertical RMS</th>
+                <th>CEP</th>
+                <th>2DRMS</th>
+                <th>Survey Grade</th>
+            </tr>
+            ${analysis.clusters.map(cluster => `
+                <tr>
+                    <td>${this.escapeHTML(cluster.name)}</td>
+                    <td>${cluster.count}</td>
+                    <td>${cluster.mean.lat.toFixed(9)}, ${cluster.mean.lon.toFixed(9)}</td>
+                    <td>${cluster.mean.elevation !== null ? `${cluster.mean.elevation.toFixed(4)} m (${cluster.heightType})` : '—'}</td>
+                    <td>${format(cluster.sigmaNorth)}</td>
+                    <td>${format(cluster.sigmaEast)}</td>
+                    <td>${format(cluster.sigmaUp)}</td>
+                    <td>${format(cluster.horizontalRMS)}</td>
+                    <td>${format(cluster.verticalRMS)}</td>
+                    <td>${format(cluster.cep)}</td>
+                    <td>${format(cluster.drms2)}</td>
+                    <td>${this.getDistanceAssessment(cluster.drms2, cluster.sigmaUp !== null ? 1.96 * cluster.sigmaUp : null)}</td>
+                </tr>`).join('')}
+        `;
+        section.appendChild(summary);
+
+        analysis.clusters.forEach(cluster => {
+            const heading = document.createElement('h4');
+            heading.textContent = `${cluster.name} — Residuals from the Mean`;
+
+            const table = document.createElement('table');
+            table.className = 'condensed-table';
+            table.innerHTML = `
+                <tr><th>Occupation</th><th>ΔN</th><th>ΔE</th><th>ΔU</th><th>Horizontal</th><th>Outlier</th></tr>
+                ${cluster.residuals.map((residual, index) => {
+                    const pointIndex = cluster.indexes[index];
+                    const flags = [residual.horizontalOutlier ? 'horizontal' : '', residual.verticalOutlier ? 'vertical' : '']
+                        .filter(Boolean).join(', ');
+                    return `
+                        <tr class="${flags ? 'cluster-outlier' : ''}">
+                            <td>${this.escapeHTML(coordinates[pointIndex].name || `Point ${pointIndex + 1}`)}</td>
+                            <td>${format(residual.north)}</td>
+                            <td>${format(residual.east)}</td>
+                            <td>${format(residual.up)}</td>
+                            <td>${format(residual.horizontal)}</td>
+                            <td>${flags ? `⚠️ ${flags}` : cluster.count < 3 ? 'n/a (2 occupations)' : ''}</td>
+                        </tr>`;
+                }).join('')}
+            `;
+
+            section.appendChild(heading);
+            section.appendChild(table);
+        });
+
+        container.appendChild(section);
+    }
+
+    /**
+     * Format a traverse precision ratio
+     * @param {number} ratio - Traverse length divided by linear misclosure
+     * @returns {string} - e.g. 1:45,231
+     */
+    formatPrecisionRatio(ratio) {
+        return isFinite(ratio) ? `1:${Math.round(ratio).toLocaleString('en-US')}` : 'Exact closure';
+    }
+
+    /**
+     * Get the direction between two points: true forward and back azimuths from the ellipsoidal
+     * inverse, plus grid azimuths when a grid is chosen under "Grid Azimuths & Distances" and magnetic
+     * azimuths when a date is entered under "Magnetic Bearings Date"
+     * @param {Object} coord1 - From coordinate
+     * @param {Object} coord2 - To coordinate
+     * @returns {Object|null} - {forward, reverse, grid: {name, forward, reverse, convergence1, convergence2} or null,
+     *                          magnetic: see getPairMagneticAzimuths()}, or null for coincident points
+     */
+    getPairDirection(coord1, coord2) {
+        const inverse = this.distanceCalculator.calculateGeodesicInverse(coord1.lat, coord1.lon, coord2.lat, coord2.lon);
+        if (!inverse || inverse.meters === 0) {
+            return null;
+        }
+
+        const direction = { forward: inverse.forwardAzimuth, reverse: inverse.reverseAzimuth, grid: null, magnetic: null };
+        direction.magnetic = this.getPairMagneticAzimuths(coord1, coord2, direction);
+        const gridType = document.getElementById('azimuth-grid').value;
+        if (gridType === 'none') {
+            return direction;
+        }
+
+        // Grid azimuths use the zone of the From point, and the convergence at each end of the line
+        const grid = this.getGridProjection(gridType, coord1);
+        if (typeof grid === 'string') {
+            return direction;
+        }
+        const convergence1 = grid.convergence(coord1.lat, coord1.lon);
+        const convergence2 = grid.convergence(coord2.lat, coord2.lon);
+        const forward = this.distanceCalculator.fromTrueAzimuth(direction.forward, 'grid', { convergence: convergence1 });
+        const reverse = this.distanceCalculator.fromTrueAzimuth(direction.reverse, 'grid', { convergence: convergence2 });
+        if (forward !== null && reverse !== null) {
+            direction.grid = { name: grid.name, forward, reverse, convergence1, convergence2 };
+        }
+        return direction;
+    }
+
+    /**
+     * Magnetic forward and back azimuths of a pair on the date under "Magnetic Bearings Date", using the
+     * declination at each end of the line
+     * @param {Object} coord1 - From coordinate
+     * @param {Object} coord2 - To coordinate
+     * @param {Object} direction - True {forward, reverse} azimuths
+     * @returns {Object|null} - {forward, reverse, declination1, declination2, model, date}, or null when no
+     *                          date is entered or no model covers it
+     */
+    getPairMagneticAzimuths(coord1, coord2, direction) {
+        const date = this.readMagneticDate('magnetic-bearing-date');
+        if (!date || typeof date === 'string') {
+            return null;
+        }
+
+        const field1 = this.magneticModel.calculate(coord1.lat, coord1.lon, coord1.elevation || 0, date.year);
+        const field2 = this.magneticModel.calculate(coord2.lat, coord2.lon, coord2.elevation || 0, date.year);
+        if (!field1 || !field2) {
+            return null;
+        }
+
+        return {
+            forward: this.distanceCalculator.fromTrueAzimuth(direction.forward, 'magnetic', { declination: field1.declination }),
+            reverse: this.distanceCalculator.fromTrueAzimuth(direction.reverse, 'magnetic', { declination: field2.declination }),
+            declination1: field1.declination,
+            declination2: field2.declination,
+            model: field1.model,
+            date: date.label
+        };
+    }
+
+    /**
+     * Reduce the horizontal distance of a pair to ground, and to grid when a grid is chosen under
+     * "Grid Azimuths & Distances", using the zone of the From point as getPairDirection() does
+     * @param {Object} coord1 - From coordinate
+     * @param {Object} coord2 - To coordinate
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
+     * @returns {Object|null} - DistanceCalculator.calculateGridGroundDistances() result with the grid name
+     *                          (null without a grid), or null if the positions are invalid
+     */
+    getPairReduction(coord1, coord2, method) {
+        const gridType = document.getElementById('azimuth-grid').value;
+        const grid = gridType === 'none' ? null : this.getGridProjection(gridType, coord1);
+        const projection = grid && typeof grid !== 'string' ? grid : null;
+
+        const reduction = this.distanceCalculator.calculateGridGroundDistances(
+            coord1, coord2, projection ? projection.scale : null, method
+        );
+        if (!reduction) {
+            return null;
+        }
+        return { ...reduction, gridName: projection && reduction.grid !== null ? projection.name : null };
+    }
+
+    /**
+     * Table header cells for the ground and grid distance columns
+     * @returns {string} - HTML
+     */
+    getReductionHeaders() {
+        const gridHeaders = document.getElementById('azimuth-grid').value !== 'none'
+            ? '<th>Grid Distance</th><th>Combined Factor</th>'
+            : '';
+        return `<th>Ground Distance</th>${gridHeaders}`;
+    }
+
+    /**
+     * Table cells for the ground and grid distances of a pair, matching getReductionHeaders()
+     * @param {Object|null} reduction - Result of getPairReduction()
+     * @param {string} unitSystem - Unit system to use for display
+     * @returns {string} - HTML
+     */
+    getReductionCells(reduction, unitSystem) {
+        const format = (meters) => {
+            const formatted = this.formatDistanceWithDynamicUnits(meters / 1000, unitSystem);
+            return `${formatted.value} ${formatted.unit}`;
+        };
+        const hasGrid = reduction && reduction.grid !== null;
+        const gridCells = document.getElementById('azimuth-grid').value !== 'none'
+            ? `<td>${hasGrid ? format(reduction.grid) : '—'}</td><td>${hasGrid ? reduction.combinedFactor.toFixed(8) : '—'}</td>`
+            : '';
+        return `<td>${reduction ? format(reduction.ground) : '—'}</td>${gridCells}`;
+    }
+
+    /**
+     * Format an azimuth in DMS with its decimal value
+     * @param {number} azimuth - Azimuth in decimal degrees
+     * @returns {string} - HTML
+     */
+    formatAzimuthCell(azimuth) {
+        return `${this.converter.formatAzimuth(azimuth)}<br><span class="azimuth-decimal">${azimuth.toFixed(6)}°</span>`;
+    }
+
+    /**
+     * Format a meridian convergence angle with its sign
+     * @param {number} convergence - Convergence in decimal degrees
+     * @returns {string} - e.g. −1° 19' 24.2"
+     */
+    formatConvergence(convergence) {
+        return `${convergence < 0 ? '−' : '+'}${this.converter.formatAngleDMS(Math.abs(convergence))}`;
+    }
+
+    /**
+     * Header cells for the direction columns of the condensed and path segment tables
+     * @returns {string} - HTML
+     */
+    getDirectionHeaders() {
+        const showGrid = document.getElementById('azimuth-grid').value !== 'none';
+        const showMagnetic = this.readMagneticDate('magnetic-bearing-date') !== null;
+        return `
+            <th>Forward Azimuth</th>
+            <th>Back Azimuth</th>
+            <th>Bearing</th>
+            ${showGrid ? '<th>Grid Azimuth (Convergence)</th>' : ''}
+            ${showMagnetic ? '<th>Magnetic Bearing (Declination)</th>' : ''}
+        `;
+    }
+
+    /**
+     * Direction cells matching getDirectionHeaders()
+     * @param {Object|null} direction - Result of getPairDirection()
+     * @returns {string} - HTML
+     */
+    getDirectionCells(direction) {
+        const showGrid = document.getElementById('azimuth-grid').value !== 'none';
+        const showMagnetic = this.readMagneticDate('magnetic-bearing-date') !== null;
+        if (!direction) {
+            return `<td>—</td><td>—</td><td>—</td>${showGrid ? '<td>—</td>' : ''}${showMagnetic ? '<td>—</td>' : ''}`;
+        }
+
+        let gridCell = '';
+        if (showGrid) {
+            gridCell = direction.grid
+                ? `<td>${this.formatAzimuthCell(direction.grid.forward)}<br><span class="azimuth-decimal">γ ${this.formatConvergence(direction.grid.convergence1)}</span></td>`
+                : '<td>—</td>';
+        }
+
+        let magneticCell = '';
+        if (showMagnetic) {
+            magneticCell = direction.magnetic
+                ? `<td>${this.converter.formatBearing(direction.magnetic.forward)}<br><span class="azimuth-decimal">δ ${this.formatDeclination(direction.magnetic.declination1)}</span></td>`
+                : '<td>—</td>';
+        }
+
+        return `
+            <td>${this.formatAzimuthCell(direction.forward)}</td>
+            <td>${this.formatAzimuthCell(direction.reverse)}</td>
+            <td>${this.converter.formatBearing(direction.forward)}</td>
+            ${gridCell}
+            ${magneticCell}
+        `;
+    }
+
+    /**
+     * Build the direction step of the detailed breakdown
+     * @param {Object|null} direction - Result of getPairDirection()
+     * @param {string} name1 - From point name
+     * @param {string} name2 - To point name
+     * @returns {string} - HTML
+     */
+    buildDirectionTable(direction, name1, name2) {
+        if (!direction) {
+            return '<p>The points coincide, so there is no direction between them.</p>';
+        }
+
+        const row = (label, azimuth) => `
+            <tr>
+                <td>${label}</td>
+                <td>${azimuth.toFixed(8)}°</td>
+                <td>${this.converter.formatAzimuth(azimuth)}</td>
+                <td>${this.converter.formatBearing(azimuth)}</td>
+            </tr>`;
+
+        let rows = row(`Forward (${name1} → ${name2})`, direction.forward) +
+            row(`Back (${name2} → ${name1})`, direction.reverse);
+        if (direction.grid) {
+            rows += row(`Grid forward, γ ${this.formatConvergence(direction.grid.convergence1)}`, direction.grid.forward) +
+                row(`Grid back, γ ${this.formatConvergence(direction.grid.convergence2)}`, direction.grid.reverse);
+        }
+        if (direction.magnetic) {
+            rows += row(`Magnetic forward, δ ${this.formatDeclination(direction.magnetic.declination1)}`, direction.magnetic.forward) +
+                row(`Magnetic back, δ ${this.formatDeclination(direction.magnetic.declination2)}`, direction.magnetic.reverse);
+        }
+
+        return `
+            <table class="summary-table">
+                <tr>
+                    <th>Direction</th>
+                    <th>Azimuth (decimal)</th>
+                    <th>Azimuth (DMS)</th>
+                    <th>Bearing</th>
+                </tr>
+                ${rows}
+            </table>
+            <p>Azimuths are from true (geodetic) north on the ${this.datums.getActiveEllipsoid().name} ellipsoid${direction.grid
+                ? `; grid azimuths are from grid north in ${direction.grid.name} (grid = true − γ, without the arc-to-chord correction)`
+                : ''}${direction.magnetic
+                ? `; magnetic azimuths are from magnetic north on ${direction.magnetic.date} by ${this.escapeHTML(direction.magnetic.model)} (magnetic = true − δ, east declination positive)`
+                : ''}.</p>
+        `;
     }
 
     /**
@@ -337,41 +1869,33 @@ class GPSCalculatorApp {
      * @param {number} point1 - Point 1 number
      * @param {number} point2 - Point 2 number
      * @param {string} unitSystem - Unit system to use for display
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
      * @returns {HTMLElement} - Detailed calculation element
      */
-    calculateDetailedDistance(coord1, coord2, point1, point2, unitSystem = 'meters') {
+    calculateDetailedDistance(coord1, coord2, point1, point2, unitSystem = 'meters', method = this.distanceCalculator.distanceMethod) {
         const calcDiv = document.createElement('div');
         calcDiv.className = 'calculation-breakdown';
         
-        // Step 1: Compute horizontal differences
-        const deltaLat = coord2.lat - coord1.lat;
-        const deltaLon = coord2.lon - coord1.lon;
-        
-        // Calculate meters per degree at this latitude
-        const latRad = coord1.lat * Math.PI / 180;
-        const metersPerDegreeLat = 111132.92 - 559.82 * Math.cos(2 * latRad) + 1.175 * Math.cos(4 * latRad);
-        const metersPerDegreeLon = 111412.84 * Math.cos(latRad) - 93.5 * Math.cos(3 * latRad);
-        
-        // Convert to meters
-        const deltaLatMeters = deltaLat * metersPerDegreeLat;
-        const deltaLonMeters = deltaLon * metersPerDegreeLon;
-        
-        // Calculate horizontal distance
-        const horizontalDistance = Math.sqrt(deltaLatMeters * deltaLatMeters + deltaLonMeters * deltaLonMeters);
-        
-        // Step 2: Compute vertical difference
-        const deltaHeight = coord2.elevation - coord1.elevation;
-        
-        // Step 3: Calculate 3D distance
-        const distance3D = Math.sqrt(horizontalDistance * horizontalDistance + deltaHeight * deltaHeight);
+        // Step 1: ECEF positions rotated into east/north/up at the first point, on a common height type
+        const geometry = this.getPairGeometry(coord1, coord2, method);
+        const ecef1 = this.datums.toECEF(coord1.lat, coord1.lon, geometry.elevation1);
+        const ecef2 = this.datums.toECEF(coord2.lat, coord2.lon, geometry.elevation2);
+        const horizontalDistance = geometry.horizontal;
+        const deltaHeight = geometry.deltaHeight;
+        const distance3D = geometry.slope;
+        const ellipsoidName = this.datums.getActiveEllipsoid().name;
+        const xyz = (ecef) => `X = ${ecef.x.toFixed(4)}, Y = ${ecef.y.toFixed(4)}, Z = ${ecef.z.toFixed(4)} m`;
         
         // Format results using selected unit system
         const horizontalFormatted = this.formatDistanceWithDynamicUnits(horizontalDistance / 1000, unitSystem);
         const verticalFormatted = this.formatDistanceWithDynamicUnits(Math.abs(deltaHeight) / 1000, unitSystem);
         const totalFormatted = this.formatDistanceWithDynamicUnits(distance3D / 1000, unitSystem);
         
-        const name1 = coord1.name || `Point ${point1}`;
-        const name2 = coord2.name || `Point ${point2}`;
+        // Names come from typed, imported and project files, so they are escaped before building markup
+        const name1 = this.escapeHTML(coord1.name || `Point ${point1}`);
+        const name2 = this.escapeHTML(coord2.name || `Point ${point2}`);
+        const direction = this.getPairDirection(coord1, coord2);
+        const reduction = this.getPairReduction(coord1, coord2, method);
         
         calcDiv.innerHTML = `
             <div class="calculation-header">
@@ -380,38 +1904,55 @@ class GPSCalculatorApp {
             
             <div class="calculation-steps">
                 <div class="step collapsible collapsed">
-                    <h5 class="collapsible-header">🔹 Step 1 — Compute Horizontal Difference <span class="toggle-icon">▼</span></h5>
+                    <h5 class="collapsible-header">🔹 Step 1 — Compute Local East, North, Up <span class="toggle-icon">▼</span></h5>
                     <div class="collapsible-content">
-                        <p><strong>ΔLat</strong> = ${coord2.lat.toFixed(8)} – ${coord1.lat.toFixed(8)} = ${deltaLat.toFixed(8)}°</p>
-                        <p><strong>ΔLon</strong> = ${coord2.lon.toFixed(8)} – (${coord1.lon.toFixed(8)}) = ${deltaLon.toFixed(8)}°</p>
+                        <p>ECEF positions on the ${ellipsoidName} ellipsoid:</p>
+                        <p><strong>${name1}</strong>: ${xyz(ecef1)}</p>
+                        <p><strong>${name2}</strong>: ${xyz(ecef2)}</p>
+                        <p><strong>ΔX</strong> = ${(ecef2.x - ecef1.x).toFixed(4)} m, <strong>ΔY</strong> = ${(ecef2.y - ecef1.y).toFixed(4)} m, <strong>ΔZ</strong> = ${(ecef2.z - ecef1.z).toFixed(4)} m</p>
                         <br>
-                        <p>At latitude ${coord1.lat.toFixed(2)}° N:</p>
-                        <p>1° latitude ≈ ${Math.round(metersPerDegreeLat)} m</p>
-                        <p>1° longitude ≈ ${Math.round(metersPerDegreeLon)} m</p>
+                        <p>Rotated into the horizon plane at ${name1} (φ = ${coord1.lat.toFixed(8)}°, λ = ${coord1.lon.toFixed(8)}°):</p>
+                        <p><strong>E</strong> = −sin λ·ΔX + cos λ·ΔY = ${geometry.east.toFixed(4)} m</p>
+                        <p><strong>N</strong> = −sin φ cos λ·ΔX − sin φ sin λ·ΔY + cos φ·ΔZ = ${geometry.north.toFixed(4)} m</p>
+                        <p><strong>U</strong> = cos φ cos λ·ΔX + cos φ sin λ·ΔY + sin φ·ΔZ = ${geometry.up.toFixed(4)} m</p>
                         <br>
-                        <p>So:</p>
-                        <p><strong>ΔLat</strong> = ${deltaLat.toFixed(8)} × ${Math.round(metersPerDegreeLat)} ≈ ${deltaLatMeters.toFixed(4)} m</p>
-                        <p><strong>ΔLon</strong> = ${deltaLon.toFixed(8)} × ${Math.round(metersPerDegreeLon)} ≈ ${deltaLonMeters.toFixed(4)} m</p>
-                        <br>
-                        <p><strong>Horizontal offset</strong> = √(${deltaLatMeters.toFixed(4)}² + ${deltaLonMeters.toFixed(4)}²) ≈ ${horizontalDistance.toFixed(4)} m = <strong>${horizontalFormatted.value} ${horizontalFormatted.unit}</strong></p>
+                        <p><strong>Slope distance</strong> = √(ΔX² + ΔY² + ΔZ²) = ${distance3D.toFixed(4)} m = <strong>${totalFormatted.value} ${totalFormatted.unit}</strong></p>
+                        <p><strong>Zenith angle</strong> = atan2(√(E² + N²), U) = ${geometry.zenith !== null ? this.converter.formatAngleDMS(geometry.zenith) : '—'}</p>
+                        <p><strong>Horizontal distance</strong> (${this.describeDistanceMethod(method)}) = ${horizontalDistance.toFixed(4)} m = <strong>${horizontalFormatted.value} ${horizontalFormatted.unit}</strong></p>
                     </div>
                 </div>
                 
                 <div class="step collapsible collapsed">
                     <h5 class="collapsible-header">🔹 Step 2 — Compute Vertical Difference <span class="toggle-icon">▼</span></h5>
                     <div class="collapsible-content">
-                        <p><strong>ΔHeight</strong> = ${coord2.elevation.toFixed(3)} – ${coord1.elevation.toFixed(3)} = ${deltaHeight.toFixed(4)} m = <strong>${verticalFormatted.value} ${verticalFormatted.unit}</strong></p>
+                        ${geometry.converted
+                            ? `<p>Orthometric heights converted to ellipsoidal with ${this.escapeHTML(this.geoid.describe().name)} (h = H + N)</p>`
+                            : `<p>Both heights are ${geometry.heightType}</p>`}
+                        <p><strong>ΔHeight</strong> = ${geometry.elevation2.toFixed(3)} – ${geometry.elevation1.toFixed(3)} = ${deltaHeight.toFixed(4)} m = <strong>${verticalFormatted.value} ${verticalFormatted.unit}</strong></p>
+                        <p>Up differs from ΔHeight by the curvature of the ellipsoid between the points: ${(geometry.up - deltaHeight).toFixed(4)} m</p>
+                    </div>
+                </div>
+                
+                <div class="step">
+                    <h5>🔹 Step 3 — Direction</h5>
+                    ${this.buildDirectionTable(direction, name1, name2)}
+                </div>
+                
+                <div class="step collapsible collapsed">
+                    <h5 class="collapsible-header">🔹 Step 4 — Ground, Ellipsoid and Grid Distances <span class="toggle-icon">▼</span></h5>
+                    <div class="collapsible-content">
+                        ${this.buildReductionSteps(reduction, unitSystem)}
                     </div>
                 </div>
                 
                 <div class="step">
-                    <h5>🔹 Step 3 — Surveying Accuracy Assessment</h5>
+                    <h5>🔹 Step 5 — Surveying Accuracy Assessment</h5>
                     <table class="summary-table">
                         <tr>
                             <th>Comparison</th>
                             <th>Horizontal Diff</th>
                             <th>Vertical Diff</th>
-                            <th>3D Distance</th>
+                            <th>Slope (3D) Distance</th>
                             <th>Survey Grade</th>
                         </tr>
                         <tr>
@@ -419,18 +1960,20 @@ class GPSCalculatorApp {
                             <td>≈ ${horizontalFormatted.value} ${horizontalFormatted.unit}</td>
                             <td>≈ ${verticalFormatted.value} ${verticalFormatted.unit}</td>
                             <td>≈ ${totalFormatted.value} ${totalFormatted.unit}</td>
-                            <td>${this.getDistanceAssessment(horizontalDistance, Math.abs(deltaHeight))} <span class="standards-help" onclick="showStandardsPopup()">❓</span></td>
+                            <td>${this.getDistanceAssessment(horizontalDistance, Math.abs(deltaHeight))} <span class="standards-help">❓</span></td>
                         </tr>
                     </table>
                 </div>
                 
                 <div class="conclusion">
                     <h5>✅ Conclusion</h5>
-                    <p>${this.getConclusionText(horizontalDistance, Math.abs(deltaHeight), name1, name2)}</p>
+                    <p>${this.getConclusionText(horizontalDistance, Math.abs(deltaHeight), distance3D, name1, name2)}</p>
                 </div>
             </div>
         `;
         
+        calcDiv.querySelector('.standards-help').addEventListener('click', () => showStandardsPopup(this.accuracyStandards));
+
         // Add collapsible functionality
         calcDiv.querySelectorAll('.collapsible-header').forEach(header => {
             header.addEventListener('click', () => {
@@ -452,14 +1995,55 @@ class GPSCalculatorApp {
         return calcDiv;
     }
 
+    /**
+     * Build the ground and grid distance reduction of a pair for the detailed view
+     * @param {Object|null} reduction - Result of getPairReduction()
+     * @param {string} unitSystem - Unit system to use for display
+     * @returns {string} - HTML
+     */
+    buildReductionSteps(reduction, unitSystem) {
+        if (!reduction) {
+            return '<p>Ground and grid distances are not available for these positions</p>';
+        }
+
+        const format = (meters) => {
+            const formatted = this.formatDistanceWithDynamicUnits(meters / 1000, unitSystem);
+            return `${meters.toFixed(4)} m = <strong>${formatted.value} ${formatted.unit}</strong>`;
+        };
+
+        let html = `
+            <p><strong>Ellipsoid distance</strong> = ${format(reduction.ellipsoid)}</p>
+            <p><strong>Mean ellipsoidal height</strong> h = ${reduction.meanHeight.toFixed(3)} m${reduction.ellipsoidalHeights ? '' : ' ⚠️ orthometric heights used (outside geoid coverage)'}</p>
+            <p><strong>Gaussian mean radius</strong> R = √(M·N) at the midpoint = ${reduction.radius.toFixed(3)} m</p>
+            <p><strong>Elevation factor</strong> EF = R / (R + h) = ${reduction.elevationFactor.toFixed(8)}</p>
+            <p><strong>Ground distance</strong> = ellipsoid / EF = ${format(reduction.ground)}</p>
+        `;
+
+        if (reduction.grid === null) {
+            html += '<p>Select a grid under "Grid Azimuths & Distances" for the scale factor, combined factor and grid distance</p>';
+            return html;
+        }
+
+        html += `
+            <br>
+            <p>Point scale factors on ${reduction.gridName}:</p>
+            <p><strong>k₁</strong> = ${reduction.pointScale1.toFixed(8)}, <strong>kₘ</strong> = ${reduction.pointScaleMid.toFixed(8)}, <strong>k₂</strong> = ${reduction.pointScale2.toFixed(8)}</p>
+            <p><strong>Line scale factor</strong> k = (k₁ + 4kₘ + k₂) / 6 = ${reduction.lineScale.toFixed(8)}</p>
+            <p><strong>Combined factor</strong> CF = k × EF = ${reduction.combinedFactor.toFixed(8)}</p>
+            <p><strong>Grid distance</strong> = ellipsoid × k = ground × CF = ${format(reduction.grid)}</p>
+        `;
+        return html;
+    }
+
     /**
      * Display condensed calculations in a single table
      * @param {Array} coordinates - Array of coordinates
      * @param {HTMLElement} container - Container to append results to
-     * @param {boolean} isReferenceMode - Whether to use reference point mode
+     * @param {Array} pairs - [i, j] index pairs to list
      * @param {string} unitSystem - Unit system to use for display
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
      */
-    displayCondensedCalculations(coordinates, container, isReferenceMode, unitSystem = 'meters') {
+    displayCondensedCalculations(coordinates, container, pairs, unitSystem = 'meters', method = this.distanceCalculator.distanceMethod) {
         const condensedSection = document.createElement('div');
         condensedSection.className = 'condensed-calculations';
         condensedSection.innerHTML = '<h3>Condensed Distance Calculations</h3>';
@@ -472,31 +2056,22 @@ class GPSCalculatorApp {
         headerRow.innerHTML = `
             <th>From</th>
             <th>To</th>
+            <th>East</th>
+            <th>North</th>
+            <th>Up</th>
             <th>Horizontal Distance</th>
+            ${this.getReductionHeaders()}
             <th>Vertical Distance</th>
-            <th>3D Distance</th>
+            <th>Slope (3D) Distance</th>
+            <th>Zenith Angle</th>
+            ${this.getDirectionHeaders()}
+            <th>Survey Grade</th>
         `;
         table.appendChild(headerRow);
 
-        if (isReferenceMode) {
-            const referenceIndex = parseInt(document.getElementById('reference-point').value);
-            const referenceCoord = coordinates[referenceIndex];
-            
-            for (let i = 0; i < coordinates.length; i++) {
-                if (i !== referenceIndex) {
-                    const row = this.createCondensedRow(referenceCoord, coordinates[i], referenceIndex + 1, i + 1, unitSystem);
-                    table.appendChild(row);
-                }
-            }
-        } else {
-            // All pairwise comparisons
-            for (let i = 0; i < coordinates.length; i++) {
-                for (let j = i + 1; j < coordinates.length; j++) {
-                    const row = this.createCondensedRow(coordinates[i], coordinates[j], i + 1, j + 1, unitSystem);
-                    table.appendChild(row);
-                }
-            }
-        }
+        pairs.forEach(([i, j]) => {
+            table.appendChild(this.createCondensedRow(coordinates[i], coordinates[j], i + 1, j + 1, unitSystem, method));
+        });
 
         condensedSection.appendChild(table);
         container.appendChild(condensedSection);
@@ -509,145 +2084,161 @@ class GPSCalculatorApp {
      * @param {number} point1 - Point 1 number
      * @param {number} point2 - Point 2 number
      * @param {string} unitSystem - Unit system to use for display
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
      * @returns {HTMLElement} - Table row element
      */
-    createCondensedRow(coord1, coord2, point1, point2, unitSystem = 'meters') {
+    createCondensedRow(coord1, coord2, point1, point2, unitSystem = 'meters', method = this.distanceCalculator.distanceMethod) {
         const row = document.createElement('tr');
         
         // Calculate distances
-        const deltaLat = coord2.lat - coord1.lat;
-        const deltaLon = coord2.lon - coord1.lon;
-        
-        const latRad = coord1.lat * Math.PI / 180;
-        const metersPerDegreeLat = 111132.92 - 559.82 * Math.cos(2 * latRad) + 1.175 * Math.cos(4 * latRad);
-        const metersPerDegreeLon = 111412.84 * Math.cos(latRad) - 93.5 * Math.cos(3 * latRad);
-        
-        const deltaLatMeters = deltaLat * metersPerDegreeLat;
-        const deltaLonMeters = deltaLon * metersPerDegreeLon;
-        const horizontalDistance = Math.sqrt(deltaLatMeters * deltaLatMeters + deltaLonMeters * deltaLonMeters);
-        const deltaHeight = coord2.elevation - coord1.elevation;
-        const distance3D = Math.sqrt(horizontalDistance * horizontalDistance + deltaHeight * deltaHeight);
+        const geometry = this.getPairGeometry(coord1, coord2, method);
+        const deltaHeight = geometry.deltaHeight;
         
         // Format results using selected unit system
-        const horizontalFormatted = this.formatDistanceWithDynamicUnits(horizontalDistance / 1000, unitSystem);
+        const horizontalFormatted = this.formatDistanceWithDynamicUnits(geometry.horizontal / 1000, unitSystem);
         const verticalFormatted = this.formatDistanceWithDynamicUnits(Math.abs(deltaHeight) / 1000, unitSystem);
-        const totalFormatted = this.formatDistanceWithDynamicUnits(distance3D / 1000, unitSystem);
+        const totalFormatted = this.formatDistanceWithDynamicUnits(geometry.slope / 1000, unitSystem);
         
-        const name1 = coord1.name || `Point ${point1}`;
-        const name2 = coord2.name || `Point ${point2}`;
+        // Names come from typed, imported and project files, so they are escaped before building markup
+        const name1 = this.escapeHTML(coord1.name || `Point ${point1}`);
+        const name2 = this.escapeHTML(coord2.name || `Point ${point2}`);
         
         row.innerHTML = `
             <td>${name1}</td>
             <td>${name2}</td>
+            <td>${this.formatSignedDistance(geometry.east, unitSystem)}</td>
+            <td>${this.formatSignedDistance(geometry.north, unitSystem)}</td>
+            <td>${this.formatSignedDistance(geometry.up, unitSystem)}</td>
             <td>${horizontalFormatted.value} ${horizontalFormatted.unit}</td>
+            ${this.getReductionCells(this.getPairReduction(coord1, coord2, method), unitSystem)}
             <td>${verticalFormatted.value} ${verticalFormatted.unit}</td>
             <td>${totalFormatted.value} ${totalFormatted.unit}</td>
+            <td>${geometry.zenith !== null ? this.converter.formatAngleDMS(geometry.zenith) : '—'}</td>
+            ${this.getDirectionCells(this.getPairDirection(coord1, coord2))}
+            <td>${this.getDistanceAssessment(geometry.horizontal, Math.abs(deltaHeight))}</td>
         `;
         
         return row;
     }
 
+    /**
+     * Compute the east/north/up vector, horizontal and slope distances and zenith angle of a pair,
+     * as shown in the detailed and condensed views. Missing elevations count as 0 m, as in the distance matrix.
+     * @param {Object} coord1 - First coordinate
+     * @param {Object} coord2 - Second coordinate
+     * @param {string} method - Horizontal distance method ('vincenty' or 'haversine')
+     * @returns {Object} - See DistanceCalculator.calculatePairGeometry()
+     */
+    getPairGeometry(coord1, coord2, method) {
+        const geometry = this.distanceCalculator.calculatePairGeometry(coord1, coord2, method);
+        if (geometry) {
+            return geometry;
+        }
+
+        // handleDistanceCalculation rejects mixed types without geoid coverage, so this is a safety net
+        // that uses the heights as they are
+        return {
+            ...this.distanceCalculator.calculatePairGeometry(
+                { ...coord1, heightType: 'ellipsoidal' }, { ...coord2, heightType: 'ellipsoidal' }, method
+            ),
+            heightType: 'mixed'
+        };
+    }
+
+    /**
+     * Describe a horizontal distance method for the detailed view
+     * @param {string} method - 'vincenty' or 'haversine'
+     * @returns {string} - Description
+     */
+    describeDistanceMethod(method) {
+        return method === 'haversine'
+            ? `spherical Haversine, R = ${this.distanceCalculator.earthRadiusKm} km`
+            : `geodesic on the ${this.datums.getActiveEllipsoid().name} ellipsoid`;
+    }
+
+    /**
+     * Format a signed distance with dynamic units
+     * @param {number} meters - Distance in meters
+     * @param {string} unitSystem - Unit system to use for display
+     * @returns {string} - e.g. "−1.2345 cm"
+     */
+    formatSignedDistance(meters, unitSystem = 'meters') {
+        const formatted = this.formatDistanceWithDynamicUnits(Math.abs(meters) / 1000, unitSystem);
+        return `${meters < 0 ? '−' : ''}${formatted.value} ${formatted.unit}`;
+    }
+
     /**
      * Update the reference point selector options
      */
     updateReferencePointSelector() {
         const selector = document.getElementById('reference-point');
-        const rows = document.querySelectorAll('.coordinate-row');
+        const previousOption = selector.options[selector.selectedIndex];
+        const previousRow = previousOption ? this.referenceRows[selector.selectedIndex] : null;
+        const rows = this.pointTable.rows;
         
         // Clear existing options
         selector.innerHTML = '';
+        this.referenceRows = [];
         
-        // Add options for each coordinate
-        rows.forEach((row, index) => {
-            const nameInput = row.querySelector('input[data-field="name"]');
-            const name = nameInput ? nameInput.value.trim() : '';
-            const displayName = name || `Point ${index + 1}`;
-            
+        // Add an option for each point used in calculations; values index those points, skipping disabled and incomplete rows
+        this.coordinates.forEach((coord, index) => {
+            if (coord.enabled === false || !this.hasValidPosition(coord)) {
+                return;
+            }
             const option = document.createElement('option');
-            option.value = index;
-            option.textContent = displayName;
+            option.value = selector.options.length;
+            option.dataset.row = index;
+            option.textContent = coord.name;
             selector.appendChild(option);
+            this.referenceRows.push(rows[index]);
         });
+
+        // Keep the same point selected when rows move; after an undo the rows are copies, so match the row position
+        const sameRow = this.referenceRows.indexOf(previousRow);
+        const samePosition = previousOption ? Array.from(selector.options).findIndex(option => option.dataset.row === previousOption.dataset.row) : -1;
+        if (sameRow >= 0 || samePosition >= 0) {
+            selector.selectedIndex = sameRow >= 0 ? sameRow : samePosition;
+        }
+    }
+
+    /**
+     * Get the coordinates used in calculations, in table order
+     * @returns {Array} - Enabled coordinates with a valid position
+     */
+    getCalculationCoordinates() {
+        return this.coordinates.filter(coord => coord.enabled !== false && this.hasValidPosition(coord));
     }
 
     /**
-     * Get distance assessment text based on surveying standards
+     * Get the survey grade of a pair under the selected accuracy standard
      * @param {number} horizontal - Horizontal distance in meters
-     * @param {number} vertical - Vertical distance in meters
-     * @returns {string} - Assessment text
+     * @param {number|null} vertical - Vertical distance in meters, or null when heights cannot be compared
+     * @returns {string} - Grade text, naming the horizontal and vertical grades when they differ
      */
     getDistanceAssessment(horizontal, vertical) {
-        const total = Math.sqrt(horizontal * horizontal + vertical * vertical);
-        
-        // Surveying accuracy standards (in meters)
-        if (total < 0.001) {
-            return "Exceptional precision — sub-millimeter accuracy (First Order Survey)";
-        } else if (total < 0.003) {
-            return "Excellent precision — sub-3mm accuracy (First Order Survey)";
-        } else if (total < 0.01) {
-            return "High precision — sub-1cm accuracy (Second Order Class I)";
-        } else if (total < 0.03) {
-            return "Good precision — sub-3cm accuracy (Second Order Class II)";
-        } else if (total < 0.1) {
-            return "Acceptable precision — sub-10cm accuracy (Third Order)";
-        } else if (total < 0.3) {
-            return "Moderate precision — sub-30cm accuracy (Third Order)";
-        } else if (total < 1) {
-            return "Low precision — sub-1m accuracy (Fourth Order)";
-        } else {
-            return "Poor precision — 1m+ accuracy (Below survey standards)";
-        }
+        return this.accuracyStandards.formatGrade(this.accuracyStandards.assess(horizontal, vertical));
     }
 
     /**
-     * Get conclusion text based on surveying standards
+     * Get conclusion text based on the selected accuracy standard
      * @param {number} horizontal - Horizontal distance in meters
      * @param {number} vertical - Vertical distance in meters
+     * @param {number} slope - Slope (3D) distance in meters
      * @param {number} point1 - Point 1 number
      * @param {number} point2 - Point 2 number
      * @returns {string} - Conclusion text
      */
-    getConclusionText(horizontal, vertical, point1, point2) {
+    getConclusionText(horizontal, vertical, slope, point1, point2) {
         const horizontalFormatted = this.formatDistanceWithDynamicUnits(horizontal / 1000);
         const verticalFormatted = this.formatDistanceWithDynamicUnits(vertical / 1000);
-        const total = Math.sqrt(horizontal * horizontal + vertical * vertical);
-        const totalFormatted = this.formatDistanceWithDynamicUnits(total / 1000);
-        
-        // Surveying accuracy assessment
-        let surveyGrade = "";
-        let recommendation = "";
-        
-        if (total < 0.001) {
-            surveyGrade = "First Order Survey Quality";
-            recommendation = "Suitable for high-precision engineering and geodetic control";
-        } else if (total < 0.003) {
-            surveyGrade = "First Order Survey Quality";
-            recommendation = "Excellent for precise engineering surveys";
-        } else if (total < 0.01) {
-            surveyGrade = "Second Order Class I Quality";
-            recommendation = "Good for most engineering and construction surveys";
-        } else if (total < 0.03) {
-            surveyGrade = "Second Order Class II Quality";
-            recommendation = "Acceptable for general construction and mapping";
-        } else if (total < 0.1) {
-            surveyGrade = "Third Order Quality";
-            recommendation = "Suitable for general mapping and lower-precision surveys";
-        } else if (total < 0.3) {
-            surveyGrade = "Third Order Quality";
-            recommendation = "Basic mapping accuracy";
-        } else if (total < 1) {
-            surveyGrade = "Fourth Order Quality";
-            recommendation = "Rough mapping only";
-        } else {
-            surveyGrade = "Below Survey Standards";
-            recommendation = "Not suitable for surveying applications";
-        }
-        
-        return `Surveying Assessment: <strong>${surveyGrade}</strong><br>
-                Total 3D distance: ~${totalFormatted.value} ${totalFormatted.unit}<br>
-                Horizontal difference: ~${horizontalFormatted.value} ${horizontalFormatted.unit}<br>
-                Vertical difference: ~${verticalFormatted.value} ${verticalFormatted.unit}<br>
-                <em>${recommendation}</em>`;
+        const totalFormatted = this.formatDistanceWithDynamicUnits(slope / 1000);
+        const assessment = this.accuracyStandards.assess(horizontal, vertical);
+        
+        return `Surveying Assessment: <strong>${assessment.grade}</strong> (${assessment.standard})<br>
+                Slope (3D) distance: ~${totalFormatted.value} ${totalFormatted.unit}<br>
+                Horizontal difference: ~${horizontalFormatted.value} ${horizontalFormatted.unit} (${assessment.horizontalGrade})<br>
+                Vertical difference: ~${verticalFormatted.value} ${verticalFormatted.unit} (${assessment.verticalGrade || 'no vertical requirement'})<br>
+                <em>${assessment.use}</em>`;
     }
 
     /**
@@ -739,6 +2330,66 @@ class GPSCalculatorApp {
         return card;
     }
 
+    /**
+     * Add the perimeter, area and self-intersection check of the polygon to the statistics
+     * @param {HTMLElement} statsGrid - Statistics grid
+     * @param {Object} polygon - Result of DistanceCalculator.calculatePolygon()
+     * @param {string} unitSystem - Unit system for the perimeter
+     */
+    appendPolygonCards(statsGrid, polygon, unitSystem) {
+        statsGrid.appendChild(this.createStatCard('Polygon Perimeter', polygon.perimeter.km, unitSystem));
+
+        const area = polygon.area;
+        // The area of a polygon with crossing sides is unreliable; the check card below says why
+        const areaLabel = polygon.isSimple ? 'Polygon Area' : '⚠️ Polygon Area';
+        statsGrid.appendChild(this.createTextStatCard(`${areaLabel} (sq m)`, `${area.squareMeters.toFixed(2)} m²`));
+        statsGrid.appendChild(this.createTextStatCard(`${areaLabel} (sq ft)`, `${area.squareFeet.toFixed(1)} ft²`));
+        statsGrid.appendChild(this.createTextStatCard(`${areaLabel} (acres)`, `${area.acres.toFixed(4)} ac`));
+        statsGrid.appendChild(this.createTextStatCard(`${areaLabel} (hectares)`, `${area.hectares.toFixed(4)} ha`));
+
+        statsGrid.appendChild(this.createTextStatCard(
+            'Self-Intersection Check',
+            polygon.isSimple ? '✅ None' : `⚠️ ${this.describeSelfIntersections(polygon)}`
+        ));
+    }
+
+    /**
+     * Create a statistics card showing preformatted text
+     * @param {string} label - Card label
+     * @param {string} text - Value text
+     * @returns {HTMLElement} - Card element
+     */
+    createTextStatCard(label, text) {
+        const card = document.createElement('div');
+        card.className = 'stat-item';
+
+        const valueDiv = document.createElement('div');
+        valueDiv.className = 'stat-value';
+        valueDiv.textContent = text;
+
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'stat-label';
+        labelDiv.textContent = label;
+
+        card.appendChild(valueDiv);
+        card.appendChild(labelDiv);
+
+        return card;
+    }
+
+    /**
+     * Describe the crossing edges of a polygon
+     * @param {Object} polygon - Result of DistanceCalculator.calculatePolygon()
+     * @returns {string} - e.g. "Edges 1→2 and 3→4 cross"
+     */
+    describeSelfIntersections(polygon) {
+        const crossings = polygon.selfIntersections.map(crossing =>
+            `${crossing.edge1.join('→')} and ${crossing.edge2.join('→')}`);
+        const shown = crossings.slice(0, 3).join('; ');
+        const more = crossings.length > 3 ? ` (+${crossings.length - 3} more)` : '';
+        return `Edges ${shown}${more} cross`;
+    }
+
     /**
      * Format distance with dynamic unit scaling based on selected unit system
      * @param {number} kmValue - Distance in kilometers
@@ -889,14 +2540,16 @@ class GPSCalculatorApp {
             return;
         }
 
-        let clipboardText = 'GPS Distance Calculation Results\n\n';
+        let clipboardText = 'GPS Distance Calculation Results\n';
+        clipboardText += `Datum: ${this.datums.describeActive()}\n`;
+        clipboardText += `Accuracy standard: ${this.accuracyStandards.describeActive()}\n\n`;
         
         // Add coordinate list
         clipboardText += 'Coordinates:\n';
         this.lastDistanceResults.coordinates.forEach((coord, index) => {
             clipboardText += `${coord.label}: ${coord.lat.toFixed(6)}, ${coord.lon.toFixed(6)}`;
             if (coord.elevation !== null && coord.elevation !== undefined) {
-                clipboardText += `, ${coord.elevation.toFixed(2)}m`;
+                clipboardText += `, ${coord.elevation.toFixed(2)}m ${coord.heightType || 'ellipsoidal'}`;
             }
             clipboardText += '\n';
         });
@@ -924,6 +2577,62 @@ class GPSCalculatorApp {
             clipboardText += `Average: ${avg3D.value} ${avg3D.unit}\n\n`;
         }
 
+        if (this.lastClusters && this.lastClusters.clusters.length > 0) {
+            clipboardText += 'Repeat Occupations:\n';
+            this.lastClusters.clusters.forEach(cluster => {
+                clipboardText += `${cluster.name} (${cluster.count} occupations): mean ${cluster.mean.lat.toFixed(9)}, ${cluster.mean.lon.toFixed(9)}`;
+                if (cluster.mean.elevation !== null) {
+                    clipboardText += `, ${cluster.mean.elevation.toFixed(4)}m ${cluster.heightType}`;
+                }
+                clipboardText += `\n  σN ${cluster.sigmaNorth.toFixed(4)} m, σE ${cluster.sigmaEast.toFixed(4)} m`;
+                if (cluster.sigmaUp !== null) {
+                    clipboardText += `, σU ${cluster.sigmaUp.toFixed(4)} m`;
+                }
+                clipboardText += `, CEP ${cluster.cep.toFixed(4)} m, 2DRMS ${cluster.drms2.toFixed(4)} m`;
+                const outliers = cluster.residuals.filter(residual => residual.horizontalOutlier || residual.verticalOutlier).length;
+                clipboardText += outliers > 0 ? `, ${outliers} outlier(s)\n` : '\n';
+            });
+            clipboardText += '\n';
+        }
+
+        if (this.lastTraverse) {
+            const { traverse, check } = this.lastTraverse;
+            clipboardText += `Traverse Closure (${traverse.rule === 'transit' ? 'transit' : 'compass'} rule):\n`;
+            clipboardText += `Length: ${traverse.totalLength.toFixed(4)} m\n`;
+            clipboardText += `Misclosure: N ${traverse.misclosure.north.toFixed(4)} m, E ${traverse.misclosure.east.toFixed(4)} m`;
+            if (traverse.misclosure.height !== null) {
+                clipboardText += `, H ${traverse.misclosure.height.toFixed(4)} m`;
+            }
+            clipboardText += `\nLinear misclosure: ${traverse.misclosure.linear.toFixed(4)} m\n`;
+            clipboardText += `Precision: ${this.formatPrecisionRatio(traverse.precisionRatio)}\n`;
+            clipboardText += `${check.name}: horizontal ${check.horizontalPasses ? 'meets' : 'does not meet'}`;
+            if (check.verticalPasses !== null) {
+                clipboardText += `, vertical ${check.verticalPasses ? 'meets' : 'does not meet'}`;
+            }
+            clipboardText += '\nAdjusted coordinates:\n';
+            traverse.adjusted.forEach(point => {
+                clipboardText += `${point.name}: ${point.lat.toFixed(9)}, ${point.lon.toFixed(9)}`;
+                if (point.elevation !== null) {
+                    clipboardText += `, ${point.elevation.toFixed(4)}m`;
+                }
+                clipboardText += '\n';
+            });
+            clipboardText += '\n';
+        }
+
+        if (this.lastPolygon) {
+            const polygon = this.lastPolygon;
+            const perimeter = this.formatDistanceWithDynamicUnits(polygon.perimeter.km);
+            clipboardText += `Polygon (${polygon.vertexCount} corners):\n`;
+            clipboardText += `Perimeter: ${perimeter.value} ${perimeter.unit}\n`;
+            clipboardText += `Area: ${polygon.area.squareMeters.toFixed(2)} m², ${polygon.area.squareFeet.toFixed(1)} ft², ` +
+                `${polygon.area.acres.toFixed(4)} ac, ${polygon.area.hectares.toFixed(4)} ha\n`;
+            if (!polygon.isSimple) {
+                clipboardText += `Warning: ${this.describeSelfIntersections(polygon)}; the area is unreliable\n`;
+            }
+            clipboardText += '\n';
+        }
+
         try {
             await navigator.clipboard.writeText(clipboardText);
             this.showSuccess('Results copied to clipboard!');
@@ -932,6 +2641,411 @@ class GPSCalculatorApp {
         }
     }
 
+    /**
+     * Export distance results in the format chosen in the export selector
+     */
+    exportDistanceResults() {
+        if (!this.lastDistanceResults) {
+            this.showError('No results to export.');
+            return;
+        }
+
+        const format = document.getElementById('export-format').value;
+        const results = this.lastDistanceResults;
+        const baseName = `gps-distances-${new Date().toISOString().slice(0, 10)}`;
+
+        try {
+            if (format === 'csv') {
+                this.downloadFile(this.resultExporter.toCSV(results), `${baseName}.csv`, 'text/csv');
+            } else if (format === 'geojson') {
+                this.downloadFile(this.resultExporter.toGeoJSON(results), `${baseName}.geojson`, 'application/geo+json');
+            } else if (format === 'kml') {
+                this.downloadFile(this.resultExporter.toKML(results), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+            } else if (format === 'html') {
+                this.downloadFile(this.resultExporter.toHTMLReport(results, this.buildReportDetails(results)), `${baseName}.html`, 'text/html');
+            } else if (format === 'print') {
+                this.printReport(this.resultExporter.toHTMLReport(results, this.buildReportDetails(results)));
+                return;
+            }
+            this.showSuccess('Results exported.');
+        } catch (error) {
+            this.showError(`Unable to export results: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the detailed calculation breakdown of every pair for the report
+     * @param {Object} results - Distance results
+     * @returns {string} - Breakdown markup
+     */
+    buildReportDetails(results) {
+        const unitSystem = document.getElementById('unit-system').value;
+        const coordinates = results.coordinates;
+        let html = '';
+
+        for (let i = 0; i < coordinates.length; i++) {
+            for (let j = i + 1; j < coordinates.length; j++) {
+                html += this.calculateDetailedDistance(coordinates[i], coordinates[j], i + 1, j + 1, unitSystem, results.method).outerHTML;
+            }
+        }
+
+        return html;
+    }
+
+    /**
+     * Open a report in a new window and start printing, so it can be saved as PDF
+     * @param {string} html - Report document
+     */
+    printReport(html) {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            this.showError('Unable to open the report window. Allow pop-ups for this page or export the HTML report instead.');
+            return;
+        }
+
+        reportWindow.document.open();
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    }
+
+    /**
+     * Offer generated content as a file download
+     * @param {string} content - File contents
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Initialize the forward calculation with one leg
+     */
+    initializeForwardMode() {
+        this.addForwardLeg();
+    }
+
+    /**
+     * Add a leg row to the forward calculation
+     */
+    addForwardLeg() {
+        const legs = document.getElementById('forward-legs');
+        const row = document.createElement('div');
+        row.className = 'forward-leg-row';
+
+        row.innerHTML = `
+            <div class="coordinate-label">Leg ${legs.children.length + 1}</div>
+            <input type="text" class="coordinate-input" placeholder="Azimuth or bearing (45°30'15&quot;, N 45 30 15 E)" data-field="azimuth">
+            <input type="text" class="coordinate-input" placeholder="Horizontal distance" data-field="distance">
+            <input type="text" class="coordinate-input" placeholder="Vertical angle (optional, + up)" data-field="verticalAngle">
+        `;
+
+        legs.appendChild(row);
+    }
+
+    /**
+     * Remove the last leg row from the forward calculation
+     */
+    removeForwardLeg() {
+        const legs = document.getElementById('forward-legs');
+        if (legs.children.length <= 1) {
+            this.showError('At least one leg is required.');
+            return;
+        }
+        legs.removeChild(legs.lastElementChild);
+    }
+
+    /**
+     * Build the azimuth corrections for the selected azimuth reference
+     * @param {string} azimuthType - 'true', 'grid-utm', 'grid-stateplane' or 'magnetic'
+     * @param {Object} start - Start point {lat, lon}
+     * @returns {Function|string} - (lat, lon) => {convergence, declination}, or an error message
+     */
+    getForwardCorrections(azimuthType, start) {
+        if (azimuthType.startsWith('grid')) {
+            // Every leg stays in the start point's zone, as a traverse on one grid would
+            const grid = this.getGridProjection(azimuthType, start);
+            if (typeof grid === 'string') {
+                return grid;
+            }
+            return (lat, lon) => ({ convergence: grid.convergence(lat, lon) });
+        }
+
+        if (azimuthType === 'magnetic') {
+            const declinationText = document.getElementById('forward-declination').value.trim();
+            if (!declinationText) {
+                // Declination from the magnetic model at the start of each leg, today
+                const year = this.magneticModel.toDecimalYear(new Date());
+                if (!this.magneticModel.getModel(year)) {
+                    return 'The magnetic model does not cover today\'s date. Enter the magnetic declination (degrees, east positive).';
+                }
+                return (lat, lon) => ({ declination: this.magneticModel.calculate(lat, lon, 0, year).declination });
+            }
+
+            const declination = parseFloat(declinationText);
+            if (isNaN(declination)) {
+                return 'Enter the magnetic declination (degrees, east positive), or leave it blank to use the magnetic model.';
+            }
+            return () => ({ declination });
+        }
+
+        return () => ({});
+    }
+
+    /**
+     * Get the meridian convergence and point scale factor functions for a grid
+     * @param {string} gridType - 'grid-utm' (UTM zone of the reference point) or 'grid-stateplane' (selected zone)
+     * @param {Object} reference - Point that picks the UTM zone {lat, lon}
+     * @returns {Object|string} - {name, convergence: (lat, lon) => degrees or null, scale: (lat, lon) => k or null},
+     *                            or an error message
+     */
+    getGridProjection(gridType, reference) {
+        if (gridType === 'grid-utm') {
+            const referenceGrid = this.converter.convertToUTM(reference.lat, reference.lon);
+            if (!referenceGrid || referenceGrid.system !== 'UTM') {
+                return 'UTM grid azimuths are not available at this latitude.';
+            }
+            return {
+                name: `UTM zone ${referenceGrid.zone}`,
+                convergence: (lat, lon) => {
+                    const grid = this.converter.convertToUTM(lat, lon, referenceGrid.zone);
+                    return grid ? grid.convergence : null;
+                },
+                scale: (lat, lon) => {
+                    const grid = this.converter.convertToUTM(lat, lon, referenceGrid.zone);
+                    return grid ? grid.scale : null;
+                }
+            };
+        }
+
+        if (!this.converter.statePlaneZone) {
+            return 'Select a State Plane zone in the Coordinate Format Converter to use State Plane grid azimuths.';
+        }
+        return {
+            name: `SPCS 83 ${this.converter.statePlaneZones[this.converter.statePlaneZone].name}`,
+            convergence: (lat, lon) => {
+                const grid = this.converter.convertToStatePlane(lat, lon);
+                return grid ? grid.convergence : null;
+            },
+            scale: (lat, lon) => {
+                const grid = this.converter.convertToStatePlane(lat, lon);
+                return grid ? grid.scale : null;
+            }
+        };
+    }
+
+    /**
+     * Read the legs from the forward calculation table
+     * @param {string} azimuthType - Selected azimuth reference
+     * @param {string} unit - Distance unit
+     * @param {string} distanceType - 'ground', 'grid' or 'ellipsoid'
+     * @returns {Array|string} - Legs for DistanceCalculator.calculateForwardLegs(), or an error message
+     */
+    readForwardLegs(azimuthType, unit, distanceType) {
+        const legs = [];
+        const rows = document.querySelectorAll('.forward-leg-row');
+
+        for (let index = 0; index < rows.length; index++) {
+            const row = rows[index];
+            const azimuthText = row.querySelector('input[data-field="azimuth"]').value.trim();
+            const distanceText = row.querySelector('input[data-field="distance"]').value.trim();
+            const verticalText = row.querySelector('input[data-field="verticalAngle"]').value.trim();
+
+            const azimuth = this.parser.parseAzimuth(azimuthText);
+            if (azimuth === null) {
+                return `Leg ${index + 1}: "${azimuthText}" is not a valid azimuth or bearing.`;
+            }
+
+            const distance = parseFloat(distanceText);
+            if (isNaN(distance) || distance < 0) {
+                return `Leg ${index + 1}: "${distanceText}" is not a valid horizontal distance.`;
+            }
+
+            let verticalAngle = 0;
+            if (verticalText) {
+                const sign = verticalText.startsWith('-') ? -1 : 1;
+                const angle = this.parser.parseAzimuth(verticalText.replace(/^[+-]/, ''));
+                if (angle === null || angle >= 90) {
+                    return `Leg ${index + 1}: "${verticalText}" is not a valid vertical angle.`;
+                }
+                verticalAngle = sign * angle;
+            }
+
+            legs.push({
+                azimuth: azimuth,
+                azimuthType: azimuthType.startsWith('grid') ? 'grid' : azimuthType,
+                distance: this.distanceCalculator.convertElevation(distance, unit, 'meters'),
+                distanceType: distanceType,
+                verticalAngle: verticalAngle
+            });
+        }
+
+        return legs;
+    }
+
+    /**
+     * Compute the points at the end of each leg from the start point
+     */
+    handleForwardCalculation() {
+        const start = this.parser.parseCoordinateWithElevation(document.getElementById('forward-start').value.trim());
+        if (!start) {
+            this.showError('Unable to parse the start point. Please check your input.');
+            return;
+        }
+
+        const azimuthType = document.getElementById('forward-azimuth-type').value;
+        const unit = document.getElementById('forward-distance-unit').value;
+        const distanceType = document.getElementById('forward-distance-type').value;
+        const corrections = this.getForwardCorrections(azimuthType, start);
+        if (typeof corrections === 'string') {
+            this.showError(corrections);
+            return;
+        }
+
+        // Grid distances are reduced with the scale factor of the same zone the grid azimuths use
+        let getPointScale = null;
+        if (distanceType === 'grid') {
+            if (!azimuthType.startsWith('grid')) {
+                this.showError('Grid distances need a grid north Azimuth Reference to pick the grid.');
+                return;
+            }
+            getPointScale = this.getGridProjection(azimuthType, start).scale;
+        }
+
+        const legs = this.readForwardLegs(azimuthType, unit, distanceType);
+        if (typeof legs === 'string') {
+            this.showError(legs);
+            return;
+        }
+
+        const startPoint = {
+            name: 'Start',
+            lat: start.lat,
+            lon: start.lon,
+            elevation: start.elevation !== null && start.elevation !== undefined
+                ? this.distanceCalculator.convertElevation(start.elevation, unit, 'meters')
+                : null,
+            heightType: start.heightType || 'ellipsoidal'
+        };
+
+        const points = this.distanceCalculator.calculateForwardLegs(startPoint, legs, corrections, getPointScale);
+        if (!points) {
+            this.showError('Unable to compute the legs. Check the azimuths and distances, and that the points stay inside the selected grid zone.');
+            return;
+        }
+
+        this.forwardPoints = [startPoint].concat(points.map((point, index) => ({
+            ...point,
+            name: `Leg ${index + 1}`,
+            heightType: startPoint.heightType,
+            distance: legs[index].distance,
+            distanceType: distanceType
+        })));
+        this.displayForwardResults(unit, distanceType);
+    }
+
+    /**
+     * Show the computed forward points
+     * @param {string} unit - Distance and elevation unit chosen by the user
+     * @param {string} distanceType - 'ground', 'grid' or 'ellipsoid', as the distances were entered
+     */
+    displayForwardResults(unit, distanceType) {
+        const container = document.getElementById('forward-table');
+        const unitLabel = unit === 'meters' ? 'm' : unit === 'feet' ? 'ft' : 'usft';
+        const toUnit = (meters) => this.distanceCalculator.convertElevation(meters, 'meters', unit).toFixed(4);
+        const reduced = distanceType !== 'ellipsoid';
+        const distanceHeader = { ground: 'Ground Distance', grid: 'Grid Distance', ellipsoid: 'Ellipsoid Distance' }[distanceType];
+
+        const rows = this.forwardPoints.map((point, index) => {
+            const dms = this.converter.convertToDMS(point.lat, point.lon);
+            const isStart = index === 0;
+            const ellipsoidCell = reduced ? `<td>${isStart ? '' : toUnit(point.ellipsoidDistance) + ' ' + unitLabel}</td>` : '';
+            return `
+                <tr>
+                    <td>${this.escapeHTML(point.name)}</td>
+                    <td>${isStart ? '' : point.trueAzimuth.toFixed(8) + '°'}</td>
+                    <td>${isStart ? '' : toUnit(point.distance) + ' ' + unitLabel}</td>
+                    ${ellipsoidCell}
+                    <td>${isStart ? '' : toUnit(point.deltaHeight) + ' ' + unitLabel}</td>
+                    <td>${point.lat.toFixed(9)}, ${point.lon.toFixed(9)}<br>${dms.lat}, ${dms.lon}</td>
+                    <td>${point.elevation !== null ? toUnit(point.elevation) + ' ' + unitLabel : '-'}</td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="condensed-table">
+                <tr><th>Point</th><th>True Azimuth</th><th>${distanceHeader}</th>${reduced ? '<th>Ellipsoid Distance</th>' : ''}<th>ΔH</th><th>Position</th><th>Elevation</th></tr>
+                ${rows}
+            </table>
+        `;
+        document.getElementById('forward-results').style.display = 'block';
+    }
+
+    /**
+     * Copy the computed forward points to the clipboard
+     */
+    async copyForwardResults() {
+        if (!this.forwardPoints) {
+            this.showError('No computed points to copy.');
+            return;
+        }
+
+        let clipboardText = 'Forward Calculation\n';
+        clipboardText += `Datum: ${this.datums.describeActive()}\n\n`;
+        this.forwardPoints.forEach(point => {
+            clipboardText += `${point.name}: ${point.lat.toFixed(9)}, ${point.lon.toFixed(9)}`;
+            if (point.elevation !== null) {
+                clipboardText += `, ${point.elevation.toFixed(3)}m ${point.heightType}`;
+            }
+            if (point.trueAzimuth !== undefined) {
+                clipboardText += ` (true azimuth ${point.trueAzimuth.toFixed(6)}°, ${point.distance.toFixed(4)}m ${point.distanceType}`;
+                if (point.distanceType !== 'ellipsoid') {
+                    clipboardText += `, ${point.ellipsoidDistance.toFixed(4)}m ellipsoid`;
+                }
+                clipboardText += ')';
+            }
+            clipboardText += '\n';
+        });
+
+        try {
+            await navigator.clipboard.writeText(clipboardText);
+            this.showSuccess('Points copied to clipboard!');
+        } catch (err) {
+            this.fallbackCopyToClipboard(clipboardText);
+        }
+    }
+
+    /**
+     * Load the computed forward points into the distance calculator, e.g. to check a stakeout
+     */
+    useForwardPoints() {
+        if (!this.forwardPoints) {
+            this.showError('No computed points to use.');
+            return;
+        }
+
+        this.loadImportedCoordinates(
+            this.forwardPoints.map(point => ({
+                name: point.name,
+                lat: point.lat,
+                lon: point.lon,
+                elevation: point.elevation,
+                heightType: point.heightType
+            })),
+            `Loaded ${this.forwardPoints.length} computed point(s) into the distance calculator.`
+        );
+    }
+
     /**
      * Toggle between input modes
      * @param {string} mode - Mode ('paste' or 'manual')
@@ -950,127 +3064,91 @@ class GPSCalculatorApp {
     }
 
     /**
-     * Initialize manual mode with default rows
+     * Create the point table editor with two blank rows
      */
     initializeManualMode() {
-        this.addCoordinateRow();
-        this.addCoordinateRow();
+        this.pointTable = new PointTableEditor(document.getElementById('coordinates-table'));
+        this.pointTable.onChange = () => this.handlePointTableChange();
+        this.pointTable.onError = (message) => this.showError(message);
+        this.pointTable.setRows([null, null]);
+        this.pointTable.clearHistory();
     }
 
     /**
-     * Add a coordinate row to manual mode
-     * @param {Object} coord - Optional coordinate data
-     * @param {number} index - Optional index
+     * Add a blank row below the selected rows, or at the end when none are selected
      */
-    addCoordinateRow(coord = null, index = null) {
-        if (this.coordinates.length >= this.maxCoordinates) {
-            this.showError(`Maximum ${this.maxCoordinates} coordinates allowed.`);
-            return;
-        }
-
-        const table = document.getElementById('coordinates-table');
-        const rowIndex = index !== null ? index : this.coordinates.length;
-        
-        const row = document.createElement('div');
-        row.className = 'coordinate-row';
-        row.dataset.index = rowIndex;
-        
-        row.innerHTML = `
-            <div class="coordinate-label">Point ${rowIndex + 1}</div>
-            <input type="text" class="coordinate-input" placeholder="Name/ID (optional)" data-field="name" 
-                   value="${coord && coord.name ? coord.name : ''}">
-            <input type="text" class="coordinate-input" placeholder="Latitude" data-field="lat" 
-                   value="${coord ? coord.lat : ''}">
-            <input type="text" class="coordinate-input" placeholder="Longitude" data-field="lon" 
-                   value="${coord ? coord.lon : ''}">
-            <input type="text" class="coordinate-input" placeholder="Elevation" data-field="elevation" 
-                   value="${coord && coord.elevation ? coord.elevation : ''}">
-            <div class="elevation-unit-row">
-                <label><input type="radio" name="elevation-${rowIndex}" value="meters" checked> Meters</label>
-                <label><input type="radio" name="elevation-${rowIndex}" value="feet"> Feet</label>
-                <label><input type="radio" name="elevation-${rowIndex}" value="survey-feet"> Survey Ft</label>
-            </div>
-        `;
-        
-        table.appendChild(row);
-        
-        // Update reference point selector
-        this.updateReferencePointSelector();
-        
-        // Add event listeners for input changes
-        row.querySelectorAll('input[data-field]').forEach(input => {
-            input.addEventListener('input', () => this.updateCoordinatesFromManual());
-        });
-        
-        row.querySelectorAll('input[name^="elevation-"]').forEach(radio => {
-            radio.addEventListener('change', () => this.updateCoordinatesFromManual());
-        });
+    addCoordinateRow() {
+        const selection = this.pointTable.getSelection();
+        this.pointTable.insertRows(selection.length > 0 ? selection[selection.length - 1] + 1 : this.pointTable.rows.length);
+    }
 
-        if (coord) {
-            // Set elevation unit if coordinate has elevation
-            if (coord.elevation !== null && coord.elevation !== undefined) {
-                // Default to meters for parsed coordinates
-                row.querySelector('input[name="elevation-' + rowIndex + '"][value="meters"]').checked = true;
-            }
-        } else {
-            // Add to coordinates array for new rows
-            this.coordinates.push({ lat: null, lon: null, elevation: null });
+    /**
+     * Remove the selected rows, or the last row when none are selected
+     */
+    removeCoordinateRow() {
+        const selection = this.pointTable.getSelection();
+        try {
+            this.pointTable.deleteRows(selection.length > 0 ? selection : [this.pointTable.rows.length - 1]);
+        } catch (error) {
+            this.showError(error.message);
         }
     }
 
     /**
-     * Remove a coordinate row from manual mode
+     * Move the selected rows up or down one place
+     * @param {number} direction - -1 for up, 1 for down
      */
-    removeCoordinateRow() {
-        if (this.coordinates.length <= 2) {
-            this.showError('Minimum 2 coordinates required.');
-            return;
+    moveCoordinateRows(direction) {
+        try {
+            this.pointTable.moveSelection(direction);
+        } catch (error) {
+            this.showError(error.message);
         }
+    }
 
-        const table = document.getElementById('coordinates-table');
-        const lastRow = table.lastElementChild;
-        if (lastRow) {
-            table.removeChild(lastRow);
-            this.coordinates.pop();
-            this.updateCoordinateLabels();
+    /**
+     * Leave the selected rows out of calculations, or include them again if any are left out
+     */
+    toggleCoordinateRows() {
+        const selection = this.pointTable.getSelection();
+        if (selection.length === 0) {
+            this.showError('Select the rows to enable or disable.');
+            return;
         }
+        this.pointTable.setEnabled(selection, selection.some(index => !this.pointTable.rows[index].enabled));
     }
 
     /**
-     * Update coordinate labels after removal
+     * Refresh the coordinates, reference point and undo/redo buttons after the point table changes
      */
-    updateCoordinateLabels() {
-        const rows = document.querySelectorAll('.coordinate-row');
-        rows.forEach((row, index) => {
-            const label = row.querySelector('.coordinate-label');
-            label.textContent = `Point ${index + 1}`;
-            row.dataset.index = index;
-        });
+    handlePointTableChange() {
+        this.updateCoordinatesFromManual();
+        this.updateReferencePointSelector();
+        document.getElementById('undo-coordinate-btn').disabled = !this.pointTable.canUndo();
+        document.getElementById('redo-coordinate-btn').disabled = !this.pointTable.canRedo();
     }
 
     /**
      * Update coordinates array from manual input
      */
     updateCoordinatesFromManual() {
-        const rows = document.querySelectorAll('.coordinate-row');
-        
+        // Blank or unreadable cells are null; zero is a valid latitude, longitude or elevation
+        const toNumber = (text) => {
+            const value = parseFloat(text);
+            return isNaN(value) ? null : value;
+        };
+
         this.coordinates = [];
-        rows.forEach((row, index) => {
-            const nameInput = row.querySelector('input[data-field="name"]');
-            const latInput = row.querySelector('input[data-field="lat"]');
-            const lonInput = row.querySelector('input[data-field="lon"]');
-            const elevInput = row.querySelector('input[data-field="elevation"]');
-            const elevUnit = row.querySelector('input[name^="elevation-"]:checked');
-            
-            const name = nameInput.value.trim();
-            const lat = parseFloat(latInput.value) || null;
-            const lon = parseFloat(lonInput.value) || null;
-            let elevation = parseFloat(elevInput.value) || null;
+        this.pointTable.rows.forEach((row, index) => {
+            const name = row.name.trim();
+            const lat = toNumber(row.lat);
+            const lon = toNumber(row.lon);
+            let elevation = toNumber(row.elevation);
             
             // Convert elevation to meters
-            if (elevation !== null && elevUnit) {
+            if (elevation !== null) {
                 elevation = this.distanceCalculator.convertElevation(
-                    elevation, elevUnit.value, 'meters'
+                    elevation, row.elevationUnit, 'meters'
                 );
             }
             
@@ -1078,9 +3156,277 @@ class GPSCalculatorApp {
                 name: name || `Point ${index + 1}`, 
                 lat, 
                 lon, 
-                elevation 
+                elevation,
+                heightType: row.heightType,
+                enabled: row.enabled
             });
         });
+
+        this.updateMap();
+    }
+
+    /**
+     * List saved projects and reopen the project last used
+     */
+    initializeProjects() {
+        this.updateProjectList();
+        const current = this.projectStore.getCurrent();
+        if (current) {
+            this.openProject(current);
+        }
+    }
+
+    /**
+     * Fill the saved project selector
+     * @param {string} selected - Project to select; defaults to the current project
+     */
+    updateProjectList(selected = this.projectStore.getCurrent()) {
+        const selector = document.getElementById('project-list');
+        const projects = this.projectStore.list();
+        selector.innerHTML = '';
+
+        if (projects.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No saved projects';
+            selector.appendChild(option);
+            return;
+        }
+
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.name;
+            option.textContent = `${project.name} (${project.pointCount} point${project.pointCount === 1 ? '' : 's'}, saved ${new Date(project.savedAt).toLocaleString()})`;
+            selector.appendChild(option);
+        });
+        if (selected && projects.some(project => project.name === selected)) {
+            selector.value = selected;
+        }
+    }
+
+    /**
+     * Gather the points as entered, the settings and the last results for saving
+     * @returns {Object} - {name, points, settings, results}
+     */
+    getProjectState() {
+        // Rows are saved as entered so elevations keep their units
+        const points = this.pointTable.getRows();
+
+        const settings = {};
+        this.projectSettingIds.forEach(id => {
+            const element = document.getElementById(id);
+            settings[id] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+        this.projectSettingGroups.forEach(group => {
+            const checked = document.querySelector(`input[name="${group}"]:checked`);
+            if (checked) {
+                settings[group] = checked.value;
+            }
+        });
+
+        return {
+            name: document.getElementById('project-name').value,
+            points,
+            settings,
+            results: this.lastDistanceResults || null
+        };
+    }
+
+    /**
+     * Restore saved settings, running each control's change handler so dependent options follow
+     * @param {Object} settings - Settings from getProjectState
+     */
+    applyProjectSettings(settings) {
+        this.projectSettingIds.forEach(id => {
+            const element = document.getElementById(id);
+            const value = settings[id];
+            if (value === undefined || (element.tagName === 'SELECT' &&
+                !Array.from(element.options).some(option => option.value === String(value)))) {
+                return;
+            }
+            if (element.type === 'checkbox') {
+                element.checked = !!value;
+            } else {
+                element.value = value;
+            }
+            element.dispatchEvent(new Event('change'));
+        });
+
+        this.projectSettingGroups.forEach(group => {
+            const radio = settings[group] !== undefined ? document.querySelector(`input[name="${group}"][value="${settings[group]}"]`) : null;
+            if (radio) {
+                radio.checked = true;
+                radio.dispatchEvent(new Event('change'));
+            }
+        });
+    }
+
+    /**
+     * Save the points, settings and last results under the entered project name
+     */
+    saveProject() {
+        const state = this.getProjectState();
+        let note = '';
+
+        try {
+            let saved;
+            try {
+                saved = this.projectStore.save(state);
+            } catch (error) {
+                // Large result sets can exceed the browser's storage quota; keep the points and settings
+                if (!state.results) {
+                    throw error;
+                }
+                saved = this.projectStore.save(Object.assign({}, state, { results: null }));
+                note = ' The last results were too large to store and were left out.';
+            }
+
+            this.projectStore.setCurrent(saved.name);
+            document.getElementById('project-name').value = saved.name;
+            this.updateProjectList(saved.name);
+            this.showSuccess(`Saved project "${saved.name}" with ${saved.points.length} point(s).${note}`);
+        } catch (error) {
+            this.showError(`Unable to save project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the points, settings and results with a saved project
+     * @param {string} name - Project name
+     * @returns {boolean} - True if the project was opened
+     */
+    openProject(name) {
+        const project = name ? this.projectStore.load(name) : null;
+        if (!project) {
+            this.showError('Select a saved project to open.');
+            return false;
+        }
+
+        try {
+            this.pointTable.setRows(project.points.length > 0 ? project.points : [null, null]);
+            this.pointTable.clearHistory();
+            this.applyProjectSettings(project.settings || {});
+
+            const resultsSection = document.getElementById('distance-results');
+            if (project.results) {
+                this.displayDistanceResults(project.results);
+                resultsSection.style.display = 'block';
+            } else {
+                this.lastDistanceResults = null;
+                resultsSection.style.display = 'none';
+            }
+        } catch (error) {
+            this.showError(`Unable to open project "${name}": ${error.message}`);
+            return false;
+        }
+
+        this.projectStore.setCurrent(project.name);
+        document.getElementById('project-name').value = project.name;
+        this.updateProjectList(project.name);
+        this.showSuccess(`Opened project "${project.name}" with ${project.points.length} point(s)${project.results ? ' and its last results' : ''}.`);
+        return true;
+    }
+
+    /**
+     * Save a copy of the selected project
+     */
+    duplicateProject() {
+        const name = document.getElementById('project-list').value;
+        if (!name) {
+            this.showError('Select a saved project to duplicate.');
+            return;
+        }
+
+        try {
+            const copy = this.projectStore.duplicate(name);
+            this.updateProjectList(copy.name);
+            this.showSuccess(`Saved a copy of "${name}" as "${copy.name}".`);
+        } catch (error) {
+            this.showError(`Unable to duplicate project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename the selected project to the name entered in the project box
+     */
+    renameProject() {
+        const name = document.getElementById('project-list').value;
+        const newName = document.getElementById('project-name').value.trim();
+        if (!name) {
+            this.showError('Select a saved project to rename.');
+            return;
+        }
+        if (!newName || newName === name) {
+            this.showError('Enter the new name in the Project box, then choose Rename.');
+            return;
+        }
+
+        try {
+            const renamed = this.projectStore.rename(name, newName);
+            this.updateProjectList(renamed.name);
+            this.showSuccess(`Renamed project "${name}" to "${renamed.name}".`);
+        } catch (error) {
+            this.showError(`Unable to rename project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the selected project after confirmation
+     */
+    deleteProject() {
+        const name = document.getElementById('project-list').value;
+        if (!name) {
+            this.showError('Select a saved project to delete.');
+            return;
+        }
+        if (!window.confirm(`Delete project "${name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        this.projectStore.remove(name);
+        this.updateProjectList();
+        this.showSuccess(`Deleted project "${name}".`);
+    }
+
+    /**
+     * Download the selected project as a JSON project file
+     */
+    exportProject() {
+        const name = document.getElementById('project-list').value;
+        if (!name) {
+            this.showError('Select a saved project to export.');
+            return;
+        }
+
+        try {
+            const fileName = `${name.replace(/[^\w-]+/g, '-')}.json`;
+            this.downloadFile(this.projectStore.exportProject(name), fileName, 'application/json');
+            this.showSuccess(`Exported project "${name}".`);
+        } catch (error) {
+            this.showError(`Unable to export project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save a JSON project file chosen by the user and open it
+     * @param {File} file - Project file from exportProject
+     */
+    async importProject(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const project = await this.projectStore.importFile(file);
+            if (this.openProject(project.name)) {
+                this.showSuccess(`Imported and opened project "${project.name}" with ${project.points.length} point(s).`);
+            }
+        } catch (error) {
+            this.showError(`Unable to import project: ${error.message}`);
+        } finally {
+            // Allow the same file to be chosen again
+            document.getElementById('project-file').value = '';
+        }
     }
 
     /**
@@ -1107,6 +3453,20 @@ class GPSCalculatorApp {
         this.showMessage(message, 'success');
     }
 
+    /**
+     * Escape text, such as a point name from an imported or project file, before it goes into HTML markup
+     * @param {string} text - Text
+     * @returns {string} - Text with &, <, >, " and ' escaped
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Show message to user
      * @param {string} message - Message text
@@ -1165,13 +3525,23 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Global function for standards popup
-function showStandardsPopup() {
+function showStandardsPopup(standards = new AccuracyStandards()) {
+    const standard = standards.getActiveStandard();
+    const tolerance = (meters) => meters === null ? 'No requirement' : `≤ ${standards.formatTolerance(meters)}`;
+    const rows = standard.grades.map(grade => `
+                    <tr>
+                        <td><strong>${grade.name}</strong></td>
+                        <td>${tolerance(grade.horizontal)}${grade.ppm ? ` + ${grade.ppm} ppm` : ''}</td>
+                        <td>${tolerance(grade.vertical)}</td>
+                        <td>${grade.use}</td>
+                    </tr>`).join('');
+
     const popup = document.createElement('div');
     popup.className = 'standards-popup';
     popup.innerHTML = `
         <div class="popup-content">
             <div class="popup-header">
-                <h3>📐 Surveying Accuracy Standards</h3>
+                <h3>📐 ${standard.name}</h3>
                 <button class="close-popup" onclick="closeStandardsPopup()">×</button>
             </div>
             <div class="popup-body">
@@ -1179,36 +3549,18 @@ function showStandardsPopup() {
                 <table class="standards-table">
                     <tr>
                         <th>Survey Grade</th>
-                        <th>Accuracy Range</th>
+                        <th>Horizontal</th>
+                        <th>Vertical</th>
                         <th>Applications</th>
-                    </tr>
-                    <tr>
-                        <td><strong>First Order</strong></td>
-                        <td>±1mm to ±3mm</td>
-                        <td>Geodetic control, high-precision engineering</td>
-                    </tr>
-                    <tr>
-                        <td><strong>Second Order Class I</strong></td>
-                        <td>±3mm to ±10mm</td>
-                        <td>Precise engineering surveys</td>
-                    </tr>
-                    <tr>
-                        <td><strong>Second Order Class II</strong></td>
-                        <td>±10mm to ±30mm</td>
-                        <td>General construction surveys</td>
-                    </tr>
-                    <tr>
-                        <td><strong>Third Order</strong></td>
-                        <td>±30mm to ±1m</td>
-                        <td>Mapping and lower-precision surveys</td>
-                    </tr>
+                    </tr>${rows}
                     <tr>
-                        <td><strong>Fourth Order</strong></td>
-                        <td>±1m+</td>
-                        <td>Rough mapping only</td>
+                        <td><strong>${standard.failure.name}</strong></td>
+                        <td colspan="2">Outside every tolerance above</td>
+                        <td>${standard.failure.use}</td>
                     </tr>
                 </table>
-                <p><em>Source: National Geodetic Survey (NGS) Standards and Specifications for Geodetic Control Networks</em></p>
+                <p>Horizontal and vertical offsets are graded separately; the survey grade is the looser of the two.</p>
+                <p><em>Source: ${standard.reference}</em></p>
             </div>
         </div>
     `;
@@ -1226,6 +3578,21 @@ function closeStandardsPopup() {
 // Global function for help popups
 function showHelpPopup(section) {
     const helpContent = {
+        'projects': {
+            title: 'Projects',
+            content: `
+                <p><strong>Purpose:</strong> Keep your work between visits. A project holds the coordinate sets (names, elevations and their units, height types, and whether each point is used), the pasted text, the datum, State Plane zone and distance options, the reference point and the last distance results.</p>
+                <ul>
+                    <li><strong>Save:</strong> Stores the current work under the name in the Project box, replacing a project of the same name</li>
+                    <li><strong>Open:</strong> Replaces the current work with the selected project. The project last opened or saved reopens when the page is loaded again.</li>
+                    <li><strong>Duplicate:</strong> Saves a copy of the selected project as "name (copy)"</li>
+                    <li><strong>Rename:</strong> Renames the selected project to the name entered in the Project box</li>
+                    <li><strong>Delete:</strong> Removes the selected project from this browser</li>
+                    <li><strong>Export / Import:</strong> Writes the selected project to a JSON file, or reads one back (for backup or another computer). An imported project whose name is taken is numbered, e.g. "Site (2)".</li>
+                </ul>
+                <p><strong>Note:</strong> Projects are kept in this browser's local storage, which clearing site data erases; export projects you need to keep. Loaded geoid and magnetic model files are not saved and must be loaded again. Very large result sets may not fit, in which case the project is saved without them.</p>
+            `
+        },
         'converter': {
             title: 'Coordinate Format Converter',
             content: `
@@ -1236,7 +3603,16 @@ function showHelpPopup(section) {
                     <li>DMS with symbols: <code>44° 28' 24.32661" -70° 53' 19.05717"</code></li>
                     <li>DMS with cardinal: <code>N44° 28' 24.32661" W70° 53' 19.05717"</code></li>
                     <li>Space separated DMS: <code>41 48 15.79259 112 50 1.04150</code> (Defaults to North/West)</li>
+                    <li>Degrees decimal minutes: <code>N44 28.40544 W70 53.31762</code>, <code>44° 28.40544' N, 70° 53.31762' W</code>, <code>44 28.40544 -70 53.31762</code></li>
+                    <li>UTM (zone + latitude band): <code>19T 345678.123 4927654.321</code></li>
+                    <li>UPS (polar zone letter A/B/Y/Z): <code>Z 2000000.000 1999888.976</code></li>
+                    <li>MGRS / USNG (1 m to 100 km): <code>19T CK 49789 26191</code>, <code>19TCK4978926191</code>, <code>19T CK 497 261</code></li>
+                    <li>ECEF X/Y/Z in meters: <code>1492685.5494 -4307853.0193 4446131.7528</code>, <code>ECEF 1492685.5494 -4307853.0193 4446131.7528</code>, <code>X=1492685.5494 Y=-4307853.0193 Z=4446131.7528</code></li>
                 </ul>
+                <p><strong>MGRS/USNG:</strong> References are truncated to the selected precision and read back as the centre of the grid square. Polar references (A, B, Y, Z) are supported.</p>
+                <p><strong>State Plane:</strong> <code>1802 N 598655.597 E 2764294.273 usft</code> - the zone code and unit are optional and default to the selected State Plane zone and unit.</p>
+                <p><strong>ECEF:</strong> Earth-centered, Earth-fixed XYZ as given in OPUS reports and CORS coordinate files, on the selected datum's ellipsoid. Three plain numbers are read as XYZ only when they lie near the Earth's surface (6,300-6,500 km from its center); add <code>ECEF</code>, <code>XYZ</code> or X/Y/Z labels to mark them explicitly. The height from XYZ is ellipsoidal, in meters.</p>
+                <p><strong>UTM/UPS:</strong> The letter after the zone is the latitude band (C-M south, N-X north). Positions beyond 84°N or 80°S are given in UPS. Enter a zone in "Force UTM Zone" to project into a neighbouring zone.</p>
                 <p><strong>Coordinate Signs:</strong></p>
                 <ul>
                     <li><strong>Latitude:</strong> North is positive (+), South is negative (-)</li>
@@ -1245,8 +3621,10 @@ function showHelpPopup(section) {
                 <p><strong>How to use:</strong></p>
                 <ol>
                     <li>Paste coordinates in any supported format</li>
-                    <li>Click "Convert" to see both decimal and DMS formats</li>
+                    <li>Click "Convert" to see decimal, DMS, DDM, UTM/UPS, MGRS/USNG, State Plane and ECEF formats (ECEF of a latitude/longitude is on the ellipsoid, h = 0)</li>
+                    <li>Choose "Copy As" to copy decimal degrees, DDM, DMS or ECEF XYZ</li>
                     <li>Use "Copy to Clipboard" to copy tab-separated decimal coordinates</li>
+                    <li>The magnetic declination at the point is shown for the "Magnetic Field Date" (today when empty); use "Convert a Bearing" to turn a magnetic bearing from a deed into true and grid bearings</li>
                 </ol>
             `
         },
@@ -1261,8 +3639,9 @@ function showHelpPopup(section) {
                 </ul>
                 <p><strong>Features:</strong></p>
                 <ul>
-                    <li>2D distances (Haversine formula)</li>
-                    <li>3D distances (including elevation)</li>
+                    <li>2D distances (ellipsoidal Vincenty/Karney or spherical Haversine)</li>
+                    <li>3D slope distances (straight line between the points, including elevation)</li>
+                    <li>Local east, north, up offsets and zenith angle for every pair</li>
                     <li>Reference point mode</li>
                     <li>Condensed output table</li>
                     <li>Surveying accuracy assessments</li>
@@ -1282,6 +3661,138 @@ function showHelpPopup(section) {
                 <p><strong>Supported separators:</strong> spaces, commas, tabs</p>
                 <p><strong>Coordinate Signs:</strong> West is negative (-), East is positive (+)</p>
                 <p><strong>Elevation units:</strong> Set default unit for all coordinates</p>
+                <p><strong>Height type:</strong> Set the default height type, or tag a line: <code>44.47 -70.88 152.3 NAVD88</code></p>
+                <p><strong>Parse report:</strong> Rejected lines and lines with warnings (ignored columns, normalized longitudes) are listed under the input with the reason. Click a line to select it for correction.</p>
+            `
+        },
+        'clusters': {
+            title: 'Repeat Occupations',
+            content: `
+                <p><strong>Purpose:</strong> Average repeat occupations of the same mark and report how well they agree</p>
+                <ul>
+                    <li><strong>By proximity:</strong> points within the radius of another point in the group belong to the same mark</li>
+                    <li><strong>By point name:</strong> points with the same name (ignoring case) belong to the same mark</li>
+                    <li><strong>Mean Position:</strong> the average latitude, longitude and elevation of the occupations</li>
+                    <li><strong>σN, σE, σU:</strong> sample standard deviations of the north, east and up residuals from the mean</li>
+                    <li><strong>Horizontal / Vertical RMS:</strong> root mean square of the horizontal and vertical residuals</li>
+                    <li><strong>CEP:</strong> radius holding 50% of positions, ≈ 0.589 (σN + σE)</li>
+                    <li><strong>2DRMS:</strong> 2 √(σN² + σE²), holding about 95–98% of positions</li>
+                    <li><strong>Outliers:</strong> with 3 or more occupations, a shot more than 3σ (and at least 1 cm) from the mean of the others is flagged</li>
+                    <li><strong>Survey Grade:</strong> 2DRMS and 1.96 σU graded against the selected accuracy standard</li>
+                </ul>
+            `
+        },
+        'polygon': {
+            title: 'Polygon Area',
+            content: `
+                <p><strong>Purpose:</strong> Get the area and perimeter of a parcel from its corners</p>
+                <ul>
+                    <li><strong>Corners:</strong> enter them in order around the boundary; the last corner joins back to the first (repeating the first corner at the end is also fine)</li>
+                    <li><strong>Area:</strong> on the selected datum's ellipsoid, in square meters, square feet, acres and hectares (international foot and acre), whatever the distance method</li>
+                    <li><strong>Perimeter:</strong> sum of the sides, including the closing side, by the selected distance method</li>
+                    <li><strong>Self-Intersection Check:</strong> flags sides that cross, usually corners entered out of order; the area of a crossing polygon is unreliable</li>
+                </ul>
+                <p><strong>Note:</strong> Elevations are ignored; the area is measured on the ellipsoid, not on the ground.</p>
+            `
+        },
+        'accuracy-standards': {
+            title: 'Accuracy Standards',
+            content: `
+                <p><strong>Purpose:</strong> Choose the standard that grades every pair in the results and exports</p>
+                <ul>
+                    <li><strong>NGS Survey Orders:</strong> First Order (3 mm) through Fourth Order (1 m)</li>
+                    <li><strong>FGDC NSSDA Accuracy Classes:</strong> 1-Millimeter to 10-Meter classes; offsets are compared as accuracies at 95% confidence</li>
+                    <li><strong>ALTA/NSPS Relative Positional Precision:</strong> 2 cm + 50 ppm of the distance between the points, horizontal only</li>
+                    <li><strong>Company Specification:</strong> your own horizontal and vertical tolerances in meters; leave the vertical tolerance empty for none</li>
+                </ul>
+                <p>Horizontal and vertical offsets are graded separately. The survey grade is the looser of the two, and both grades are shown when they differ.</p>
+                <p>The standard is applied when you click Calculate Distances.</p>
+            `
+        },
+        'traverse': {
+            title: 'Traverse Closure',
+            content: `
+                <p><strong>Purpose:</strong> Check and adjust a closed traverse entered as an ordered list of points</p>
+                <ul>
+                    <li><strong>Point order:</strong> the points are taken in order from Point 1; enter the starting point again as the last point, as the closing observation</li>
+                    <li><strong>Misclosure:</strong> how far the closing observation lands from the start, in north, east and height, and as a linear distance</li>
+                    <li><strong>Precision Ratio:</strong> traverse length ÷ linear misclosure, shown as 1:N</li>
+                    <li><strong>Compass (Bowditch) rule:</strong> corrects each leg in proportion to its length</li>
+                    <li><strong>Transit rule:</strong> corrects north and east in proportion to each leg's |ΔN| and |ΔE|</li>
+                    <li>Height misclosure is always spread in proportion to leg length; the start point is held fixed</li>
+                </ul>
+                <p><strong>Closure Standards:</strong></p>
+                <ul>
+                    <li><strong>FGCS:</strong> minimum precision ratio for the order and class; the vertical check uses the matching leveling tolerance (4, 6, 8 or 12 mm × √K, K = length in km)</li>
+                    <li><strong>ALTA/ACSM 1992:</strong> minimum precision ratio for the survey class</li>
+                    <li><strong>ALTA/NSPS RPP:</strong> allowed misclosure of 2 cm + 50 ppm of the traverse length</li>
+                </ul>
+            `
+        },
+        'azimuths': {
+            title: 'Azimuths, Bearings and Grid Distances',
+            content: `
+                <p><strong>Purpose:</strong> Give the direction of every pair and every segment of the cumulative path, for checking against plats and field notes</p>
+                <ul>
+                    <li><strong>Forward Azimuth:</strong> direction from the first point to the second, clockwise from true (geodetic) north</li>
+                    <li><strong>Back Azimuth:</strong> direction from the second point back to the first; on the ellipsoid it differs from forward + 180° as the meridians converge</li>
+                    <li><strong>Bearing:</strong> the forward azimuth as a quadrant bearing, e.g. N 45° 12' 30.0" E</li>
+                    <li>Azimuths are shown in DMS and decimal degrees and are always ellipsoidal, whichever distance method is selected</li>
+                </ul>
+                <p><strong>Grid Azimuths:</strong></p>
+                <ul>
+                    <li><strong>UTM:</strong> from grid north in the UTM zone of each pair's From point</li>
+                    <li><strong>State Plane:</strong> from grid north in the zone selected in the Coordinate Format Converter</li>
+                    <li>Grid azimuth = true azimuth − convergence angle (γ), using γ at each end of the line; the small arc-to-chord correction is not applied</li>
+                </ul>
+                <p><strong>Ground and Grid Distances:</strong></p>
+                <ul>
+                    <li><strong>Ellipsoid distance:</strong> the horizontal distance from the selected distance method</li>
+                    <li><strong>Elevation factor:</strong> EF = R / (R + h), with h the mean ellipsoidal height of the two points and R the Gaussian mean radius √(M·N) at the midpoint; orthometric heights are converted with the geoid model where it has coverage</li>
+                    <li><strong>Ground distance:</strong> ellipsoid distance ÷ EF, always shown</li>
+                    <li><strong>Scale factor:</strong> with a grid selected, the line scale factor k = (k₁ + 4kₘ + k₂) / 6 from the point scale factors at both ends and the midpoint</li>
+                    <li><strong>Combined factor:</strong> CF = k × EF; grid distance = ground distance × CF = ellipsoid distance × k</li>
+                </ul>
+            `
+        },
+        'forward': {
+            title: 'Forward Calculation',
+            content: `
+                <p><strong>Purpose:</strong> Compute new points from a known point, a bearing and a distance (the geodetic direct problem), for stakeout and checking plats</p>
+                <ul>
+                    <li><strong>Start Point:</strong> any supported coordinate format, with an optional elevation in the chosen unit</li>
+                    <li><strong>Azimuths:</strong> decimal degrees (45.5), DMS (45°30'00" or 45 30 00) or quadrant bearings (N 45°30' E, S45.5W)</li>
+                    <li><strong>Azimuth Reference:</strong>
+                        <ul>
+                            <li>True: measured from geodetic north</li>
+                            <li>Grid: corrected by the meridian convergence of the UTM zone of the start point, or of the State Plane zone selected in the converter</li>
+                            <li>Magnetic: corrected by the declination you enter (east positive), or by the magnetic model's declination at the start of each leg, today, when left blank</li>
+                        </ul>
+                    </li>
+                    <li><strong>Horizontal Distances:</strong>
+                        <ul>
+                            <li>Ground: multiplied by the elevation factor R / (R + h) at the mean height of the leg; enter the start elevation, or the leg is taken to lie on the ellipsoid</li>
+                            <li>Grid: divided by the line scale factor of the grid chosen as Azimuth Reference</li>
+                            <li>Ellipsoid: used as entered</li>
+                        </ul>
+                    </li>
+                    <li><strong>Legs:</strong> each leg starts where the previous one ended, so a traverse can be chained from one known point</li>
+                    <li><strong>Vertical Angle:</strong> optional, positive up; the height change is ground distance × tan(angle) and is applied to the start elevation</li>
+                </ul>
+                <p><strong>Note:</strong> The results list the ellipsoid distance each leg was reduced to, the inverse of the reduction under Grid Azimuths &amp; Distances</p>
+            `
+        },
+        'map-view': {
+            title: 'Map View',
+            content: `
+                <p><strong>Purpose:</strong> A visual check that points are where you expect before calculating</p>
+                <ul>
+                    <li>Points are plotted on a latitude/longitude grid with a scale bar; no map tiles or internet connection are needed</li>
+                    <li><strong>Lines:</strong> show the cumulative path through the points in order, or a selected pair with its 2D distance</li>
+                    <li><strong>Click a point</strong> to highlight its row in Manual Entry</li>
+                    <li>Scroll to zoom, drag to pan, and click "Fit" to show every point again</li>
+                </ul>
+                <p><strong>Note:</strong> The grid is drawn in a simple equirectangular projection, so shapes are approximate over large areas</p>
             `
         },
         'manual-mode': {
@@ -1292,9 +3803,18 @@ function showHelpPopup(section) {
                     <li>Enter coordinates in the table format</li>
                     <li>Add optional names/IDs for each point</li>
                     <li>Set elevation units for each coordinate individually</li>
-                    <li>Use "+ Add" to add more points (up to 8 total)</li>
+                    <li>Use "+ Add" to add more points</li>
                 </ol>
-                <p><strong>Reference Point:</strong> Select which coordinate to use as reference for comparisons</p>
+                <p><strong>Editing the Table:</strong></p>
+                <ul>
+                    <li><strong>Select:</strong> Tick the box beside a point; Shift+click another box to select the range between them</li>
+                    <li><strong>+ Add / - Remove:</strong> Add a row below the selected rows, or remove the selected rows (the last row when none are selected)</li>
+                    <li><strong>Reorder:</strong> Drag a row by its ⠿ handle, or use ↑ Up / ↓ Down. The order sets the path for cumulative distances, traverses and polygons.</li>
+                    <li><strong>Enable / Disable:</strong> Untick <strong>Use</strong> to leave a point out of calculations and the map without deleting it</li>
+                    <li><strong>Copy / Paste:</strong> With rows selected, Ctrl+C copies them as tab-separated cells (name, latitude, longitude, elevation, unit, height type) for a spreadsheet. Pasting cells copied from a spreadsheet into any cell fills the cells to the right and below, adding rows as needed.</li>
+                    <li><strong>Undo / Redo:</strong> Every edit can be undone with Undo or Ctrl+Z and redone with Redo or Ctrl+Y</li>
+                </ul>
+                <p><strong>Reference Point:</strong> Select which coordinate to use as reference for comparisons. Only enabled points with a latitude and longitude are listed.</p>
             `
         },
         'elevation-units': {
@@ -1334,6 +3854,7 @@ function showHelpPopup(section) {
                 <p><strong>Features:</strong></p>
                 <ul>
                     <li>Single table with all distance measurements</li>
+                    <li>East, north and up offsets and zenith angle for every pair</li>
                     <li>No detailed step-by-step calculations</li>
                     <li>No survey grade assessments</li>
                     <li>Clean format for quick reference</li>
@@ -1347,6 +3868,121 @@ function showHelpPopup(section) {
                 </ul>
             `
         },
+        'datum': {
+            title: 'Reference Datum / Ellipsoid',
+            content: `
+                <p><strong>Purpose:</strong> Choose the Earth model used by every calculation</p>
+                <p><strong>Available Datums:</strong></p>
+                <ul>
+                    <li><strong>WGS 84:</strong> WGS 84 ellipsoid (GPS broadcast orbits)</li>
+                    <li><strong>GRS 80:</strong> GRS 1980 ellipsoid</li>
+                    <li><strong>NAD83(2011):</strong> GRS 1980 ellipsoid (US national spatial reference system)</li>
+                    <li><strong>NAD27:</strong> Clarke 1866 ellipsoid</li>
+                    <li><strong>ITRF2014:</strong> GRS 1980 ellipsoid</li>
+                </ul>
+                <p><strong>Note:</strong> The selected datum sets the ellipsoid for geodesic distances, meters-per-degree values and conversions. Coordinates are not transformed between datums.</p>
+                <p>Datum tags in pasted input (e.g. <code>NAD83(2011)</code>) are recognised and reported when they differ from the active datum. The active datum is included in copied results.</p>
+            `
+        },
+        'geoid': {
+            title: 'Geoid Model and Height Types',
+            content: `
+                <p><strong>Height Types:</strong></p>
+                <ul>
+                    <li><strong>Ellipsoidal (h):</strong> Height above the ellipsoid, as reported by GNSS receivers</li>
+                    <li><strong>Orthometric (H):</strong> Height above the geoid, e.g. NAVD88 benchmark elevations</li>
+                </ul>
+                <p>The two differ by the geoid undulation N (h = H + N), which is about -28 m in Maine. Comparing them directly gives wrong vertical differences.</p>
+                <p><strong>Geoid Model:</strong> Load a local grid file to interpolate N at each point:</p>
+                <ul>
+                    <li>NGS GEOID18 / GEOID12B binary (<code>.bin</code>) or ASCII (<code>.asc</code>) grids</li>
+                    <li>GeographicLib EGM2008 / EGM96 grids (<code>.pgm</code>)</li>
+                </ul>
+                <p><strong>Tagging heights:</strong> Set the height type for each point, or add a tag after the elevation in paste mode: <code>NAVD88</code>, <code>ORTHO</code> or <code>MSL</code> for orthometric; <code>HAE</code> or <code>ELLIP</code> for ellipsoidal.</p>
+                <p><strong>Note:</strong> When points mix both types, orthometric heights are converted to ellipsoidal before 3D distances and vertical differences are computed. This requires a geoid model covering every point.</p>
+            `
+        },
+        'magnetic': {
+            title: 'Magnetic Declination',
+            content: `
+                <p><strong>Purpose:</strong> Convert compass bearings from deeds and field notes to true or grid bearings, and report today's magnetic bearings, without an internet connection</p>
+                <p><strong>Magnetic Model:</strong> The World Magnetic Model (WMM-2020 and WMM-2025) is built in and covers 2020 to 2030. For older deeds, load an IGRF coefficient file (e.g. <code>igrf14coeffs.txt</code> from NOAA NCEI, 1900 onward); a WMM <code>.COF</code> file can be loaded the same way. Where models overlap the newest one is used.</p>
+                <ul>
+                    <li><strong>Declination (δ):</strong> angle from true north to magnetic north, east positive; magnetic bearing = true bearing − δ</li>
+                    <li><strong>Annual change:</strong> how fast the declination is drifting, from the model's secular variation</li>
+                    <li><strong>Inclination:</strong> dip of the field below the horizontal, down positive</li>
+                    <li>Where the horizontal field is weak (near the magnetic poles) the compass is unreliable, and a warning is shown</li>
+                </ul>
+                <p><strong>Dates:</strong> YYYY-MM-DD or a year (read as 1 January). The converter uses today when <strong>Magnetic Field Date</strong> is empty.</p>
+                <p><strong>Convert a Bearing:</strong> Enter a bearing at the last converted point, say whether it is magnetic, true or grid, and give its date for magnetic bearings. The result lists the true bearing, the magnetic bearing on that date and on the magnetic field date, and the UTM and State Plane grid bearings.</p>
+                <p><strong>Magnetic Bearings Date:</strong> In the distance calculator, adds magnetic bearings for every pair on that date, using the declination at each end of the line.</p>
+                <p><strong>Note:</strong> The models give the main field only. Local attraction from iron, power lines and local geology, and daily variation, can move a compass by a degree or more.</p>
+            `
+        },
+        'csv-import': {
+            title: 'Point File Import',
+            content: `
+                <p><strong>Purpose:</strong> Load point files exported by data collectors (e.g. P,N,E,Z,D), GPS receivers and mapping tools</p>
+                <p><strong>GPX, KML and GeoJSON:</strong> Points are imported directly with their names and elevations:</p>
+                <ul>
+                    <li><strong>GPX:</strong> waypoints, route points and track points; <code>&lt;ele&gt;</code> is treated as orthometric (sea level) height</li>
+                    <li><strong>KML:</strong> Placemark points; altitudes are used only with <code>absolute</code> altitude mode and are orthometric</li>
+                    <li><strong>GeoJSON:</strong> Point, MultiPoint and LineString features; heights are ellipsoidal (RFC 7946)</li>
+                </ul>
+                <p><strong>CSV and text files:</strong></p>
+                <ol>
+                    <li>Drop a <code>.csv</code>, <code>.txt</code> or <code>.tsv</code> file on the drop zone, or choose one</li>
+                    <li>Check the detected delimiter and header row</li>
+                    <li>Map the columns for name, latitude/northing, longitude/easting, elevation and unit</li>
+                    <li>Choose whether the file holds latitude/longitude, State Plane (uses the zone and unit selected in the converter) or UTM (enter the zone, e.g. <code>19T</code>) coordinates</li>
+                    <li>Check the preview, then click "Import Points"</li>
+                </ol>
+                <p><strong>Elevation:</strong> Values use the unit column when mapped (<code>m</code>, <code>ft</code>, <code>usft</code>), otherwise the default elevation unit and height type above</p>
+                <p><strong>Note:</strong> Rows that cannot be read are shown in the preview and skipped on import</p>
+            `
+        },
+        'export': {
+            title: 'Export Results',
+            content: `
+                <p><strong>Purpose:</strong> Save the last distance calculation for use in other software or for the project record</p>
+                <ul>
+                    <li><strong>CSV:</strong> every pair of points with 2D and slope (3D) distance, ΔN, ΔE, ΔH, ΔU (meters), zenith angle, height type and survey grade</li>
+                    <li><strong>GeoJSON / KML:</strong> the points plus a line for every pair, carrying the same values; open in GIS or Google Earth</li>
+                    <li><strong>HTML report:</strong> a standalone page with the points, pair table and detailed calculation breakdown</li>
+                    <li><strong>Print / PDF report:</strong> opens the same report and the print dialog; choose "Save as PDF" as the printer</li>
+                </ul>
+                <p><strong>Note:</strong> Exports always include every pair, whichever output options are selected</p>
+            `
+        },
+        'state-plane': {
+            title: 'State Plane Coordinates (SPCS 83)',
+            content: `
+                <p><strong>Purpose:</strong> Convert to and from NAD83 State Plane northings and eastings</p>
+                <p><strong>Available Zones:</strong> Maine East/West, New Hampshire, Vermont, Massachusetts Mainland/Island, Rhode Island, Connecticut and New York East/Central/West/Long Island, using the published NGS projection parameters (Transverse Mercator or Lambert Conformal Conic on the GRS 1980 ellipsoid).</p>
+                <p><strong>Regional Limit:</strong> Only these New England and New York zones are included. Input naming any other FIPS zone code is rejected with a "zone not supported" message; use UTM or latitude/longitude for points elsewhere.</p>
+                <p><strong>Units:</strong></p>
+                <ul>
+                    <li><strong>US Survey Feet (usft):</strong> 1200/3937 m - the legislated unit in Maine and most New England states</li>
+                    <li><strong>International Feet (ift):</strong> 0.3048 m</li>
+                    <li><strong>Meters (m):</strong> the SPCS 83 defining unit</li>
+                </ul>
+                <p><strong>Input:</strong> <code>1802 N 598655.597 E 2764294.273 usft</code>, or just <code>N 598655.597 E 2764294.273</code> to use the selected zone and unit. Northings and eastings need at least four whole digits so they are not confused with latitude and longitude.</p>
+                <p><strong>Note:</strong> Grid distances differ from ground distances by the combined scale factor.</p>
+            `
+        },
+        'distance-method': {
+            title: 'Distance Method',
+            content: `
+                <p><strong>Purpose:</strong> Choose how horizontal distances are computed</p>
+                <p><strong>Available Methods:</strong></p>
+                <ul>
+                    <li><strong>Ellipsoidal (Vincenty / Karney):</strong> Geodesic on the selected datum's ellipsoid, accurate to well under a millimeter. Karney's method is used automatically for nearly antipodal points where Vincenty does not converge.</li>
+                    <li><strong>Spherical (Haversine):</strong> Great circle on a sphere of radius 6371 km. Fast, but can differ from the ellipsoid by up to ~0.5%.</li>
+                </ul>
+                <p><strong>Recommendation:</strong> Use the ellipsoidal method when comparing RTK or static GNSS positions.</p>
+                <p><strong>Note:</strong> 3D slope distances, east/north/up offsets and zenith angles come from the earth-centered (ECEF) coordinates of the points and do not depend on the method.</p>
+            `
+        },
         'unit-system': {
             title: 'Unit System Selection',
             content: `
@@ -0,0 +1,200 @@
+/**
+ * Traverse Adjuster
+ * Closure analysis and compass (Bowditch) or transit rule adjustment of an ordered closed traverse,
+ * where the last point is the closing observation of the first
+ */
+
+class TraverseAdjuster {
+    /**
+     * @param {DistanceCalculator} distanceCalculator - Calculator used for leg lengths, local offsets and heights
+     */
+    constructor(distanceCalculator = new DistanceCalculator()) {
+        this.distanceCalculator = distanceCalculator;
+
+        // Closure standards. Ratio standards allow a linear misclosure of length / ratio; the ALTA/NSPS
+        // relative positional precision allows constant + ppm × length. Vertical tolerances are
+        // verticalMm × √K millimeters, with K the traverse length in kilometers.
+        this.closureStandards = {
+            'fgcs-first': { name: 'FGCS First-Order (1:100,000)', ratio: 100000, verticalMm: 4 },
+            'fgcs-second-1': { name: 'FGCS Second-Order Class I (1:50,000)', ratio: 50000, verticalMm: 6 },
+            'fgcs-second-2': { name: 'FGCS Second-Order Class II (1:20,000)', ratio: 20000, verticalMm: 8 },
+            'fgcs-third-1': { name: 'FGCS Third-Order Class I (1:10,000)', ratio: 10000, verticalMm: 12 },
+            'fgcs-third-2': { name: 'FGCS Third-Order Class II (1:5,000)', ratio: 5000, verticalMm: 12 },
+            'alta-urban': { name: 'ALTA/ACSM 1992 Urban (1:15,000)', ratio: 15000 },
+            'alta-suburban': { name: 'ALTA/ACSM 1992 Suburban (1:10,000)', ratio: 10000 },
+            'alta-rural': { name: 'ALTA/ACSM 1992 Rural (1:7,500)', ratio: 7500 },
+            'alta-rpp': { name: 'ALTA/NSPS Relative Positional Precision (2 cm + 50 ppm)', constant: 0.02, ppm: 50 }
+        };
+    }
+
+    /**
+     * List the available closure standards
+     * @returns {Array} - {key, name}
+     */
+    listClosureStandards() {
+        return Object.keys(this.closureStandards).map(key => ({
+            key: key,
+            name: this.closureStandards[key].name
+        }));
+    }
+
+    /**
+     * Compute the misclosure of a closed traverse and adjust it
+     * @param {Array} points - Ordered {name, lat, lon, elevation, heightType}; the last point re-observes the first
+     * @param {string} rule - 'compass' (Bowditch) or 'transit'
+     * @param {string} method - Horizontal distance method for the leg lengths ('vincenty' or 'haversine')
+     * @returns {Object|null} - {rule, legs, totalLength, misclosure, precisionRatio, heightType, adjusted},
+     *                          or null with fewer than 3 legs
+     */
+    adjust(points, rule = 'compass', method = this.distanceCalculator.distanceMethod) {
+        if (!points || points.length < 4) {
+            return null;
+        }
+
+        const origin = points[0];
+        const heights = this.distanceCalculator.getCommonHeights(points);
+
+        // Plane north/east of every point about the first point, so the legs sum exactly to the misclosure
+        const plane = points.map(point => this.distanceCalculator.calculateLocalOffsets(origin, point));
+        const scale = plane[0];
+
+        const legs = [];
+        for (let i = 1; i < points.length; i++) {
+            const horizontal = this.distanceCalculator.calculateHorizontalDistance(
+                points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon, method
+            );
+            if (!horizontal) {
+                return null;
+            }
+
+            legs.push({
+                from: this.getPointName(points[i - 1], i - 1),
+                to: this.getPointName(points[i], i),
+                length: horizontal.meters !== undefined ? horizontal.meters : horizontal.km * 1000,
+                deltaNorth: plane[i].north - plane[i - 1].north,
+                deltaEast: plane[i].east - plane[i - 1].east,
+                deltaHeight: heights ? heights.elevations[i] - heights.elevations[i - 1] : null
+            });
+        }
+
+        const totalLength = legs.reduce((sum, leg) => sum + leg.length, 0);
+        const last = plane[plane.length - 1];
+        const misclosure = {
+            north: last.north,
+            east: last.east,
+            height: heights ? heights.elevations[points.length - 1] - heights.elevations[0] : null,
+            linear: Math.sqrt(last.north * last.north + last.east * last.east),
+            direction: this.distanceCalculator.normalizeAzimuth(this.distanceCalculator.toDegrees(Math.atan2(last.east, last.north)))
+        };
+
+        const corrections = this.distributeMisclosure(legs, misclosure, rule, totalLength);
+
+        // Adjusted positions, accumulating the corrected legs from the fixed first point
+        let north = 0;
+        let east = 0;
+        let height = heights ? heights.elevations[0] : null;
+        const adjusted = points.map((point, index) => {
+            if (index > 0) {
+                const leg = legs[index - 1];
+                north += leg.deltaNorth + corrections[index - 1].north;
+                east += leg.deltaEast + corrections[index - 1].east;
+                if (height !== null) {
+                    height += leg.deltaHeight + corrections[index - 1].height;
+                }
+            }
+
+            return {
+                name: this.getPointName(point, index),
+                lat: origin.lat + north / scale.metersPerDegreeLat,
+                // Wrapped into (-180, 180] for traverses that cross the antimeridian
+                lon: this.distanceCalculator.normalizeLongitudeDifference(origin.lon + east / scale.metersPerDegreeLon),
+                elevation: height,
+                correctionNorth: north - plane[index].north,
+                correctionEast: east - plane[index].east,
+                correctionHeight: height !== null ? height - heights.elevations[index] : null
+            };
+        });
+
+        return {
+            rule,
+            legs,
+            totalLength,
+            misclosure,
+            precisionRatio: misclosure.linear > 0 ? totalLength / misclosure.linear : Infinity,
+            heightType: heights ? heights.heightType : null,
+            adjusted
+        };
+    }
+
+    /**
+     * Share the misclosure out among the legs
+     * @param {Array} legs - Legs with length, deltaNorth and deltaEast
+     * @param {Object} misclosure - {north, east, height}
+     * @param {string} rule - 'compass' corrects in proportion to leg length; 'transit' corrects north
+     *                        and east in proportion to the leg's |ΔN| and |ΔE|
+     * @param {number} totalLength - Sum of the leg lengths
+     * @returns {Array} - {north, east, height} correction for each leg in meters
+     */
+    distributeMisclosure(legs, misclosure, rule, totalLength) {
+        const sumNorth = legs.reduce((sum, leg) => sum + Math.abs(leg.deltaNorth), 0);
+        const sumEast = legs.reduce((sum, leg) => sum + Math.abs(leg.deltaEast), 0);
+
+        return legs.map(leg => {
+            const lengthShare = totalLength > 0 ? leg.length / totalLength : 0;
+            // A traverse with no north (or east) movement falls back to the compass rule on that axis
+            const northShare = rule === 'transit' && sumNorth > 0 ? Math.abs(leg.deltaNorth) / sumNorth : lengthShare;
+            const eastShare = rule === 'transit' && sumEast > 0 ? Math.abs(leg.deltaEast) / sumEast : lengthShare;
+
+            return {
+                north: -misclosure.north * northShare,
+                east: -misclosure.east * eastShare,
+                // Heights are always corrected in proportion to leg length
+                height: misclosure.height !== null ? -misclosure.height * lengthShare : 0
+            };
+        });
+    }
+
+    /**
+     * Check a closure against a standard
+     * @param {Object} traverse - Result of adjust()
+     * @param {string} standardKey - Key in closureStandards
+     * @returns {Object|null} - {name, allowedLinear, horizontalPasses, allowedVertical, verticalPasses};
+     *                          the vertical values are null when the standard or the traverse has no heights
+     */
+    checkClosure(traverse, standardKey) {
+        const standard = this.closureStandards[standardKey];
+        if (!traverse || !standard) {
+            return null;
+        }
+
+        const allowedLinear = standard.ratio
+            ? traverse.totalLength / standard.ratio
+            : standard.constant + standard.ppm * 1e-6 * traverse.totalLength;
+
+        const hasVertical = standard.verticalMm !== undefined && traverse.misclosure.height !== null;
+        const allowedVertical = hasVertical ? standard.verticalMm * Math.sqrt(traverse.totalLength / 1000) / 1000 : null;
+
+        return {
+            name: standard.name,
+            allowedLinear,
+            horizontalPasses: traverse.misclosure.linear <= allowedLinear,
+            allowedVertical,
+            verticalPasses: hasVertical ? Math.abs(traverse.misclosure.height) <= allowedVertical : null
+        };
+    }
+
+    /**
+     * Get a display name for a point
+     * @param {Object} point - Point
+     * @param {number} index - Zero-based index
+     * @returns {string} - Name
+     */
+    getPointName(point, index) {
+        return point.name || `Point ${index + 1}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraverseAdjuster;
+}